@@ -6,6 +6,7 @@ import { runAllGates } from './src/gates/index.js';
 import { postPRCommentWithGuards } from './src/pr-comment.js';
 import { renderCheckSummary } from './src/summary-adapter.js';
 import { handleInstallationAdded } from './src/setup/installation-handler.js';
+import { buildRerunActions, parseRerunAction } from './src/gates/rerun.js';
 import { PR_REVIEW_NAME } from './src/constants.js';
 
 
@@ -41,6 +42,7 @@ export default (app) => {
   });
 
   app.on("check_suite.rerequested", handleCheckRerun);
+  app.on(["check_run.rerequested", "check_run.requested_action"], handleGateRerun);
   app.on(["pull_request.opened", "pull_request.synchronize", "pull_request.reopened"], handlePullRequest);
   app.on("installation_repositories.added", handleInstallationAdded);
 
@@ -59,8 +61,7 @@ export default (app) => {
   }
 
   async function createCompletedCheck(context, runResult, headSha, startTime) {
-    const conclusion = mapStatusToConclusion(runResult.overall_status, context.spec.fail_on_error);
-    const { summary, text } = renderCheckSummary(runResult, context);
+    const { conclusion, output, actions } = renderCompletedCheck(context, runResult);
 
     const checkResult = await context.vcs.checks.create(context.repo({
       name: PR_REVIEW_NAME,
@@ -69,13 +70,43 @@ export default (app) => {
       started_at: startTime,
       conclusion,
       completed_at: new Date(),
-      output: { title: PR_REVIEW_NAME, summary, text }
+      output,
+      actions
     }));
 
     context.log.info({ check_id: checkResult.data.id, sha: short(headSha), conclusion }, 'created completed check');
     return checkResult;
   }
 
+  async function updateCompletedCheck(context, runResult, checkRunId) {
+    const { conclusion, output, actions } = renderCompletedCheck(context, runResult);
+
+    const checkResult = await context.vcs.checks.update(context.repo({
+      check_run_id: checkRunId,
+      status: "completed",
+      conclusion,
+      completed_at: new Date(),
+      output,
+      actions
+    }));
+
+    context.log.info({ check_id: checkRunId, conclusion }, 'updated completed check');
+    return checkResult;
+  }
+
+  /**
+   * Conclusion, output and per-gate rerun buttons for a finished run
+   */
+  function renderCompletedCheck(context, runResult) {
+    const conclusion = mapStatusToConclusion(runResult.overall_status, context.spec.fail_on_error);
+    const { summary, text } = renderCheckSummary(runResult, context);
+    return {
+      conclusion,
+      output: { title: PR_REVIEW_NAME, summary, text },
+      actions: buildRerunActions(runResult, context.spec)
+    };
+  }
+
 
   /**
    * Map tri-state status to GitHub check conclusion
@@ -109,7 +140,7 @@ export default (app) => {
       const result = await loadRepoSpec(context);
       if (!result.ok) {
         // Convert error to thrown format for existing error handling
-        const error = new Error(`Spec loading failed: ${result.error.code}`);
+        const error = new Error(result.error.message || `Spec loading failed: ${result.error.code}`);
         error.code = result.error.code;
         throw error;
       }
@@ -123,7 +154,7 @@ export default (app) => {
       // Post PR comment always
       await postPRCommentWithGuards(context, runResult, checkResult.data.html_url, headShaStart, pr.number);
       
-      context.log.info({ duration_ms: Date.now() - started, conclusion: mapStatusToConclusion(runResult.overall_status) }, 'PR handler completed');
+      context.log.info({ duration_ms: Date.now() - started, conclusion: mapStatusToConclusion(runResult.overall_status, spec.fail_on_error) }, 'PR handler completed');
       return checkResult;
       
     } catch (error) {
@@ -213,6 +244,96 @@ export default (app) => {
   }
 
 
+  /**
+   * Rerun gates from our check run and update it in place
+   * rerequested reruns the gates that did not pass; requested_action reruns the chosen gate.
+   * All other gates are served from the result cache.
+   */
+  async function handleGateRerun(context) {
+    const started = Date.now();
+    const { action, check_run: checkRun } = context.payload;
+    if (checkRun?.name !== PR_REVIEW_NAME) return;
+
+    context.log = context.log.child({
+      module: "webhook",
+      route: "check_run",
+      event: action,
+    });
+    const headSha = checkRun.head_sha;
+    context.log.info({ sha: short(headSha), check_id: checkRun.id }, 'gate rerun handler started');
+
+    // Prefer the PR attached to the check run; fall back to looking it up by commit
+    let prNumber = checkRun.pull_requests?.[0]?.number;
+    try {
+      if (!prNumber) {
+        const { data: assoc } = await context.vcs.repos.listPullRequestsAssociatedWithCommit(
+          context.repo({ commit_sha: headSha })
+        );
+        prNumber = (assoc.find(pr => pr.state === 'open') || assoc[0])?.number;
+      }
+      if (!prNumber) {
+        context.log.info({ sha: short(headSha), duration_ms: Date.now() - started }, 'gate rerun handler completed: no PR found');
+        return;
+      }
+
+      const { data: fullPR } = await context.vcs.pulls.get(context.repo({ pull_number: prNumber }));
+      // Results for a newer head must not land on this commit's check; that head gets its own check
+      if (fullPR.head?.sha !== headSha) {
+        context.log.info({ sha: short(headSha), pr_head: short(fullPR.head?.sha), duration_ms: Date.now() - started }, 'gate rerun skipped: PR head has moved');
+        return;
+      }
+
+      const specResult = await loadRepoSpec(context);
+      if (!specResult.ok) {
+        context.log.warn({ code: specResult.error.code }, 'gate rerun skipped: repo-spec not usable');
+        return;
+      }
+      const spec = specResult.spec;
+
+      let rerun = { failing: true };
+      if (action === 'requested_action') {
+        const identifier = context.payload.requested_action?.identifier;
+        const gateId = parseRerunAction(identifier, spec);
+        if (!gateId) {
+          context.log.warn({ identifier }, 'gate rerun skipped: unknown action');
+          return;
+        }
+        rerun = { gate_ids: [gateId] };
+      }
+      context.log.info({ pr: prNumber, rerun }, 'rerunning gates');
+
+      // Enhance context to look like a PR event, as handleCheckRerun does
+      context.payload.pull_request = fullPR;
+
+      const runResult = await runAllGates(context, fullPR, spec, { rerun });
+      const checkResult = await updateCompletedCheck(context, runResult, checkRun.id);
+      await postPRCommentWithGuards(context, runResult, checkResult.data.html_url, fullPR.head.sha, prNumber);
+
+      context.log.info({ duration_ms: Date.now() - started, conclusion: mapStatusToConclusion(runResult.overall_status, spec.fail_on_error) }, 'gate rerun handler completed');
+      return checkResult;
+
+    } catch (error) {
+      context.log.error({ err: error, pr: prNumber, duration_ms: Date.now() - started }, 'gate rerun handler failed');
+      try {
+        // Leave a neutral check rather than the stale verdict from before the rerun
+        return await context.vcs.checks.update(context.repo({
+          check_run_id: checkRun.id,
+          status: 'completed',
+          conclusion: 'neutral',
+          completed_at: new Date(),
+          output: {
+            title: PR_REVIEW_NAME,
+            summary: 'Gate rerun failed',
+            text: 'GitHub API issue while rerunning gates. Re-run the check or try again.'
+          }
+        }));
+      } catch (updateError) {
+        context.log.error({ err: updateError, check_id: checkRun.id }, 'failed to mark check neutral after rerun failure');
+      }
+    }
+  }
+
+
   // For more information on building apps:
   // https://probot.github.io/docs/
 
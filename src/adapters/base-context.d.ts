@@ -54,15 +54,18 @@ export interface BaseContext {
     };
     pulls: {
       get(params: { owner: string; repo: string; pull_number: number }): Promise<{ data: any }>;
-      listFiles(params: { owner: string; repo: string; pull_number: number }): Promise<{ data: any[] }>;
+      listFiles(params: { owner: string; repo: string; pull_number: number; per_page?: number; page?: number }): Promise<{ data: any[] }>;
+      listReviews?(params: { owner: string; repo: string; pull_number: number; per_page?: number; page?: number }): Promise<{ data: any[] }>;
+      listCommits?(params: { owner: string; repo: string; pull_number: number; per_page?: number; page?: number }): Promise<{ data: Array<{ sha: string; commit: { message: string } }> }>;
     };
     repos: {
       compareCommits(params: { owner: string; repo: string; base: string; head: string }): Promise<{ data: any }>;
-      getContent(params: { owner: string; repo: string; path: string; ref?: string }): Promise<{ data: any }>;
+      getContent(params: { owner: string; repo: string; path: string; ref?: string; mediaType?: { format?: string } }): Promise<{ data: any }>;
       listPullRequestsAssociatedWithCommit?(params: { commit_sha: string }): Promise<{ data: any[] }>;
     };
     checks?: {
       create(params: any): Promise<{ data: any }>;
+      update?(params: any): Promise<{ data: any }>;
     };
     issues?: {
       createComment(params: { owner: string; repo: string; issue_number: number; body: string }): Promise<{ data: any }>;
@@ -71,11 +74,12 @@ export interface BaseContext {
     git?: {
       getRef?(params: any): Promise<{ data: any }>;
       createRef?(params: any): Promise<{ data: any }>;
+      getTree?(params: { owner: string; repo: string; tree_sha: string; recursive?: string | boolean }): Promise<{ data: { tree: Array<{ path: string; type: string; size?: number }>; truncated?: boolean } }>;
     };
     // Support both direct and rest namespaced access patterns
     rest?: {
       pulls: {
-        listFiles(params: { owner: string; repo: string; pull_number: number }): Promise<{ data: any[] }>;
+        listFiles(params: { owner: string; repo: string; pull_number: number; per_page?: number; page?: number }): Promise<{ data: any[] }>;
       };
     };
     // Allow other VCS operations for extensibility
@@ -93,7 +97,11 @@ export interface BaseContext {
     };
     base?: {
       sha: string;
+      ref?: string;
     };
+    labels?: string[];
+    author?: string;
+    draft?: boolean;
     changed_files?: number;
     additions?: number;
     deletions?: number;
@@ -104,6 +112,18 @@ export interface BaseContext {
       type: string;
       id?: string;
       with?: Record<string, any>;
+      timeout_ms?: number;
+      when?: {
+        changed_files?: string | string[];
+        base_branch?: string | string[];
+        labels?: string | string[];
+        author?: string | string[];
+        draft?: boolean;
+      };
+      on_error?: { treat_as: 'pass' | 'neutral' | 'fail' };
+      on_neutral?: { treat_as: 'pass' | 'neutral' | 'fail' };
+      retry?: { attempts?: number; backoff_ms?: number };
+      mode?: 'enforce' | 'shadow';
     }>;
     [key: string]: any;
   };
@@ -111,6 +131,8 @@ export interface BaseContext {
   annotation_budget?: number;
   idempotency_key?: string;
   reviewLimitsConfig?: Record<string, any>;
+  // Optional caller cancellation; the launcher links gate deadlines to it
+  abort?: AbortSignal;
 
   // Logging interface (minimal Pino-like interface)
   log?: {
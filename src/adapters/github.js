@@ -18,6 +18,8 @@ function createVCSInterface(octokit) {
     pulls: {
       get: (...args) => octokit.pulls.get(...args),
       listFiles: (...args) => octokit.pulls.listFiles(...args),
+      listReviews: (...args) => octokit.pulls.listReviews(...args),
+      listCommits: (...args) => octokit.pulls.listCommits(...args),
       create: (...args) => octokit.pulls.create(...args),
       list: (...args) => octokit.pulls.list(...args)
     },
@@ -29,7 +31,8 @@ function createVCSInterface(octokit) {
       createOrUpdateFileContents: (...args) => octokit.repos.createOrUpdateFileContents(...args)
     },
     checks: {
-      create: (...args) => octokit.checks.create(...args)
+      create: (...args) => octokit.checks.create(...args),
+      update: (...args) => octokit.checks.update(...args)
     },
     issues: {
       createComment: (...args) => octokit.issues.createComment(...args),
@@ -37,7 +40,8 @@ function createVCSInterface(octokit) {
     },
     git: {
       getRef: (...args) => octokit.git.getRef(...args),
-      createRef: (...args) => octokit.git.createRef(...args)
+      createRef: (...args) => octokit.git.createRef(...args),
+      getTree: (...args) => octokit.git.getTree(...args)
     },
     rest: {
       pulls: {
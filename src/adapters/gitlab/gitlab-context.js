@@ -6,6 +6,7 @@ import { Gitlab } from '@gitbeaker/rest';
 import { environment } from '../../env.js';
 import YAML from 'yaml';
 import { appLogger } from '../../logging/index.js';
+import { PR_REVIEW_NAME } from '../../constants.js';
 
 /**
  * Create GitLab client instance
@@ -66,14 +67,46 @@ function mapFileChange(change) {
   };
 }
 
+/**
+ * Map GitHub check conclusion to GitLab commit state
+ * Per-gate on_error/on_neutral mappings and fail_on_error are already folded into the
+ * conclusion, so a neutral verdict that must block arrives here as 'failure'.
+ * @param {string} conclusion - GitHub check conclusion
+ * @returns {string} GitLab commit state
+ */
+export function mapConclusionToState(conclusion) {
+  switch (conclusion) {
+    case 'success': return 'success';
+    case 'failure': return 'failed';
+    case 'cancelled': return 'canceled';
+    case 'neutral': return 'skipped';
+    default: return 'pending';
+  }
+}
+
+/**
+ * Wrap a GitBeaker error with what failed, keeping its HTTP status
+ * isRetryableError() needs the status to tell a 404 from a 5xx.
+ * @param {string} action - What failed, e.g. 'list merge request approvals'
+ * @param {Error} error - Error thrown by the GitLab client
+ * @returns {Error} Error with `status` and the original as `cause`
+ */
+export function wrapGitLabError(action, error) {
+  return Object.assign(new Error(`Failed to ${action}: ${error.message}`, { cause: error }), {
+    status: error.status ?? error.cause?.response?.status
+  });
+}
+
 /**
  * Get changed files for merge request (shared implementation)
  * @param {object} gitlab - GitLab API client
  * @param {string|number} projectId - Project ID
  * @param {number} pullNumber - Pull/MR number
+ * @param {number} [page] - GitHub-style page; every file comes back on page 1, later pages are empty
  * @returns {Promise<object>} GitHub-compatible response
  */
-async function getMergeRequestFiles(gitlab, projectId, pullNumber) {
+async function getMergeRequestFiles(gitlab, projectId, pullNumber, page = 1) {
+  if (page > 1) return { data: [] };
   const changes = await gitlab.MergeRequests.allDiffs(projectId, pullNumber);
   return {
     data: changes.map(mapFileChange)
@@ -88,6 +121,38 @@ async function getMergeRequestFiles(gitlab, projectId, pullNumber) {
 export function createGitLabContext(transformedPayload) {
   const gitlab = createGitLabClient();
   const projectId = getProjectId(transformedPayload);
+
+  // GitLab uses commit statuses instead of check runs
+  const setCommitStatus = async ({ name, head_sha, conclusion, output }) => {
+    try {
+      const state = mapConclusionToState(conclusion);
+
+      // Construct proper target_url pointing to the MR
+      const baseUrl = environment.GITLAB_BASE_URL || 'https://gitlab.com';
+      const mrNumber = transformedPayload.pull_request?.number;
+      const htmlUrl = mrNumber
+        ? `${baseUrl}/${transformedPayload.repository.full_name}/-/merge_requests/${mrNumber}`
+        : undefined;
+      
+      const result = await gitlab.Commits.editStatus(projectId, head_sha, state, {
+        name,
+        target_url: htmlUrl,
+        description: output?.summary?.slice(0, 255)
+      });
+
+      return {
+        data: {
+          id: result.id,
+          status: state,
+          conclusion: state === 'success' ? 'success' : (state === 'failed' ? 'failure' : null),
+          html_url: htmlUrl  // Add html_url for comment links
+        }
+      };
+    } catch (error) {
+      console.error('GitLab commit status creation failed:', error);
+      throw new Error(`Failed to create commit status: ${error.message}`);
+    }
+  };
   
   return {
     payload: transformedPayload,
@@ -143,12 +208,47 @@ export function createGitLabContext(transformedPayload) {
             throw new Error(`Failed to get merge request: ${error.message}`);
           }
         },
-        listFiles: async ({ _owner, _repo, pull_number }) => {
+        listFiles: async ({ _owner, _repo, pull_number, page }) => {
           try {
-            return await getMergeRequestFiles(gitlab, projectId, pull_number);
+            return await getMergeRequestFiles(gitlab, projectId, pull_number, page);
           } catch (error) {
             throw new Error(`Failed to list merge request files: ${error.message}`);
           }
+        },
+        listReviews: async ({ _owner, _repo, pull_number, page = 1 }) => {
+          // Every approval comes back on page 1; later pages are empty so page loops stop
+          if (page > 1) return { data: [] };
+          try {
+            // GitLab has approvals rather than reviews; map each approver to an APPROVED review
+            const approvals = await gitlab.MergeRequestApprovals.showConfiguration(projectId, { mergerequestIId: pull_number });
+            return {
+              data: (approvals.approved_by || []).map(({ user }) => ({
+                user: { login: user.username },
+                state: 'APPROVED'
+              }))
+            };
+          } catch (error) {
+            throw wrapGitLabError('list merge request approvals', error);
+          }
+        },
+        listCommits: async ({ _owner, _repo, pull_number, page = 1 }) => {
+          // Every commit comes back on page 1; later pages are empty so page loops stop
+          if (page > 1) return { data: [] };
+          try {
+            const commits = await gitlab.MergeRequests.allCommits(projectId, pull_number);
+            // GitLab lists newest first; GitHub lists oldest first
+            return {
+              data: commits.reverse().map(commit => ({
+                sha: commit.id,
+                commit: {
+                  message: commit.message,
+                  author: { name: commit.author_name, email: commit.author_email }
+                }
+              }))
+            };
+          } catch (error) {
+            throw wrapGitLabError('list merge request commits', error);
+          }
         }
       },
       repos: {
@@ -171,10 +271,8 @@ export function createGitLabContext(transformedPayload) {
             const response = await gitlab.RepositoryFiles.show(projectId, path, gitlabRef);
             return transformFileContent(response);
           } catch (error) {
-            if (error.response?.status === 404) {
-              throw new Error(`File not found: ${path}`);
-            }
-            throw error;
+            // Keeps status 404 for missing files, as GitHub and the local adapter do
+            throw wrapGitLabError(`read file ${path}`, error);
           }
         },
         listPullRequestsAssociatedWithCommit: async ({ _commit_sha }) => {
@@ -194,43 +292,10 @@ export function createGitLabContext(transformedPayload) {
         }
       },
       checks: {
-        create: async ({ name, head_sha, conclusion, output }) => {
-          try {
-            // GitLab uses commit statuses instead of check runs
-            // Map GitHub check conclusions to GitLab commit states
-            let state;
-            if (conclusion === 'success') state = 'success';
-            else if (conclusion === 'failure') state = 'failed';
-            else if (conclusion === 'cancelled') state = 'canceled';
-            else if (conclusion === 'neutral') state = 'skipped';  // TODO: value off err-on-neutral flag
-            else state = 'pending';
-
-            // Construct proper target_url pointing to the MR
-            const baseUrl = environment.GITLAB_BASE_URL || 'https://gitlab.com';
-            const mrNumber = transformedPayload.pull_request?.number;
-            const htmlUrl = mrNumber
-              ? `${baseUrl}/${transformedPayload.repository.full_name}/-/merge_requests/${mrNumber}`
-              : undefined;
-            
-            const result = await gitlab.Commits.editStatus(projectId, head_sha, state, {
-              name,
-              target_url: htmlUrl,
-              description: output?.summary?.slice(0, 255)
-            });
-
-            return {
-              data: {
-                id: result.id,
-                status: state,
-                conclusion: state === 'success' ? 'success' : (state === 'failed' ? 'failure' : null),
-                html_url: htmlUrl  // Add html_url for comment links
-              }
-            };
-          } catch (error) {
-            console.error('GitLab commit status creation failed:', error);
-            throw new Error(`Failed to create commit status: ${error.message}`);
-          }
-        }
+        create: setCommitStatus,
+        // Commit statuses are keyed by name and SHA, so updating re-posts the status on the MR head
+        update: ({ name = PR_REVIEW_NAME, head_sha = transformedPayload.pull_request?.head?.sha, conclusion, output }) =>
+          setCommitStatus({ name, head_sha, conclusion, output })
       },
       issues: {
         createComment: async ({ issue_number, body }) => {
@@ -249,11 +314,30 @@ export function createGitLabContext(transformedPayload) {
           }
         }
       },
+      git: {
+        getTree: async ({ _owner, _repo, tree_sha, recursive }) => {
+          try {
+            const entries = await gitlab.Repositories.allRepositoryTrees(projectId, {
+              ref: tree_sha,
+              recursive: Boolean(recursive)
+            });
+            return {
+              data: {
+                sha: tree_sha,
+                tree: entries.map(entry => ({ path: entry.path, type: entry.type, mode: entry.mode, sha: entry.id })),
+                truncated: false
+              }
+            };
+          } catch (error) {
+            throw wrapGitLabError('get repository tree', error);
+          }
+        }
+      },
       rest: {
         pulls: {
-          listFiles: async ({ _owner, _repo, pull_number }) => {
+          listFiles: async ({ _owner, _repo, pull_number, page }) => {
             try {
-              return await getMergeRequestFiles(gitlab, projectId, pull_number);
+              return await getMergeRequestFiles(gitlab, projectId, pull_number, page);
             } catch (error) {
               throw new Error(`Failed to list merge request files: ${error.message}`);
             }
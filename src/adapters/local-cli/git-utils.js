@@ -3,7 +3,7 @@
  * Provides standardized parsing for git operations used by LocalContext
  */
 
-import { execSync } from 'child_process';
+import { execSync, execFileSync } from 'child_process';
 
 /**
  * Parse git diff --shortstat output into structured data
@@ -64,6 +64,26 @@ export function parseGitNameStatus(nameStatusOutput) {
   }).filter(file => file.filename); // Filter out any malformed entries
 }
 
+/**
+ * Parse NUL-separated git ls-tree -z output into GitHub-style tree entries
+ * @param {string} lsTreeOutput - Output from git ls-tree -z, optionally with -l (blob sizes)
+ * @returns {Array<{path: string, mode: string, type: string, sha: string, size?: number}>} Tree entries
+ */
+export function parseGitLsTree(lsTreeOutput) {
+  if (!lsTreeOutput) {
+    return [];
+  }
+
+  // Each entry is "<mode> <type> <sha>\t<path>"; -l adds a padded "<size>" ("-" for non-blobs)
+  return lsTreeOutput.split('\0').filter(Boolean).map(entry => {
+    const tab = entry.indexOf('\t');
+    const [mode, type, sha, size] = entry.slice(0, tab).split(/ +/);
+    const parsed = { path: entry.slice(tab + 1), mode, type, sha };
+    if (size !== undefined && size !== '-') parsed.size = Number(size);
+    return parsed;
+  });
+}
+
 /**
  * Execute git command safely with error handling
  * @param {string} command - Git command to execute
@@ -83,6 +103,38 @@ export function execGitCommand(command, cwd) {
   }
 }
 
+/**
+ * Parse git log --format=%H%x00%B%x1e output into GitHub-style commit objects
+ * @param {string} logOutput - Output from git log with NUL after the SHA and RS after each body
+ * @returns {Array<{sha: string, commit: {message: string}}>} Commits in log order
+ */
+export function parseGitLog(logOutput) {
+  if (!logOutput) {
+    return [];
+  }
+
+  return logOutput.split('\x1e').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [sha, message = ''] = entry.split('\0');
+    return { sha, commit: { message: message.trim() } };
+  });
+}
+
+/**
+ * Read a file's raw bytes at a git ref
+ * @param {string} ref - Commit, branch or tag
+ * @param {string} filePath - Repository-relative path
+ * @param {string} cwd - Repository path
+ * @returns {Buffer|null} File content, or null when the path does not exist at that ref
+ */
+export function readGitBlob(ref, filePath, cwd) {
+  try {
+    // execFile keeps the path out of the shell and the buffer keeps binary content intact
+    return execFileSync('git', ['show', `${ref}:${filePath}`], { cwd, stdio: ['pipe', 'pipe', 'pipe'], maxBuffer: 256 * 1024 * 1024 });
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Check if a directory is a git repository
  * @param {string} repoPath - Path to check
@@ -7,7 +7,7 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import YAML from 'yaml';
-import { parseGitStats, parseGitNameStatus, execGitCommand, isGitRepository } from './git-utils.js';
+import { parseGitStats, parseGitNameStatus, parseGitLsTree, parseGitLog, readGitBlob, execGitCommand, isGitRepository } from './git-utils.js';
 
 /**
  * @implements {BaseContext}
@@ -98,7 +98,9 @@ export class LocalContext {
           }
         },
 
-        listFiles: async () => {
+        listFiles: async ({ page = 1 } = {}) => {
+          // Every file comes back on page 1; later pages are empty so page loops stop
+          if (page > 1) return { data: [] };
           try {
             const output = execGitCommand(`git diff --name-status ${this.baseRef}...${this.headRef}`, this.repoPath);
             const files = parseGitNameStatus(output);
@@ -106,22 +108,57 @@ export class LocalContext {
           } catch (error) {
             throw new Error(`Failed to list changed files: ${error.message}`);
           }
+        },
+
+        // Local diffs have no reviews
+        listReviews: async () => ({ data: [] }),
+
+        listCommits: async ({ page = 1 } = {}) => {
+          if (page > 1) return { data: [] };
+          try {
+            const output = execGitCommand(`git log --reverse --format=%H%x00%B%x1e ${this.baseRef}..${this.headRef}`, this.repoPath);
+            return { data: parseGitLog(output) };
+          } catch (error) {
+            throw new Error(`Failed to list commits: ${error.message}`);
+          }
         }
       },
 
       repos: {
-        getContent: async ({ path: filePath }) => {
+        getContent: async ({ path: filePath, ref }) => {
+          // With a ref, read the committed blob like the hosted APIs; without one, the working tree
+          let content = null;
+          if (ref) {
+            content = readGitBlob(ref, filePath, this.repoPath);
+          } else {
+            try {
+              content = fs.readFileSync(path.join(this.repoPath, filePath));
+            } catch {
+              content = null;
+            }
+          }
+
+          if (!content) {
+            throw Object.assign(new Error(`File not found: ${filePath}`), { status: 404 });
+          }
+          return { 
+            data: { 
+              content: content.toString('base64'),
+              encoding: 'base64',
+              size: content.length,
+              type: 'file'
+            } 
+          };
+        }
+      },
+
+      git: {
+        getTree: async ({ tree_sha, recursive }) => {
           try {
-            const fullPath = path.join(this.repoPath, filePath);
-            const content = fs.readFileSync(fullPath, 'utf8');
-            return { 
-              data: { 
-                content: Buffer.from(content).toString('base64'),
-                encoding: 'base64'
-              } 
-            };
-          } catch {
-            throw new Error(`File not found: ${filePath}`);
+            const output = execGitCommand(`git ls-tree -z -l ${recursive ? '-r -t ' : ''}${tree_sha}`, this.repoPath);
+            return { data: { sha: tree_sha, tree: parseGitLsTree(output), truncated: false } };
+          } catch (error) {
+            throw new Error(`Failed to get repository tree: ${error.message}`);
           }
         }
       },
@@ -157,7 +194,10 @@ export class LocalContext {
               html_url: 'local://check'
             } 
           };
-        }
+        },
+
+        // Reruns print the refreshed result the same way
+        update: async (params) => this.vcs.checks.create(params)
       },
 
       issues: {
@@ -9,6 +9,7 @@ import { CallbackHandler } from "langfuse-langchain";
 import { getWorkflow } from './workflows/registry.js';
 import { selectModel } from './model-selector.js';
 import { environment } from '../env.js';
+import { isRetryableError } from '../transient-errors.js';
 
 // Use explicit OpenRouter slugs
 const DETERMINISTIC_MODELS = new Set([
@@ -50,9 +51,10 @@ export function makeLLMClient({ model }) {
  * @param {Object} config.workflowInput - Input data for the workflow
  * @param {Object} options - Configuration options
  * @param {number} options.timeoutMs - Timeout in milliseconds (default: 60000)
+ * @param {AbortSignal} [options.signal] - Cancels the workflow when the gate deadline expires
  * @returns {Promise<Object>} Raw workflow output + provenance wrapper
  */
-export async function evaluateWithWorkflow({ workflowId, workflowInput }, { timeoutMs = 180000 } = {}, logger) {
+export async function evaluateWithWorkflow({ workflowId, workflowInput }, { timeoutMs = 180000, signal } = {}, logger) {
   const startTime = Date.now();
   const log = logger?.child({ module: 'ai-provider' });
   
@@ -93,7 +95,7 @@ export async function evaluateWithWorkflow({ workflowId, workflowInput }, { time
     };
     
     // Route to selected workflow - preserve exact return format
-    const result = await evaluate(workflowInput, { timeoutMs, client, logger: log, ...runnableConfig });
+    const result = await evaluate(workflowInput, { timeoutMs, signal, client, logger: log, ...runnableConfig });
     
     // Add provenance wrapper with resolved model info
     return {
@@ -110,7 +112,7 @@ export async function evaluateWithWorkflow({ workflowId, workflowInput }, { time
     
   } catch (error) {
     logger.error({ err: error }, 'AI Provider error');
-    return createErrorResponse('ai_provider_error', `AI evaluation failed: ${error.message}`, startTime);
+    return createErrorResponse('ai_provider_error', `AI evaluation failed: ${error.message}`, startTime, isRetryableError(error));
   }
 }
 
@@ -120,9 +122,11 @@ export async function evaluateWithWorkflow({ workflowId, workflowInput }, { time
 
 /**
  * Create standardized error response
+ * `error` lets callers tell provider failures from evaluations; `retryable` flags transient ones.
  */
-function createErrorResponse(code, message, startTime) {
+function createErrorResponse(code, message, startTime, retryable = false) {
   return {
+    error: { code, message, retryable },
     score: null,
     observations: [{
       code,
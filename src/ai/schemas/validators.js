@@ -2,12 +2,14 @@ import Ajv from 'ajv';
 import YAML from 'yaml';
 import ruleSchema from './rule-spec.schema.json' with { type: 'json' };
 import providerSchema from './provider-result.schema.json' with { type: 'json' };
+import gateResultSchema from './gate-result.schema.json' with { type: 'json' };
 
 const ajv = new Ajv({ allErrors: true, strict: true });
 
 // Pre-compile schemas for performance
 const vRule = ajv.compile(ruleSchema);
 const vProvider = ajv.compile(providerSchema);
+const vGateResult = ajv.compile(gateResultSchema);
 
 export function parseYAML(yamlString) {
   return YAML.parse(yamlString);
@@ -27,4 +29,24 @@ export function assertProviderResult(data) {
     err.details = vProvider.errors;
     throw err;
   }
-}
\ No newline at end of file
+}
+
+export function assertGateResult(data) {
+  if (!vGateResult(data)) {
+    const err = new Error('GateResult schema invalid');
+    err.details = vGateResult.errors;
+    throw err;
+  }
+}
+
+/**
+ * Validate a gate's `with:` block against the gate module's configSchema
+ * Ajv caches compiled validators per schema object, so repeated calls are cheap.
+ * @param {object} schema - JSON Schema exported by the gate module
+ * @param {object} data - Gate `with:` block
+ * @returns {Array<object>} Ajv errors, empty when valid
+ */
+export function validateGateConfig(schema, data) {
+  const validate = ajv.compile(schema);
+  return validate(data) ? [] : validate.errors;
+}
@@ -124,10 +124,10 @@ function createAgent(client, schema, evalCount) {
 /**
  * Evaluate PR against dynamic evaluations using ReAct agent
  * @param {Object} input - { context, rule }
- * @param {Object} options - { timeoutMs, client, callbacks, tags, metadata, configurable }
+ * @param {Object} options - { timeoutMs, signal, client, callbacks, tags, metadata, configurable }
  * @returns {Promise<Object>} { metrics: { metricId: {value, observations} }, summary }
  */
-export async function evaluate(input, { timeoutMs: _timeoutMs, client, callbacks = [], tags = [], metadata = {}, configurable = {}, logger } = {}) {
+export async function evaluate(input, { timeoutMs, signal, client, callbacks = [], tags = [], metadata = {}, configurable = {}, logger } = {}) {
   // Note: OPENAI_API_KEY validation now handled in centralized env module
 
   if (!client) {
@@ -236,6 +236,9 @@ Expected output format:
   const result = await agent.invoke({
     messages: [message]
   }, {
+    // Runnable-level deadline and cancellation (launcher aborts signal when the gate times out)
+    timeout: timeoutMs,
+    signal,
     callbacks,
     // Extend provider tags with workflow-specific context
     tags: [...tags, "agent:goal-evaluations", `repo:${workflowMeta.repo}`].filter(Boolean),
@@ -0,0 +1,92 @@
+/**
+ * Goal-match workflow.
+ * Called ONLY by src/ai/provider.js
+ *
+ * Scores how well a PR serves each declared intent goal.
+ */
+
+import { createReactAgent } from "@langchain/langgraph/prebuilt";
+import { HumanMessage } from "@langchain/core/messages";
+import { z } from "zod";
+
+const MatchSchema = z.object({
+  matches: z.array(z.object({
+    goal_id: z.string().describe("ID of the declared goal, exactly as listed"),
+    confidence: z.number().min(0).max(1).describe("How clearly this PR serves the goal (1.0 = clearly)"),
+    rationale: z.string().describe("One sentence explaining the score")
+  })).describe("One entry per declared goal"),
+  summary: z.string().describe("One-sentence overall summary")
+});
+
+/**
+ * Score the PR against each declared goal
+ * @param {Object} input - { context, goals: [{id, description}] }
+ * @param {Object} options - { timeoutMs, signal, client, callbacks, tags, metadata, configurable }
+ * @returns {Promise<Object>} { matches: [{goal_id, confidence, rationale}], summary }
+ */
+export async function evaluate(input, { timeoutMs, signal, client, callbacks = [], tags = [], metadata = {}, configurable = {}, logger } = {}) {
+  if (!client) {
+    throw new Error('Pre-built LLM client is required');
+  }
+
+  const startTime = Date.now();
+  const log = logger?.child({ module: 'ai-workflows/goal-match' });
+
+  const { context, goals } = input;
+  const prData = context.pr;
+
+  const agent = createReactAgent({
+    llm: client,
+    tools: [], // No tools - pure reasoning
+    responseFormat: {
+      prompt: 'Score how well the <PR Information> serves each declared goal.',
+      schema: MatchSchema
+    }
+  });
+
+  const goalList = goals.map(goal => `- <${goal.id}> ${goal.description} </${goal.id}>`).join('\n');
+  const fileCount = prData?.changed_files || 0;
+  const promptText = `You map pull requests to the repository goal they serve. The repository declares these goals:
+
+<Goals>
+${goalList}
+</Goals>
+
+<PR Information>
+<PR Title> ${prData?.title || ''} </PR Title>
+
+<PR Body> ${prData?.body || ''} </PR Body>
+
+<Diff Summary> ${fileCount} file${fileCount === 1 ? '' : 's'} changed (+${prData?.additions || 0} -${prData?.deletions || 0} lines) </Diff Summary>
+</PR Information>
+
+For every goal, give a score from 0.0-1.0 for how clearly this PR serves it and a one-sentence rationale.
+Use the goal IDs exactly as listed.`;
+
+  log?.debug({ prompt_length: promptText.length, goals: goals.length }, 'LangGraph prompt prepared');
+
+  const workflowMeta = {
+    ...metadata,
+    repo: context.payload?.repository?.full_name,
+    pr_number: prData?.number,
+    commit_sha: prData?.head?.sha,
+    goal_count: goals.length
+  };
+
+  const result = await agent.invoke({
+    messages: [new HumanMessage(promptText)]
+  }, {
+    timeout: timeoutMs,
+    signal,
+    callbacks,
+    tags: [...tags, "agent:goal-match", `repo:${workflowMeta.repo}`].filter(Boolean),
+    metadata: workflowMeta,
+    configurable: {
+      ...configurable,
+      sessionId: workflowMeta.pr_number ? `pr-${workflowMeta.pr_number}` : undefined
+    }
+  });
+
+  log?.debug({ duration_ms: Date.now() - startTime, matches: result.structuredResponse?.matches?.length }, 'LangGraph completed');
+  return result.structuredResponse;
+}
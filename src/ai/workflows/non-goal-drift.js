@@ -0,0 +1,124 @@
+/**
+ * Non-goal drift workflow.
+ * Called ONLY by src/ai/provider.js
+ *
+ * Flags diffs that drift into the repo's declared intent.non_goals, citing the changed files as evidence.
+ */
+
+import { createReactAgent } from "@langchain/langgraph/prebuilt";
+import { HumanMessage } from "@langchain/core/messages";
+import { z } from "zod";
+
+const DEFAULT_BUDGETS = {
+  max_files: 25,
+  max_patch_bytes_per_file: 8000
+};
+
+const FindingsSchema = z.object({
+  findings: z.array(z.object({
+    non_goal: z.string().describe("The declared non-goal, quoted exactly as listed"),
+    confidence: z.number().min(0).max(1).describe("How confident you are that the PR drifts into this non-goal"),
+    explanation: z.string().describe("One or two sentences explaining the drift"),
+    evidence: z.array(z.object({
+      path: z.string().describe("Changed file path, exactly as listed in the diff"),
+      line: z.number().int().nullable().describe("Line number in the new file, if known"),
+      excerpt: z.string().describe("Short excerpt from the diff that shows the drift")
+    })).describe("Citations from the diff supporting the finding")
+  })).describe("One entry per non-goal the PR drifts into; empty when there is no drift"),
+  summary: z.string().describe("One-sentence overall summary")
+});
+
+/**
+ * Render changed files and truncated patches for the prompt
+ * @param {Array<object>} files - Changed files from pulls.listFiles
+ * @param {object} budgets - Evidence budgets
+ * @returns {string} Diff text
+ */
+function renderDiff(files, budgets) {
+  return files
+    .slice(0, budgets.max_files)
+    .map(f => {
+      let patch = f.patch || '(no patch available)';
+      if (patch.length > budgets.max_patch_bytes_per_file) {
+        patch = patch.slice(0, budgets.max_patch_bytes_per_file) + '\n… [truncated]';
+      }
+      return `=== ${f.filename} (${f.status || 'modified'}) ===\n${patch}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Evaluate whether a PR drifts into declared non-goals
+ * @param {Object} input - { context, nonGoals, files, budgets }
+ * @param {Object} options - { timeoutMs, signal, client, callbacks, tags, metadata, configurable }
+ * @returns {Promise<Object>} { findings: [{non_goal, confidence, explanation, evidence}], summary }
+ */
+export async function evaluate(input, { timeoutMs, signal, client, callbacks = [], tags = [], metadata = {}, configurable = {}, logger } = {}) {
+  if (!client) {
+    throw new Error('Pre-built LLM client is required');
+  }
+
+  const startTime = Date.now();
+  const log = logger?.child({ module: 'ai-workflows/non-goal-drift' });
+
+  const { context, nonGoals, files } = input;
+  const budgets = { ...DEFAULT_BUDGETS, ...input.budgets };
+  const prData = context.pr;
+
+  const agent = createReactAgent({
+    llm: client,
+    tools: [], // No tools - pure reasoning
+    responseFormat: {
+      prompt: 'Report which declared non-goals the <PR Information> drifts into, citing the diff.',
+      schema: FindingsSchema
+    }
+  });
+
+  const nonGoalList = nonGoals.map((goal, i) => `${i + 1}. ${goal}`).join('\n');
+  const promptText = `You review pull requests for scope drift. The repository has declared these non-goals - work it deliberately does not do:
+
+<Non-goals>
+${nonGoalList}
+</Non-goals>
+
+<PR Information>
+<PR Title> ${prData?.title || ''} </PR Title>
+
+<PR Body> ${prData?.body || ''} </PR Body>
+
+<Diff>
+${renderDiff(files, budgets)}
+</Diff>
+</PR Information>
+
+Report a finding only when the changes themselves move the repository into a non-goal, not when they merely mention it.
+For each finding, quote the non-goal exactly and cite at least one changed file with a short excerpt from its diff.
+Return an empty findings list when the PR stays within scope.`;
+
+  log?.debug({ prompt_length: promptText.length, non_goals: nonGoals.length }, 'LangGraph prompt prepared');
+
+  const workflowMeta = {
+    ...metadata,
+    repo: context.payload?.repository?.full_name,
+    pr_number: prData?.number,
+    commit_sha: prData?.head?.sha,
+    non_goal_count: nonGoals.length
+  };
+
+  const result = await agent.invoke({
+    messages: [new HumanMessage(promptText)]
+  }, {
+    timeout: timeoutMs,
+    signal,
+    callbacks,
+    tags: [...tags, "agent:non-goal-drift", `repo:${workflowMeta.repo}`].filter(Boolean),
+    metadata: workflowMeta,
+    configurable: {
+      ...configurable,
+      sessionId: workflowMeta.pr_number ? `pr-${workflowMeta.pr_number}` : undefined
+    }
+  });
+
+  log?.debug({ duration_ms: Date.now() - startTime, findings: result.structuredResponse?.findings?.length }, 'LangGraph completed');
+  return result.structuredResponse;
+}
@@ -4,12 +4,16 @@
  */
 
 import { evaluate as evaluateGoals } from './goal-evaluations.js';
+import { evaluate as evaluateNonGoalDrift } from './non-goal-drift.js';
+import { evaluate as evaluateGoalMatch } from './goal-match.js';
 
 // Note: goal-alignment-v2 will be added in Task 2
 // import { evaluate as evalGoalsV2 } from './goal-alignment-v2.js';
 
 export const WORKFLOWS = Object.freeze({
   "goal-evaluations": evaluateGoals,
+  "non-goal-drift": evaluateNonGoalDrift,
+  "goal-match": evaluateGoalMatch,
 });
 
 /**
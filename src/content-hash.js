@@ -0,0 +1,32 @@
+// src/content-hash.js - Deterministic hashing for specs, rules and gate configs
+import { createHash } from 'node:crypto';
+
+/**
+ * JSON.stringify with sorted object keys, so equal content always serializes the same way
+ * Undefined values are dropped like JSON.stringify does.
+ * @param {unknown} value - Any JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item)).join(',')}]`;
+  }
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * Short SHA-256 content hash of a value (strings are hashed as-is)
+ * @param {unknown} value - String or JSON-compatible value
+ * @returns {string} First 16 hex chars of the SHA-256 digest
+ */
+export function contentHash(value) {
+  const input = typeof value === 'string' ? value : stableStringify(value);
+  return createHash('sha256').update(input).digest('hex').slice(0, 16);
+}
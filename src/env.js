@@ -62,6 +62,15 @@ const gitlab = z.object({
   WEBHOOK_PROXY_URL_GITLAB: urlOrUndef(),
 });
 
+// Extra gate sources for self-hosters (comma-separated lists)
+const gates = z.object({
+  COGNI_GATE_DIRS: z.string().optional(),     // Directories scanned for gate modules, relative to cwd
+  COGNI_GATE_PACKAGES: z.string().optional(), // Installed npm packages exporting `type` and `run`
+  COGNI_GATE_CACHE: z.enum(["none","memory","file"]).optional(), // Result cache backend (default: memory, none in tests)
+  COGNI_GATE_CACHE_DIR: z.string().optional(),                   // File backend directory (default: <tmpdir>/cogni-gate-cache)
+  COGNI_GATE_CACHE_TTL_MS: z.coerce.number().int().positive().default(86400000),
+});
+
 const schema = base
   .merge(logging)
   .merge(service)
@@ -70,6 +79,7 @@ const schema = base
   .merge(testing)
   .merge(github)
   .merge(gitlab)
+  .merge(gates)
   .strict()
   .superRefine((v, ctx) => {
     // Loki all-or-nothing validation
@@ -93,8 +103,13 @@ const knownKeys = Object.keys({
   ...testing.shape,
   ...github.shape,
   ...gitlab.shape,
+  ...gates.shape,
 });
 
+function splitList(value) {
+  return (value || "").split(",").map(item => item.trim()).filter(Boolean);
+}
+
 const input = Object.fromEntries(knownKeys.map(k => [k, process.env[k]]));
 const parsed = schema.safeParse(input);
 
@@ -123,5 +138,16 @@ export const environment = Object.freeze({
     baseUrl: parsed.data.LANGFUSE_BASE_URL, 
     enabled: true 
   } : { enabled: false },
+
+  gatePlugins: {
+    dirs: splitList(parsed.data.COGNI_GATE_DIRS),
+    packages: splitList(parsed.data.COGNI_GATE_PACKAGES),
+  },
+
+  gateCache: {
+    backend: parsed.data.COGNI_GATE_CACHE ?? (parsed.data.NODE_ENV === "test" ? "none" : "memory"),
+    dir: parsed.data.COGNI_GATE_CACHE_DIR,
+    ttlMs: parsed.data.COGNI_GATE_CACHE_TTL_MS,
+  },
 });
 
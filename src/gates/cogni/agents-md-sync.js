@@ -5,17 +5,29 @@
 
 import path from 'node:path';
 import micromatch from 'micromatch';
+import { isRetryableError } from '../../transient-errors.js';
 
 // Gate registry contract exports
 export const type = 'agents-md-sync';
+export const description = 'Requires an AGENTS.md update next to changed code';
+export const cacheable = true;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    code_patterns: { type: 'array', items: { type: 'string' } },
+    doc_pattern: { type: 'string' }
+  },
+  additionalProperties: false
+};
 
 /**
  * Registry-compatible run function for agents-sync gate
  * @param {object} ctx - Run context with vcs, pr, etc.
  * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal cancels the API request on deadline
  * @returns {Promise<object>} Normalized gate result
  */
-export async function run(ctx, gate) {
+export async function run(ctx, gate, { signal } = {}) {
   try {
     // Get configuration with defaults
     const config = gate.with || {};
@@ -24,7 +36,7 @@ export async function run(ctx, gate) {
 
     // Get changed files from GitHub API
     const { data: changedFiles } = await ctx.vcs.pulls.listFiles(
-      ctx.repo({ pull_number: ctx.pr.number })
+      ctx.repo({ pull_number: ctx.pr.number, request: { signal } })
     );
 
     // Filter for code changes (exclude documentation files and removed files)
@@ -88,6 +100,7 @@ export async function run(ctx, gate) {
     return {
       status: 'neutral',
       neutral_reason: 'api_error',
+      retryable: isRetryableError(error),
       violations: [],
       stats: { error: error.message }
     };
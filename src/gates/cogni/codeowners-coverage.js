@@ -0,0 +1,211 @@
+/**
+ * CODEOWNERS Coverage Gate - Every changed file needs an owner
+ * Part of Cogni Gate Evaluation system
+ *
+ * Reads CODEOWNERS at the PR base SHA (so a PR cannot grant itself ownership) and
+ * reports changed files no rule assigns an owner. With `require_owner_approval: true`
+ * each owned file also needs an approving review from one of its user owners.
+ */
+
+import micromatch from 'micromatch';
+import { listAllPages } from '../pagination.js';
+import { isNotFoundError } from '../vcs-errors.js';
+import { isRetryableError } from '../../transient-errors.js';
+
+// Gate registry contract exports
+export const type = 'codeowners-coverage';
+export const description = 'Fails when changed files have no CODEOWNERS owner, optionally requiring owner approval';
+// Reviews change without a new PR head, so approval results must not be reused
+export const cacheable = false;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    path: { type: 'string' },
+    require_owner_approval: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+// GitHub's lookup order for CODEOWNERS
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Registry-compatible run function for codeowners-coverage gate
+ * @param {object} ctx - Run context with vcs, pr, etc.
+ * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal cancels API requests on deadline
+ * @returns {Promise<object>} Normalized gate result
+ */
+export async function run(ctx, gate, { signal } = {}) {
+  const config = gate.with || {};
+
+  try {
+    const codeowners = await loadCodeowners(ctx, config.path ? [config.path] : CODEOWNERS_PATHS, signal);
+    if (!codeowners) {
+      return {
+        status: 'fail',
+        violations: [{
+          code: 'codeowners_missing',
+          message: `No CODEOWNERS file found at the base commit (looked in ${(config.path ? [config.path] : CODEOWNERS_PATHS).join(', ')})`,
+          path: config.path || CODEOWNERS_PATHS[0],
+          meta: {}
+        }],
+        stats: { rules: 0 }
+      };
+    }
+
+    const rules = parseCodeowners(codeowners.content);
+    const changedFiles = await listAllPages(ctx.vcs.pulls.listFiles, ctx.repo({ pull_number: ctx.pr.number, request: { signal } }));
+
+    const violations = [];
+    const owned = [];
+    for (const file of changedFiles) {
+      const owners = findOwners(rules, file.filename);
+      if (owners.length === 0) {
+        violations.push({
+          code: 'unowned_file',
+          message: `${file.filename} has no owner in ${codeowners.path}`,
+          path: file.filename,
+          meta: { codeowners: codeowners.path }
+        });
+      } else {
+        owned.push({ path: file.filename, owners });
+      }
+    }
+
+    const stats = {
+      codeowners_path: codeowners.path,
+      rules: rules.length,
+      files_checked: changedFiles.length,
+      unowned_files: violations.length
+    };
+
+    if (config.require_owner_approval === true && owned.length > 0) {
+      const reviews = await listAllPages(ctx.vcs.pulls.listReviews, ctx.repo({ pull_number: ctx.pr.number, request: { signal } }));
+      const approvers = getApprovers(reviews);
+      const missing = findMissingApprovals(owned, approvers);
+      violations.push(...missing);
+      stats.approvers = approvers.size;
+      stats.files_missing_approval = missing.length;
+    }
+
+    return {
+      status: violations.length > 0 ? 'fail' : 'pass',
+      violations,
+      stats
+    };
+
+  } catch (error) {
+    return {
+      status: 'neutral',
+      neutral_reason: 'api_error',
+      retryable: isRetryableError(error),
+      violations: [],
+      stats: { error: error.message }
+    };
+  }
+}
+
+/**
+ * Read the first CODEOWNERS file that exists at the PR base
+ * @returns {Promise<{path: string, content: string}|null>} File, or null when none exists
+ */
+async function loadCodeowners(ctx, paths, signal) {
+  for (const path of paths) {
+    try {
+      const { data } = await ctx.vcs.repos.getContent(
+        ctx.repo({ path, ref: ctx.pr.base?.sha, request: { signal } })
+      );
+      return { path, content: Buffer.from(data.content, data.encoding || 'base64').toString('utf8') };
+    } catch (error) {
+      if (!isNotFoundError(error)) throw error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse CODEOWNERS into ordered rules
+ * Blank lines and comments are skipped; a pattern without owners explicitly unassigns ownership.
+ * @param {string} content - CODEOWNERS file content
+ * @returns {Array<{pattern: string, owners: string[], line: number}>} Rules in file order
+ */
+export function parseCodeowners(content) {
+  const rules = [];
+  content.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) return;
+
+    const [pattern, ...owners] = line.split(/\s+/);
+    rules.push({ pattern, owners, line: index + 1 });
+  });
+  return rules;
+}
+
+/**
+ * Find the owners of a file; as on GitHub, the last matching rule wins
+ * @param {Array<object>} rules - Rules from parseCodeowners()
+ * @param {string} filePath - Repository-relative path
+ * @returns {string[]} Owners (empty when unowned)
+ */
+export function findOwners(rules, filePath) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (micromatch.isMatch(filePath, toGlobs(rules[i].pattern), { dot: true })) {
+      return rules[i].owners;
+    }
+  }
+  return [];
+}
+
+/**
+ * Translate a gitignore-style CODEOWNERS pattern into micromatch globs
+ * `/x` is anchored to the root, `x/` matches a directory's contents, a bare name
+ * matches at any depth, and a pattern naming a directory also covers everything below it.
+ */
+function toGlobs(pattern) {
+  let glob = pattern;
+  const anchored = glob.startsWith('/');
+  if (anchored) glob = glob.slice(1);
+  const directoryOnly = glob.endsWith('/');
+  if (directoryOnly) glob = glob.slice(0, -1);
+
+  if (!anchored && !glob.includes('/')) glob = `**/${glob}`;
+  if (directoryOnly) return [`${glob}/**`];
+
+  // `docs/*` covers docs/a.md but not docs/sub/b.md; `docs` or `*.js` also cover what is below
+  const lastSegment = glob.split('/').pop();
+  return lastSegment === '*' ? [glob] : [glob, `${glob}/**`];
+}
+
+/**
+ * Logins whose latest review approves the PR
+ * @param {Array<object>} reviews - Reviews from pulls.listReviews (oldest first)
+ * @returns {Set<string>} Lowercased approver logins
+ */
+function getApprovers(reviews) {
+  const latest = new Map();
+  for (const review of reviews || []) {
+    const login = review.user?.login?.toLowerCase();
+    // Comments do not change a reviewer's approval state
+    if (login && review.state !== 'COMMENTED') latest.set(login, review.state);
+  }
+  return new Set([...latest].filter(([, state]) => state === 'APPROVED').map(([login]) => login));
+}
+
+/**
+ * Report owned files that no user owner approved
+ * Team owners (@org/team) cannot be resolved to members here and are listed for reference.
+ */
+function findMissingApprovals(owned, approvers) {
+  return owned
+    .filter(({ owners }) => !owners.some(owner => approvers.has(owner.replace(/^@/, '').toLowerCase())))
+    .map(({ path, owners }) => {
+      const teams = owners.filter(owner => owner.includes('/'));
+      return {
+        code: 'owner_approval_missing',
+        message: `${path} needs approval from one of ${owners.join(', ')}${teams.length > 0 ? ' (team owners are not expanded to their members)' : ''}`,
+        path,
+        meta: { owners }
+      };
+    });
+}
@@ -0,0 +1,161 @@
+/**
+ * Conventional PR Gate - PR title and commit message conventions
+ * Part of Cogni Gate Evaluation system
+ *
+ * Validates the PR title (and, with `check_commits: true`, each commit subject) against
+ * Conventional Commits `type(scope)!: subject`, restricted to the configured `types` and
+ * `scopes`, or against a custom `pattern` regex instead. Merge commits are skipped.
+ */
+
+import { listAllPages } from '../pagination.js';
+import { isRetryableError } from '../../transient-errors.js';
+
+// Gate registry contract exports
+export const type = 'conventional-pr';
+export const description = 'Requires the PR title and optionally every commit message to follow Conventional Commits or a custom pattern';
+// The PR title can change without a new head SHA
+export const cacheable = false;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    types: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    scopes: { type: 'array', items: { type: 'string' } },
+    require_scope: { type: 'boolean' },
+    pattern: { type: 'string', minLength: 1 },
+    check_commits: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+export const DEFAULT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+const CONVENTIONAL_HEADER = /^(?<type>[a-zA-Z]+)(?:\((?<scope>[^()\r\n]*)\))?(?<breaking>!)?: (?<subject>\S.*)$/;
+const MERGE_COMMIT = /^Merge (branch|pull request|remote-tracking branch|[0-9a-f]{7,40} into) /;
+
+/**
+ * Registry-compatible run function for conventional-pr gate
+ * @param {object} ctx - Run context with vcs, pr, etc.
+ * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal cancels API requests on deadline
+ * @returns {Promise<object>} Normalized gate result
+ */
+export async function run(ctx, gate, { signal } = {}) {
+  const config = gate.with || {};
+
+  let conventions;
+  try {
+    conventions = {
+      types: config.types || DEFAULT_TYPES,
+      scopes: config.scopes || null,
+      requireScope: config.require_scope === true,
+      pattern: config.pattern ? new RegExp(config.pattern) : null
+    };
+  } catch (error) {
+    return {
+      status: 'fail',
+      violations: [{
+        code: 'invalid_pattern',
+        message: `conventional-pr pattern is not a valid regular expression: ${error.message}`,
+        path: '.cogni/repo-spec.yaml',
+        meta: {}
+      }],
+      stats: {}
+    };
+  }
+
+  const violations = [];
+  const title = ctx.pr.title || '';
+  const titleProblem = checkHeader(title, conventions);
+  if (titleProblem) {
+    violations.push({
+      code: 'invalid_pr_title',
+      message: `PR title "${title}" ${titleProblem}`,
+      path: null,
+      meta: { title }
+    });
+  }
+
+  const stats = { title_valid: !titleProblem };
+  if (config.check_commits !== true) {
+    return { status: violations.length > 0 ? 'fail' : 'pass', violations, stats };
+  }
+
+  let commits;
+  try {
+    commits = await listAllPages(ctx.vcs.pulls.listCommits, ctx.repo({ pull_number: ctx.pr.number, request: { signal } }));
+  } catch (error) {
+    // The title check still stands; only an otherwise clean PR goes neutral
+    if (violations.length > 0) {
+      return { status: 'fail', violations, stats: { ...stats, error: error.message } };
+    }
+    return {
+      status: 'neutral',
+      neutral_reason: 'api_error',
+      retryable: isRetryableError(error),
+      violations: [],
+      stats: { ...stats, error: error.message }
+    };
+  }
+
+  let commitsChecked = 0;
+  for (const { sha, commit } of commits) {
+    const header = (commit?.message || '').split('\n')[0].trim();
+    if (MERGE_COMMIT.test(header)) continue;
+
+    commitsChecked++;
+    const problem = checkHeader(header, conventions);
+    if (problem) {
+      violations.push({
+        code: 'invalid_commit_message',
+        message: `Commit ${sha.slice(0, 7)} "${header}" ${problem}`,
+        path: null,
+        meta: { sha }
+      });
+    }
+  }
+
+  return {
+    status: violations.length > 0 ? 'fail' : 'pass',
+    violations,
+    stats: {
+      ...stats,
+      commits_checked: commitsChecked,
+      invalid_commits: violations.filter(v => v.code === 'invalid_commit_message').length
+    }
+  };
+}
+
+/**
+ * Check a PR title or commit subject against the conventions
+ * @param {string} header - Title or first line of a commit message
+ * @param {{types: string[], scopes: string[]|null, requireScope: boolean, pattern: RegExp|null}} conventions
+ * @returns {string|null} What is wrong, phrased to follow the quoted header, or null when valid
+ */
+export function checkHeader(header, { types = DEFAULT_TYPES, scopes = null, requireScope = false, pattern = null } = {}) {
+  if (pattern) {
+    return pattern.test(header) ? null : `does not match /${pattern.source}/`;
+  }
+
+  const match = CONVENTIONAL_HEADER.exec(header);
+  if (!match) {
+    return 'is not a Conventional Commits header (type(scope): subject)';
+  }
+
+  const { type: headerType, scope } = match.groups;
+  if (!types.includes(headerType)) {
+    return `uses type "${headerType}"; allowed: ${types.join(', ')}`;
+  }
+  if (scope === undefined) {
+    return requireScope ? 'needs a scope' : null;
+  }
+  if (scope.trim() === '') {
+    return 'has an empty scope';
+  }
+
+  if (scopes) {
+    const unknown = scope.split(',').map(s => s.trim()).filter(s => !scopes.includes(s));
+    if (unknown.length > 0) {
+      return `uses scope "${unknown.join(', ')}"; allowed: ${scopes.join(', ')}`;
+    }
+  }
+  return null;
+}
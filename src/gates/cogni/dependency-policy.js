@@ -0,0 +1,322 @@
+/**
+ * Dependency Policy Gate - Deterministic checks on npm dependency changes
+ * Part of Cogni Gate Evaluation system
+ *
+ * Diffs package.json and package-lock.json between the PR base and head, reports added,
+ * removed and major-bumped packages as observations, and enforces repo-spec rules:
+ * `denylist`, `license_allowlist` (from lockfile package metadata) and
+ * `require_lockfile_update`. Counterpart to the healthy-deps AI metric.
+ */
+
+import micromatch from 'micromatch';
+import { listAllPages } from '../pagination.js';
+import { isNotFoundError } from '../vcs-errors.js';
+import { isRetryableError } from '../../transient-errors.js';
+
+// Gate registry contract exports
+export const type = 'dependency-policy';
+export const description = 'Reports dependency changes and fails on denylisted packages, disallowed licenses or stale lockfiles';
+export const cacheable = true;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    manifest_path: { type: 'string' },
+    lockfile_path: { type: 'string' },
+    denylist: { type: 'array', items: { type: 'string' } },
+    license_allowlist: { type: 'array', items: { type: 'string' } },
+    require_lockfile_update: { type: 'boolean' },
+    allow_major_bumps: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+/**
+ * Registry-compatible run function for dependency-policy gate
+ * @param {object} ctx - Run context with vcs, pr, etc.
+ * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal cancels API requests on deadline
+ * @returns {Promise<object>} Normalized gate result
+ */
+export async function run(ctx, gate, { signal } = {}) {
+  const config = gate.with || {};
+  const manifestPath = config.manifest_path || 'package.json';
+  const lockfilePath = config.lockfile_path || 'package-lock.json';
+  const denylist = config.denylist || [];
+  const licenseAllowlist = config.license_allowlist || [];
+
+  try {
+    const changedFiles = await listAllPages(ctx.vcs.pulls.listFiles, ctx.repo({ pull_number: ctx.pr.number, request: { signal } }));
+    const changed = new Set(changedFiles.map(f => f.filename));
+    const manifestChanged = changed.has(manifestPath);
+    const lockfileChanged = changed.has(lockfilePath);
+
+    if (!manifestChanged && !lockfileChanged) {
+      return { status: 'pass', violations: [], stats: { manifest_changed: false, lockfile_changed: false } };
+    }
+
+    const read = (path, ref) => readJsonAtRef(ctx, path, ref, signal);
+    const [baseManifest, headManifest, baseLock, headLock] = await Promise.all([
+      read(manifestPath, ctx.pr.base?.sha),
+      read(manifestPath, ctx.pr.head?.sha),
+      lockfileChanged ? read(lockfilePath, ctx.pr.base?.sha) : null,
+      lockfileChanged ? read(lockfilePath, ctx.pr.head?.sha) : null
+    ]);
+
+    if (headManifest && headManifest.data === null) {
+      return {
+        status: 'fail',
+        violations: [{
+          code: 'invalid_manifest',
+          message: `${manifestPath} is not valid JSON at the PR head`,
+          path: manifestPath,
+          meta: {}
+        }],
+        stats: { manifest_changed: manifestChanged, lockfile_changed: lockfileChanged }
+      };
+    }
+
+    const basePackages = lockfilePackages(baseLock?.data);
+    const headPackages = lockfilePackages(headLock?.data);
+    const changes = diffManifests(baseManifest?.data, headManifest?.data, basePackages, headPackages);
+    const lockfileAdded = headPackages ? diffLockfilePackages(basePackages || new Map(), headPackages) : [];
+
+    const violations = [];
+    const observations = [
+      ...changes.added.map(d => `Added ${d.name}@${d.version} (${d.section})`),
+      ...changes.removed.map(d => `Removed ${d.name} (${d.section})`),
+      ...changes.majorBumps.map(d => `Major bump ${d.name} ${d.from} → ${d.to} (${d.section})`)
+    ];
+
+    if (config.require_lockfile_update !== false && changes.rangesChanged && !lockfileChanged) {
+      violations.push({
+        code: 'lockfile_not_updated',
+        message: `${manifestPath} dependencies changed but ${lockfilePath} did not`,
+        path: lockfilePath,
+        meta: {}
+      });
+    }
+
+    if (config.allow_major_bumps === false) {
+      for (const bump of changes.majorBumps) {
+        violations.push({
+          code: 'major_version_bump',
+          message: `${bump.name} bumped a major version: ${bump.from} → ${bump.to}`,
+          path: manifestPath,
+          meta: { package: bump.name, from: bump.from, to: bump.to }
+        });
+      }
+    }
+
+    // Transitive additions come from the lockfile; direct ones are also caught without it
+    const addedNames = new Set([...changes.added.map(d => d.name), ...lockfileAdded.map(p => p.name)]);
+    for (const name of addedNames) {
+      if (denylist.length > 0 && micromatch.isMatch(name, denylist)) {
+        violations.push({
+          code: 'denylisted_dependency',
+          message: `${name} is on the dependency denylist`,
+          path: changes.added.some(d => d.name === name) ? manifestPath : lockfilePath,
+          meta: { package: name }
+        });
+      }
+    }
+
+    const stats = {
+      manifest_changed: manifestChanged,
+      lockfile_changed: lockfileChanged,
+      dependencies_added: changes.added.length,
+      dependencies_removed: changes.removed.length,
+      major_bumps: changes.majorBumps.length,
+      lockfile_packages_added: lockfileAdded.length
+    };
+
+    if (licenseAllowlist.length > 0 && lockfileChanged) {
+      if (!headPackages) {
+        // Without lockfile metadata the allowlist cannot be enforced; other violations still stand
+        if (violations.length > 0) {
+          return { status: 'fail', violations, observations, stats };
+        }
+        return {
+          status: 'neutral',
+          neutral_reason: 'lockfile_unavailable',
+          violations: [],
+          observations,
+          stats: { ...stats, error: `${lockfilePath} could not be read as a v2+ lockfile` }
+        };
+      }
+
+      for (const pkg of lockfileAdded) {
+        if (!isLicenseAllowed(pkg.license, licenseAllowlist)) {
+          violations.push({
+            code: 'license_not_allowed',
+            message: `${pkg.name}@${pkg.version} is licensed ${pkg.license || 'UNKNOWN'}, which is not in the license allowlist`,
+            path: lockfilePath,
+            meta: { package: pkg.name, version: pkg.version, license: pkg.license || null }
+          });
+        }
+      }
+    }
+
+    return {
+      status: violations.length > 0 ? 'fail' : 'pass',
+      violations,
+      observations,
+      stats
+    };
+
+  } catch (error) {
+    return {
+      status: 'neutral',
+      neutral_reason: 'api_error',
+      retryable: isRetryableError(error),
+      violations: [],
+      stats: { error: error.message }
+    };
+  }
+}
+
+/**
+ * Read and parse a JSON file at a ref
+ * Requests the raw media type, which GitHub serves for files up to 100 MB (the default JSON
+ * response omits content over 1 MB); adapters that ignore it still return base64 content.
+ * @returns {Promise<{data: object|null}|null>} null when the file does not exist; data is null when
+ *   the file exists but its content is unavailable or cannot be parsed
+ */
+async function readJsonAtRef(ctx, path, ref, signal) {
+  let data;
+  try {
+    ({ data } = await ctx.vcs.repos.getContent(ctx.repo({ path, ref, mediaType: { format: 'raw' }, request: { signal } })));
+  } catch (error) {
+    if (isNotFoundError(error)) return null;
+    throw error;
+  }
+
+  let text;
+  if (typeof data === 'string') {
+    text = data;
+  } else if (data?.content && data.encoding !== 'none') {
+    text = Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+  } else {
+    return { data: null };
+  }
+
+  try {
+    return { data: JSON.parse(text) };
+  } catch {
+    return { data: null };
+  }
+}
+
+/**
+ * Index a v2/v3 lockfile's installed packages by install path
+ * @param {object|null|undefined} lockfile - Parsed package-lock.json
+ * @returns {Map<string, {name: string, version: string, license: string|null}>|null} null for missing or v1 lockfiles
+ */
+export function lockfilePackages(lockfile) {
+  if (!lockfile?.packages) return null;
+
+  const packages = new Map();
+  for (const [installPath, entry] of Object.entries(lockfile.packages)) {
+    // '' is the root project; links point at workspace folders
+    if (!installPath || entry.link) continue;
+    const name = entry.name || installPath.slice(installPath.lastIndexOf('node_modules/') + 'node_modules/'.length);
+    packages.set(installPath, { name, version: entry.version, license: normalizeLicense(entry.license) });
+  }
+  return packages;
+}
+
+/**
+ * Packages the head lockfile installs that the base did not (new install path or new version)
+ * @returns {Array<{name: string, version: string, license: string|null}>}
+ */
+function diffLockfilePackages(basePackages, headPackages) {
+  const added = [];
+  for (const [installPath, pkg] of headPackages) {
+    if (basePackages.get(installPath)?.version !== pkg.version) added.push(pkg);
+  }
+  return added;
+}
+
+/**
+ * Compare direct dependencies between two manifests
+ * Major bumps compare lockfile-resolved versions when available, else the declared ranges.
+ * @param {object|null|undefined} base - Parsed base package.json
+ * @param {object|null|undefined} head - Parsed head package.json
+ * @param {Map|null} [basePackages] - Base lockfile packages from lockfilePackages()
+ * @param {Map|null} [headPackages] - Head lockfile packages from lockfilePackages()
+ * @returns {{added: Array<object>, removed: Array<object>, majorBumps: Array<object>, rangesChanged: boolean}}
+ */
+export function diffManifests(base, head, basePackages = null, headPackages = null) {
+  const added = [];
+  const removed = [];
+  const majorBumps = [];
+  let rangesChanged = false;
+
+  for (const section of DEPENDENCY_SECTIONS) {
+    const before = base?.[section] || {};
+    const after = head?.[section] || {};
+
+    for (const [name, range] of Object.entries(after)) {
+      if (!(name in before)) {
+        added.push({ name, version: range, section });
+        rangesChanged = true;
+        continue;
+      }
+      if (before[name] === range && !headPackages) continue;
+      if (before[name] !== range) rangesChanged = true;
+
+      const from = basePackages?.get(`node_modules/${name}`)?.version ?? before[name];
+      const to = headPackages?.get(`node_modules/${name}`)?.version ?? range;
+      const fromMajor = majorOf(from);
+      const toMajor = majorOf(to);
+      if (fromMajor !== null && toMajor !== null && fromMajor !== toMajor) {
+        majorBumps.push({ name, from, to, section });
+      }
+    }
+
+    for (const name of Object.keys(before)) {
+      if (!(name in after)) {
+        removed.push({ name, section });
+        rangesChanged = true;
+      }
+    }
+  }
+
+  return { added, removed, majorBumps, rangesChanged };
+}
+
+/**
+ * Breaking-change component of a version or range: the major, or `0.minor` below 1.0
+ * @param {string} version - Version or range such as ^1.2.3
+ * @returns {string|null} null for non-semver specs (git URLs, tags, workspace:)
+ */
+function majorOf(version) {
+  const match = /^[\^~>=v\s]*(\d+)(?:\.(\d+))?/.exec(String(version));
+  if (!match) return null;
+  return match[1] === '0' && match[2] !== undefined ? `0.${match[2]}` : match[1];
+}
+
+function normalizeLicense(license) {
+  if (!license) return null;
+  if (typeof license === 'string') return license;
+  // Legacy `{ type }` objects and arrays of them
+  if (Array.isArray(license)) return license.map(l => l.type || l).join(' OR ');
+  return license.type || null;
+}
+
+/**
+ * Check an SPDX expression against the allowlist
+ * `A OR B` needs one allowed alternative; `A AND B` needs every part allowed.
+ * @param {string|null} license - SPDX expression from lockfile metadata
+ * @param {string[]} allowlist - Allowed license IDs
+ * @returns {boolean} True when allowed
+ */
+export function isLicenseAllowed(license, allowlist) {
+  if (!license) return false;
+  const allowed = new Set(allowlist.map(l => l.toLowerCase()));
+  return license
+    .replace(/[()]/g, '')
+    .split(/\s+OR\s+/i)
+    .some(alternative => alternative.split(/\s+AND\s+/i).every(id => allowed.has(id.trim().toLowerCase())));
+}
@@ -0,0 +1,186 @@
+/**
+ * Diff Patterns Gate - Declarative regex rules over PR patches
+ * Part of Cogni Gate Evaluation system
+ *
+ * Each rule scopes a regex to path globs with one of three modes:
+ *   - forbid_added: no added line may match (one violation per matching line)
+ *   - forbid_removed: no removed line may match
+ *   - require_in_file: each changed file in scope must match somewhere at the PR head
+ * Warning-severity rules are reported without failing the gate.
+ */
+
+import micromatch from 'micromatch';
+import { listAllPages } from '../pagination.js';
+import { parsePatchHunks } from '../patch-parser.js';
+import { isRetryableError } from '../../transient-errors.js';
+
+// Gate registry contract exports
+export const type = 'diff-patterns';
+export const description = 'Fails when added or removed lines match forbidden regexes, or changed files lack required ones';
+export const cacheable = true;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          paths: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          regex: { type: 'string', minLength: 1 },
+          flags: { type: 'string', pattern: '^[imsu]*$' },
+          mode: { enum: ['forbid_added', 'require_in_file', 'forbid_removed'] },
+          message: { type: 'string' },
+          severity: { enum: ['error', 'warning'] }
+        },
+        required: ['id', 'regex', 'mode'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['rules'],
+  additionalProperties: false
+};
+
+/**
+ * Registry-compatible run function for diff-patterns gate
+ * @param {object} ctx - Run context with vcs, pr, etc.
+ * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal cancels API requests on deadline
+ * @returns {Promise<object>} Normalized gate result
+ */
+export async function run(ctx, gate, { signal } = {}) {
+  const { rules, invalid } = compileRules(gate.with?.rules || []);
+
+  const violations = invalid.map(({ id, error }) => ({
+    code: 'invalid_rule',
+    message: `Diff pattern rule "${id}" has an invalid regular expression: ${error}`,
+    path: '.cogni/repo-spec.yaml',
+    meta: { rule: id }
+  }));
+
+  try {
+    const changedFiles = await listAllPages(ctx.vcs.pulls.listFiles, ctx.repo({ pull_number: ctx.pr.number, request: { signal } }));
+
+    violations.push(...matchPatchRules(changedFiles, rules));
+
+    const unreadable = [];
+    const requiredRules = rules.filter(r => r.mode === 'require_in_file');
+    for (const file of changedFiles) {
+      if (file.status === 'removed') continue;
+      const scoped = requiredRules.filter(rule => inScope(rule, file.filename));
+      if (scoped.length === 0) continue;
+
+      // One read per file, shared by every rule in scope
+      const content = await readHeadContent(ctx, file.filename, signal);
+      if (content === null) {
+        unreadable.push(file.filename);
+        continue;
+      }
+      for (const rule of scoped) {
+        if (!rule.pattern.test(content)) {
+          violations.push(toViolation(rule, file.filename, null, `${file.filename} must contain /${rule.regex}/`, {}));
+        }
+      }
+    }
+
+    const blocking = violations.filter(v => v.severity !== 'warning');
+    return {
+      status: blocking.length > 0 ? 'fail' : 'pass',
+      violations,
+      observations: unreadable.map(filePath => `${filePath} is too large to read; require_in_file rules skipped`),
+      stats: {
+        rules: rules.length,
+        files_checked: changedFiles.length,
+        files_unreadable: unreadable.length,
+        matches: violations.filter(v => v.code !== 'invalid_rule').length
+      }
+    };
+
+  } catch (error) {
+    return {
+      status: 'neutral',
+      neutral_reason: 'api_error',
+      retryable: isRetryableError(error),
+      violations: [],
+      stats: { error: error.message }
+    };
+  }
+}
+
+/**
+ * Read a file at the PR head as text
+ * @returns {Promise<string|null>} File content, or null when the host returns none (GitHub omits content over 1 MB)
+ */
+async function readHeadContent(ctx, filePath, signal) {
+  const { data } = await ctx.vcs.repos.getContent(
+    ctx.repo({ path: filePath, ref: ctx.pr.head?.sha, request: { signal } })
+  );
+  if (typeof data.content !== 'string' || data.encoding === 'none') return null;
+  return Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+}
+
+/**
+ * Compile rule regexes, separating rules whose regex does not compile
+ * @returns {{rules: Array<object>, invalid: Array<{id: string, error: string}>}}
+ */
+function compileRules(configured) {
+  const rules = [];
+  const invalid = [];
+  for (const rule of configured) {
+    try {
+      rules.push({ ...rule, paths: rule.paths || ['**'], pattern: new RegExp(rule.regex, rule.flags || '') });
+    } catch (error) {
+      invalid.push({ id: rule.id, error: error.message });
+    }
+  }
+  return { rules, invalid };
+}
+
+/**
+ * Apply forbid_added and forbid_removed rules to each file's patch
+ * Removed lines are reported at the nearest new-file line so they can still be annotated.
+ * @param {Array<object>} files - Changed files from pulls.listFiles
+ * @param {Array<object>} rules - Compiled rules (with a `pattern` RegExp)
+ * @returns {Array<object>} One violation per matching line
+ */
+export function matchPatchRules(files, rules) {
+  const violations = [];
+  const patchRules = rules.filter(r => r.mode === 'forbid_added' || r.mode === 'forbid_removed');
+
+  for (const file of files) {
+    const scoped = patchRules.filter(rule => inScope(rule, file.filename));
+    if (scoped.length === 0 || !file.patch) continue;
+
+    for (const line of parsePatchHunks(file.patch).flatMap(hunk => hunk.lines)) {
+      for (const rule of scoped) {
+        const type = rule.mode === 'forbid_added' ? 'add' : 'remove';
+        if (line.type !== type || !rule.pattern.test(line.content)) continue;
+
+        if (type === 'add') {
+          violations.push(toViolation(rule, file.filename, line.new_line, `Added line matches forbidden /${rule.regex}/`, {}));
+        } else {
+          const anchor = file.status === 'removed' ? null : Math.max(line.new_line - 1, 1);
+          violations.push(toViolation(rule, file.filename, anchor, `Removed line ${line.old_line} matches protected /${rule.regex}/`, { old_line: line.old_line }));
+        }
+      }
+    }
+  }
+  return violations;
+}
+
+function inScope(rule, filePath) {
+  return micromatch.isMatch(filePath, rule.paths, { dot: true });
+}
+
+function toViolation(rule, filePath, line, defaultMessage, meta) {
+  return {
+    code: rule.id,
+    severity: rule.severity || 'error',
+    message: rule.message || defaultMessage,
+    path: filePath,
+    line,
+    meta: { mode: rule.mode, ...meta }
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * File Size Policy Gate - Keeps binaries, oversized and generated files out of PRs
+ * Part of Cogni Gate Evaluation system
+ *
+ * Sizes come from one recursive git.getTree at the PR head; file content is only fetched
+ * when a NUL-byte sniff or generated-marker check needs it (adapters whose trees carry no
+ * sizes fall back to repos.getContent). Added files are binary when their extension says so
+ * or their first bytes contain NUL; every changed file is checked against the size limit of
+ * the first matching `size_limits` glob (else `max_file_kb`) and for generated/minified markers.
+ * Files that cannot be read are reported as observations and checked on what is known.
+ */
+
+import path from 'node:path';
+import micromatch from 'micromatch';
+import { listAllPages } from '../pagination.js';
+import { isRetryableError } from '../../transient-errors.js';
+
+// Gate registry contract exports
+export const type = 'file-size-policy';
+export const description = 'Fails on added binary files, files over size limits, and generated or minified files';
+export const cacheable = true;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    max_file_kb: { type: 'integer', minimum: 1 },
+    size_limits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          pattern: { type: 'string' },
+          max_kb: { type: 'integer', minimum: 1 }
+        },
+        required: ['pattern', 'max_kb'],
+        additionalProperties: false
+      }
+    },
+    binary_extensions: { type: 'array', items: { type: 'string' } },
+    detect_generated: { type: 'boolean' },
+    allowlist: { type: 'array', items: { type: 'string' } }
+  },
+  additionalProperties: false
+};
+
+const DEFAULT_MAX_FILE_KB = 1024;
+const DEFAULT_BINARY_EXTENSIONS = [
+  'exe', 'dll', 'so', 'dylib', 'bin', 'o', 'a', 'lib', 'class', 'jar', 'war', 'pyc', 'pyo', 'wasm',
+  'zip', 'tar', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'iso', 'dmg', 'deb', 'rpm', 'apk', 'msi'
+];
+const GENERATED_PATTERNS = ['**/*.min.js', '**/*.min.css', '**/*.map', '**/*.bundle.js', '**/*.generated.*', '**/__generated__/**'];
+const GENERATED_MARKER = /@generated\b|\bDO NOT EDIT\b|\bauto-?generated\b/i;
+// Git's own heuristic: a NUL byte in the first 8000 bytes means binary
+const SNIFF_BYTES = 8000;
+const MINIFIED_EXTENSIONS = new Set(['.js', '.mjs', '.cjs', '.css']);
+const MINIFIED_MIN_LINE_LENGTH = 500;
+// The contents API serves no content above this size, so larger files are not fetched
+const CONTENT_MAX_BYTES = 1024 * 1024;
+
+/**
+ * Registry-compatible run function for file-size-policy gate
+ * @param {object} ctx - Run context with vcs, pr, etc.
+ * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal cancels API requests on deadline
+ * @returns {Promise<object>} Normalized gate result
+ */
+export async function run(ctx, gate, { signal } = {}) {
+  const config = gate.with || {};
+  const allowlist = config.allowlist || [];
+  const binaryExtensions = new Set((config.binary_extensions || DEFAULT_BINARY_EXTENSIONS).map(ext => ext.replace(/^\./, '').toLowerCase()));
+
+  try {
+    const changedFiles = await listAllPages(ctx.vcs.pulls.listFiles, ctx.repo({ pull_number: ctx.pr.number, request: { signal } }));
+    const candidates = changedFiles.filter(file => file.status !== 'removed');
+    const toCheck = candidates.filter(file => !micromatch.isMatch(file.filename, allowlist, { dot: true }));
+    const policy = { ...config, binaryExtensions };
+
+    const entries = new Map();
+    if (toCheck.length > 0) {
+      const { data: tree } = await ctx.vcs.git.getTree(ctx.repo({ tree_sha: ctx.pr.head?.sha, recursive: 'true', request: { signal } }));
+      for (const entry of tree.tree) entries.set(entry.path, entry);
+    }
+
+    const violations = [];
+    const observations = [];
+    let filesChecked = 0;
+    for (const file of toCheck) {
+      const entry = entries.get(file.filename);
+      // Directories and submodules have no single size
+      if (entry && entry.type !== 'blob') continue;
+
+      const target = { path: file.filename, added: file.status === 'added', size: entry?.size ?? null, content: null };
+      if (target.size === null || (target.size <= CONTENT_MAX_BYTES && needsContent(target, policy))) {
+        try {
+          const { data } = await ctx.vcs.repos.getContent(
+            ctx.repo({ path: file.filename, ref: ctx.pr.head?.sha, request: { signal } })
+          );
+          if (Array.isArray(data) || (data.type && data.type !== 'file')) continue;
+          target.size = data.size ?? target.size;
+          // Hosted APIs omit content for very large files; the size limit still applies
+          target.content = data.content && data.encoding !== 'none' ? Buffer.from(data.content, data.encoding || 'base64') : null;
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          observations.push(`${file.filename} could not be read (${error.message}); checked by name and size only`);
+        }
+      }
+
+      filesChecked++;
+      violations.push(...checkFile(target, policy));
+    }
+
+    return {
+      status: violations.length > 0 ? 'fail' : 'pass',
+      violations,
+      observations,
+      stats: {
+        files_checked: filesChecked,
+        files_allowlisted: candidates.length - toCheck.length,
+        files_unreadable: observations.length,
+        binary_files: violations.filter(v => v.code === 'binary_file').length,
+        oversized_files: violations.filter(v => v.code === 'file_too_large').length,
+        generated_files: violations.filter(v => v.code === 'generated_file').length
+      }
+    };
+
+  } catch (error) {
+    return {
+      status: 'neutral',
+      neutral_reason: 'api_error',
+      retryable: isRetryableError(error),
+      violations: [],
+      stats: { error: error.message }
+    };
+  }
+}
+
+/**
+ * Apply the binary, size and generated-file checks to one file
+ * @param {{path: string, added: boolean, size: number|null, content: Buffer|null}} file - File at the PR head
+ * @param {object} policy - Gate config plus a `binaryExtensions` Set
+ * @returns {Array<object>} Violations carrying path and size
+ */
+export function checkFile(file, policy) {
+  const violations = [];
+  const size = file.size ?? file.content?.length ?? null;
+  const meta = { size_bytes: size };
+  const sizeLabel = size === null ? 'unknown size' : `${formatKb(size)} KB`;
+
+  if (file.added) {
+    const extension = path.extname(file.path).slice(1).toLowerCase();
+    const reason = policy.binaryExtensions?.has(extension) ? 'extension' : (isBinaryContent(file.content) ? 'content' : null);
+    if (reason) {
+      violations.push({
+        code: 'binary_file',
+        message: `${file.path} is a binary file (${reason === 'extension' ? `.${extension}` : 'NUL bytes'}, ${sizeLabel})`,
+        path: file.path,
+        meta: { ...meta, detected_by: reason }
+      });
+    }
+  }
+
+  const limit = sizeLimitFor(file.path, policy);
+  if (size !== null && size > limit.max_kb * 1024) {
+    violations.push({
+      code: 'file_too_large',
+      message: `${file.path} is ${sizeLabel}, over the ${limit.max_kb} KB limit${limit.pattern ? ` for ${limit.pattern}` : ''}`,
+      path: file.path,
+      meta: { ...meta, limit_kb: limit.max_kb, pattern: limit.pattern }
+    });
+  }
+
+  const generated = policy.detect_generated === false ? null : detectGenerated(file.path, file.content);
+  if (generated) {
+    violations.push({
+      code: 'generated_file',
+      message: `${file.path} looks generated (${generated}, ${sizeLabel})`,
+      path: file.path,
+      meta: { ...meta, detected_by: generated }
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * @returns {boolean} True when the NUL-byte sniff or the generated-marker check needs the file content
+ */
+function needsContent(file, policy) {
+  // Empty files and known binary extensions have nothing to sniff or scan
+  if (file.size === 0 || policy.binaryExtensions.has(path.extname(file.path).slice(1).toLowerCase())) return false;
+  if (file.added) return true;
+  return policy.detect_generated !== false && !micromatch.isMatch(file.path, GENERATED_PATTERNS, { dot: true });
+}
+
+function sizeLimitFor(filePath, policy) {
+  const match = (policy.size_limits || []).find(l => micromatch.isMatch(filePath, l.pattern, { dot: true }));
+  return match ? { max_kb: match.max_kb, pattern: match.pattern } : { max_kb: policy.max_file_kb ?? DEFAULT_MAX_FILE_KB, pattern: null };
+}
+
+function isBinaryContent(content) {
+  return Boolean(content) && content.subarray(0, SNIFF_BYTES).includes(0);
+}
+
+/**
+ * @returns {string|null} Why the file looks generated, or null
+ */
+function detectGenerated(filePath, content) {
+  if (micromatch.isMatch(filePath, GENERATED_PATTERNS, { dot: true })) return 'file name';
+  if (!content || isBinaryContent(content)) return null;
+
+  const head = content.subarray(0, SNIFF_BYTES).toString('utf8');
+  if (GENERATED_MARKER.test(head.split('\n').slice(0, 5).join('\n'))) return 'generated marker';
+
+  if (MINIFIED_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    const lines = head.split('\n');
+    const averageLength = head.length / lines.length;
+    if (averageLength > MINIFIED_MIN_LINE_LENGTH) return 'minified';
+  }
+  return null;
+}
+
+function formatKb(bytes) {
+  return Math.round((bytes / 1024) * 10) / 10;
+}
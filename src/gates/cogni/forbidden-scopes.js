@@ -0,0 +1,198 @@
+/**
+ * Forbidden Scopes Gate - Keeps PRs out of paths and scopes the repo has ruled out
+ * Part of Cogni Gate Evaluation system
+ *
+ * Deterministic checks: changed files matching `forbidden_paths` (globs on the full path)
+ * or `forbidden_patterns` (globs on the file name) fail the gate, one violation per file.
+ * Optional AI pass (`non_goal_drift: true`): flags diffs drifting into intent.non_goals;
+ * only findings that cite a changed file count.
+ */
+
+import micromatch from 'micromatch';
+import * as aiProvider from '../../ai/provider.js';
+import { listAllPages } from '../pagination.js';
+import { isRetryableError } from '../../transient-errors.js';
+
+// Gate registry contract exports
+export const type = 'forbidden-scopes';
+export const description = 'Fails when the PR touches forbidden paths or drifts into declared non-goals';
+export const cacheable = true;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    forbidden_paths: { type: 'array', items: { type: 'string' } },
+    forbidden_patterns: { type: 'array', items: { type: 'string' } },
+    non_goal_drift: { type: 'boolean' },
+    drift_threshold: { type: 'number', minimum: 0, maximum: 1 },
+    timeout_ms: { type: 'integer', minimum: 1 }
+  },
+  additionalProperties: false
+};
+
+const DEFAULT_DRIFT_THRESHOLD = 0.7;
+const DRIFT_WORKFLOW_ID = 'non-goal-drift';
+
+/**
+ * Registry-compatible run function for forbidden-scopes gate
+ * @param {object} ctx - Run context with vcs, pr, spec, etc.
+ * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal cancels API and LLM calls on deadline
+ * @returns {Promise<object>} Normalized gate result
+ */
+export async function run(ctx, gate, { signal } = {}) {
+  const config = gate.with || {};
+  const forbiddenPaths = config.forbidden_paths || [];
+  const forbiddenPatterns = config.forbidden_patterns || [];
+  const driftEnabled = config.non_goal_drift === true;
+  const nonGoals = Array.isArray(ctx.spec?.intent?.non_goals) ? ctx.spec.intent.non_goals : [];
+  const hasGlobs = forbiddenPaths.length > 0 || forbiddenPatterns.length > 0;
+
+  const violations = [];
+  const stats = {
+    repo_non_goals_count: nonGoals.length,
+    forbidden_paths: forbiddenPaths.length,
+    forbidden_patterns: forbiddenPatterns.length
+  };
+
+  // Without globs there is nothing deterministic to enforce, so the repo must at least declare non-goals
+  if (nonGoals.length === 0 && (driftEnabled || !hasGlobs)) {
+    violations.push({
+      code: 'repo_has_no_non_goals',
+      message: 'Repository specification must define at least one non_goal in intent.non_goals[]',
+      path: '.cogni/repo-spec.yaml',
+      meta: {}
+    });
+  }
+
+  if (!hasGlobs && !driftEnabled) {
+    return { status: violations.length > 0 ? 'fail' : 'pass', violations, stats };
+  }
+
+  let changedFiles;
+  try {
+    changedFiles = await listAllPages(ctx.vcs.pulls.listFiles, ctx.repo({ pull_number: ctx.pr.number, request: { signal } }));
+  } catch (error) {
+    return {
+      status: 'neutral',
+      neutral_reason: 'api_error',
+      retryable: isRetryableError(error),
+      violations: [],
+      stats: { ...stats, error: error.message }
+    };
+  }
+  stats.changed_files = changedFiles.length;
+
+  violations.push(...findForbiddenFiles(changedFiles, forbiddenPaths, forbiddenPatterns));
+
+  if (driftEnabled && nonGoals.length > 0) {
+    const providerResult = await aiProvider.evaluateWithWorkflow({
+      workflowId: DRIFT_WORKFLOW_ID,
+      workflowInput: { context: ctx, nonGoals, files: changedFiles }
+    }, {
+      timeoutMs: config.timeout_ms || 110000,
+      signal
+    }, ctx.log);
+
+    if (providerResult.error) {
+      // Deterministic violations still stand; only an otherwise clean PR goes neutral
+      if (violations.length > 0) {
+        return { status: 'fail', violations, stats: { ...stats, drift_error: providerResult.error.message } };
+      }
+      return {
+        status: 'neutral',
+        neutral_reason: providerResult.error.code,
+        retryable: providerResult.error.retryable === true,
+        violations: [],
+        stats: { ...stats, error: providerResult.error.message }
+      };
+    }
+
+    const threshold = config.drift_threshold ?? DEFAULT_DRIFT_THRESHOLD;
+    const driftViolations = collectDriftViolations(providerResult.findings, nonGoals, changedFiles, threshold);
+    violations.push(...driftViolations);
+    stats.drift_findings = providerResult.findings?.length ?? 0;
+    stats.drift_violations = driftViolations.length;
+
+    return {
+      status: violations.length > 0 ? 'fail' : 'pass',
+      violations,
+      stats,
+      provenance: providerResult.provenance
+    };
+  }
+
+  return { status: violations.length > 0 ? 'fail' : 'pass', violations, stats };
+}
+
+/**
+ * Report each changed file that matches a forbidden path or file-name glob
+ * Renamed files are checked under both their old and new path.
+ * @param {Array<object>} files - Changed files from pulls.listFiles
+ * @param {string[]} forbiddenPaths - Globs matched against the full path
+ * @param {string[]} forbiddenPatterns - Globs matched against the file name
+ * @returns {Array<object>} One violation per offending file
+ */
+export function findForbiddenFiles(files, forbiddenPaths, forbiddenPatterns) {
+  const violations = [];
+
+  for (const file of files) {
+    const paths = [file.filename, file.previous_filename].filter(Boolean);
+
+    const pathGlob = forbiddenPaths.find(glob => paths.some(p => micromatch.isMatch(p, glob, { dot: true })));
+    if (pathGlob) {
+      violations.push({
+        code: 'forbidden_path',
+        message: `${file.filename} is in forbidden path ${pathGlob}`,
+        path: file.filename,
+        meta: { glob: pathGlob, status: file.status }
+      });
+      continue;
+    }
+
+    const nameGlob = forbiddenPatterns.find(glob => paths.some(p => micromatch.isMatch(p, glob, { dot: true, basename: true })));
+    if (nameGlob) {
+      violations.push({
+        code: 'forbidden_pattern',
+        message: `${file.filename} matches forbidden pattern ${nameGlob}`,
+        path: file.filename,
+        meta: { glob: nameGlob, status: file.status }
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Turn AI drift findings into violations
+ * Findings below the threshold, naming an undeclared non-goal, or citing no changed file are dropped.
+ * @param {Array<object>} findings - Workflow findings: {non_goal, confidence, explanation, evidence}
+ * @param {string[]} nonGoals - Declared intent.non_goals
+ * @param {Array<object>} files - Changed files from pulls.listFiles
+ * @param {number} threshold - Minimum confidence
+ * @returns {Array<object>} One violation per accepted finding, located at its first citation
+ */
+export function collectDriftViolations(findings, nonGoals, files, threshold) {
+  const declared = new Map(nonGoals.map(goal => [normalize(goal), goal]));
+  const changed = new Set(files.map(f => f.filename));
+
+  return (findings || []).flatMap(finding => {
+    const nonGoal = declared.get(normalize(finding.non_goal));
+    if (!nonGoal || !(finding.confidence >= threshold)) return [];
+
+    const evidence = (finding.evidence || []).filter(e => changed.has(e.path));
+    if (evidence.length === 0) return [];
+
+    return [{
+      code: 'non_goal_drift',
+      message: `Drifts into non-goal "${nonGoal}": ${finding.explanation}`,
+      path: evidence[0].path,
+      line: Number.isInteger(evidence[0].line) && evidence[0].line > 0 ? evidence[0].line : null,
+      meta: { non_goal: nonGoal, confidence: finding.confidence, evidence }
+    }];
+  });
+}
+
+function normalize(text) {
+  return String(text ?? '').trim().toLowerCase();
+}
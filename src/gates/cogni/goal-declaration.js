@@ -0,0 +1,226 @@
+/**
+ * Goal Declaration Gate - Ties each PR to a declared repo goal
+ * Part of Cogni Gate Evaluation system
+ *
+ * A PR passes when its title or body references a goal by ID (`Goal: G-3`), or, with
+ * `ai_match: true`, when the AI matches it to one of intent.goals. Goals are strings
+ * (implicit IDs G-1, G-2, ... by position) or `{id, description}` objects.
+ * The matched goal is recorded in stats; failures list the closest candidate goals.
+ */
+
+import * as aiProvider from '../../ai/provider.js';
+
+// Gate registry contract exports
+export const type = 'goal-declaration';
+export const description = 'Requires the PR to reference a declared repo goal by ID or AI match';
+// The PR title and body can change without a new head SHA
+export const cacheable = false;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    ai_match: { type: 'boolean' },
+    match_threshold: { type: 'number', minimum: 0, maximum: 1 },
+    max_candidates: { type: 'integer', minimum: 1 },
+    timeout_ms: { type: 'integer', minimum: 1 }
+  },
+  additionalProperties: false
+};
+
+const DEFAULT_MATCH_THRESHOLD = 0.7;
+const DEFAULT_MAX_CANDIDATES = 3;
+const MATCH_WORKFLOW_ID = 'goal-match';
+
+// `Goal: G-3`, `goals: G-1, G-2` (case-insensitive); not `Non-goals:`
+const GOAL_REFERENCE = /(?<![\w-])goals?\s*:\s*([A-Za-z0-9][\w.-]*(?:\s*,\s*[A-Za-z0-9][\w.-]*)*)/gi;
+// Implicit IDs; only these and declared IDs count as references, so `goal: improve perf` is prose
+const IMPLICIT_GOAL_ID = /^G-\d+$/i;
+
+/**
+ * Registry-compatible run function for goal-declaration gate
+ * @param {object} ctx - Run context with spec, pr, etc.
+ * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal aborts the LLM call on deadline
+ * @returns {Promise<object>} Normalized gate result
+ */
+export async function run(ctx, gate, { signal } = {}) {
+  const config = gate.with || {};
+  const goals = normalizeGoals(ctx.spec?.intent?.goals);
+  const maxCandidates = config.max_candidates ?? DEFAULT_MAX_CANDIDATES;
+  const stats = { repo_goals_count: goals.length, matched_goal: null };
+
+  if (goals.length === 0) {
+    return {
+      status: 'fail',
+      violations: [{
+        code: 'repo_has_no_goals',
+        message: 'Repository specification must define at least one goal in intent.goals[]',
+        path: '.cogni/repo-spec.yaml',
+        meta: {}
+      }],
+      stats
+    };
+  }
+
+  const prText = `${ctx.pr?.title || ''}\n${ctx.pr?.body || ''}`;
+
+  // 1) Explicit references win; a reference to an undeclared ID is an error, not a fallback
+  const references = findGoalReferences(prText, goals.map(goal => goal.id));
+  if (references.length > 0) {
+    const byId = new Map(goals.map(goal => [goal.id.toLowerCase(), goal]));
+    const matched = references.map(id => byId.get(id.toLowerCase())).filter(Boolean);
+
+    if (matched.length > 0) {
+      return {
+        status: 'pass',
+        violations: [],
+        stats: { ...stats, matched_goal: { ...matched[0], via: 'reference' }, matched_goal_ids: matched.map(g => g.id) }
+      };
+    }
+
+    const candidates = rankGoalCandidates(prText, goals, maxCandidates);
+    return {
+      status: 'fail',
+      violations: [{
+        code: 'unknown_goal_reference',
+        message: `PR references ${references.map(id => `Goal: ${id}`).join(', ')}, which is not declared. ${describeCandidates(candidates)}`,
+        path: null,
+        meta: { references, candidates }
+      }],
+      stats: { ...stats, candidates }
+    };
+  }
+
+  // 2) Optional AI match against the declared goals
+  if (config.ai_match === true) {
+    const providerResult = await aiProvider.evaluateWithWorkflow({
+      workflowId: MATCH_WORKFLOW_ID,
+      workflowInput: { context: ctx, goals }
+    }, {
+      timeoutMs: config.timeout_ms || 110000,
+      signal
+    }, ctx.log);
+
+    if (providerResult.error) {
+      return {
+        status: 'neutral',
+        neutral_reason: providerResult.error.code,
+        retryable: providerResult.error.retryable === true,
+        violations: [],
+        stats: { ...stats, error: providerResult.error.message }
+      };
+    }
+
+    const ranked = rankAiMatches(providerResult.matches, goals);
+    const threshold = config.match_threshold ?? DEFAULT_MATCH_THRESHOLD;
+    const best = ranked[0];
+
+    if (best && best.score >= threshold) {
+      return {
+        status: 'pass',
+        violations: [],
+        stats: { ...stats, matched_goal: { id: best.id, description: best.description, via: 'ai', confidence: best.score } },
+        provenance: providerResult.provenance
+      };
+    }
+
+    const candidates = ranked.slice(0, maxCandidates);
+    return {
+      status: 'fail',
+      violations: [createNoGoalViolation(candidates)],
+      stats: { ...stats, candidates },
+      provenance: providerResult.provenance
+    };
+  }
+
+  const candidates = rankGoalCandidates(prText, goals, maxCandidates);
+  return {
+    status: 'fail',
+    violations: [createNoGoalViolation(candidates)],
+    stats: { ...stats, candidates }
+  };
+}
+
+/**
+ * Normalize intent.goals to `{id, description}`; string goals get positional IDs G-1, G-2, ...
+ * @param {Array<string|object>} goals - intent.goals from repo-spec
+ * @returns {Array<{id: string, description: string}>} Goals with IDs
+ */
+export function normalizeGoals(goals) {
+  if (!Array.isArray(goals)) return [];
+  return goals
+    .map((goal, index) => (typeof goal === 'string'
+      ? { id: `G-${index + 1}`, description: goal }
+      : { id: String(goal?.id ?? `G-${index + 1}`), description: String(goal?.description ?? goal?.id ?? '') }))
+    .filter(goal => goal.description);
+}
+
+/**
+ * Extract goal IDs referenced as `Goal: <id>` in PR text
+ * Only IDs shaped like goal IDs count: declared IDs and implicit `G-<n>` IDs (declared or not).
+ * @param {string} text - PR title and body
+ * @param {string[]} [declaredIds] - IDs from intent.goals
+ * @returns {string[]} Referenced IDs in order of appearance, without duplicates
+ */
+export function findGoalReferences(text, declaredIds = []) {
+  const declared = new Set(declaredIds.map(id => id.toLowerCase()));
+  const ids = [];
+  for (const match of text.matchAll(GOAL_REFERENCE)) {
+    for (const id of match[1].split(',').map(part => part.trim())) {
+      if (!id || ids.includes(id)) continue;
+      if (declared.has(id.toLowerCase()) || IMPLICIT_GOAL_ID.test(id)) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Rank goals by word overlap with the PR text (deterministic fallback for candidate lists)
+ * @param {string} text - PR title and body
+ * @param {Array<{id: string, description: string}>} goals - Normalized goals
+ * @param {number} limit - Maximum candidates
+ * @returns {Array<{id: string, description: string, score: number}>} Closest goals first
+ */
+export function rankGoalCandidates(text, goals, limit) {
+  const prWords = new Set(tokenize(text));
+  return goals
+    .map((goal, index) => {
+      const goalWords = tokenize(goal.description);
+      const shared = goalWords.filter(word => prWords.has(word)).length;
+      const score = goalWords.length > 0 ? Math.round((shared / goalWords.length) * 100) / 100 : 0;
+      return { id: goal.id, description: goal.description, score, index };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ index: _index, ...candidate }) => candidate);
+}
+
+/**
+ * Join AI scores onto declared goals, ignoring IDs the model invented
+ */
+function rankAiMatches(matches, goals) {
+  const scores = new Map((matches || []).map(m => [String(m.goal_id).toLowerCase(), m]));
+  return goals
+    .map(goal => {
+      const match = scores.get(goal.id.toLowerCase());
+      return { id: goal.id, description: goal.description, score: match?.confidence ?? 0, rationale: match?.rationale };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+function createNoGoalViolation(candidates) {
+  return {
+    code: 'no_goal_referenced',
+    message: `PR does not reference a declared goal. Add "Goal: <id>" to the PR description. ${describeCandidates(candidates)}`,
+    path: null,
+    meta: { candidates }
+  };
+}
+
+function describeCandidates(candidates) {
+  if (candidates.length === 0) return '';
+  return `Closest goals: ${candidates.map(c => `${c.id} (${c.description})`).join(', ')}`;
+}
+
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[a-z0-9]{3,}/g) || [];
+}
@@ -1,6 +1,11 @@
 import { CONTEXT_TO_WORKFLOW, PR_REVIEW_NAME } from '../../constants.js';
+import { isNotFoundError } from '../vcs-errors.js';
 
 export const type = 'governance-policy';
+export const description = 'Checks that required status contexts have matching workflow files';
+// Workflows are read from the default branch, which can change without a new PR head
+export const cacheable = false;
+export const configSchema = { type: 'object', additionalProperties: false };
 
 /**
  * Governance Policy Gate - MVP version
@@ -75,7 +80,7 @@ export async function run(context, _gate) {
         }
         
       } catch (error) {
-        if (error.status === 404) {
+        if (isNotFoundError(error)) {
           violations.push({
             code: 'workflow_missing',
             message: `Required workflow file "${workflowPath}" not found for context "${contextName}"`,
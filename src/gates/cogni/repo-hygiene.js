@@ -0,0 +1,245 @@
+/**
+ * Repo Hygiene Gate - Evaluates a repolinter ruleset against the PR head tree
+ * Part of Cogni Gate Evaluation system
+ *
+ * Loads a repolinter v2 ruleset from the repo (repolinter.json by default), falling back to
+ * the ruleset bundled with the rails templates. Supports the file-existence, file-not-exists
+ * and file-contents rule types; each failed rule becomes a violation carrying its policyInfo,
+ * at `warning` severity for warning-level rules.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import micromatch from 'micromatch';
+import { RAILS_TEMPLATE_PATH } from '../../constants.js';
+import { isNotFoundError } from '../vcs-errors.js';
+import { isRetryableError } from '../../transient-errors.js';
+
+// Gate registry contract exports
+export const type = 'repo-hygiene';
+export const description = 'Checks repository files against a repolinter ruleset (file existence and contents)';
+export const cacheable = true;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    ruleset_path: { type: 'string' },
+    fail_on_warning: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUNDLED_RULESET_PATH = path.join(__dirname, '..', '..', '..', RAILS_TEMPLATE_PATH, 'repolinter.json');
+const DEFAULT_RULESET_PATHS = ['repolinter.json', '.github/repolinter.json'];
+
+/**
+ * Registry-compatible run function for repo-hygiene gate
+ * @param {object} ctx - Run context with vcs, pr, etc.
+ * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal cancels API requests on deadline
+ * @returns {Promise<object>} Normalized gate result
+ */
+export async function run(ctx, gate, { signal } = {}) {
+  const config = gate.with || {};
+  const ref = ctx.pr.head?.sha;
+
+  try {
+    const loaded = await loadRuleset(ctx, config.ruleset_path ? [config.ruleset_path] : DEFAULT_RULESET_PATHS, ref, signal);
+    const problem = loaded.ruleset ? validateRuleset(loaded.ruleset) : 'not valid JSON';
+    if (problem) {
+      return {
+        status: 'fail',
+        violations: [{
+          code: 'invalid_ruleset',
+          message: `Repolinter ruleset ${loaded.source} is ${problem}`,
+          path: loaded.source === 'bundled' ? null : loaded.source,
+          meta: {}
+        }],
+        stats: { ruleset_source: loaded.source }
+      };
+    }
+
+    const { data: tree } = await ctx.vcs.git.getTree(ctx.repo({ tree_sha: ref, recursive: 'true', request: { signal } }));
+    const repo = {
+      files: tree.tree.filter(entry => entry.type === 'blob').map(entry => entry.path),
+      dirs: tree.tree.filter(entry => entry.type === 'tree').map(entry => entry.path),
+      readFile: async (filePath) => {
+        const { data } = await ctx.vcs.repos.getContent(ctx.repo({ path: filePath, ref, request: { signal } }));
+        return Buffer.from(data.content || '', data.encoding === 'none' ? 'utf8' : (data.encoding || 'base64')).toString('utf8');
+      }
+    };
+
+    const { results, skipped } = await evaluateRuleset(loaded.ruleset, repo);
+    const violations = results.filter(r => !r.passed).map(r => ({
+      code: r.id,
+      severity: r.level === 'warning' ? 'warning' : 'error',
+      message: `${r.policyInfo || r.id} (${r.detail})`,
+      path: r.path ?? null,
+      meta: { rule_type: r.type }
+    }));
+    const blocking = violations.filter(v => v.severity === 'error' || config.fail_on_warning === true);
+
+    return {
+      status: blocking.length > 0 ? 'fail' : 'pass',
+      violations,
+      observations: [
+        ...results.map(r => `${r.passed ? 'pass' : r.level}: ${r.id}${r.policyInfo ? ` — ${r.policyInfo}` : ''}`),
+        ...skipped.map(s => `skipped: ${s.id} (${s.reason})`)
+      ],
+      stats: {
+        ruleset_source: loaded.source,
+        rules_evaluated: results.length,
+        rules_failed: violations.length,
+        rules_skipped: skipped.length,
+        tree_truncated: tree.truncated === true
+      }
+    };
+
+  } catch (error) {
+    return {
+      status: 'neutral',
+      neutral_reason: 'api_error',
+      retryable: isRetryableError(error),
+      violations: [],
+      stats: { error: error.message }
+    };
+  }
+}
+
+/**
+ * Load the first ruleset found at the PR head, else the bundled template ruleset
+ * @returns {Promise<{source: string, ruleset: object|null}>} ruleset is null when the file is not valid JSON
+ */
+async function loadRuleset(ctx, paths, ref, signal) {
+  for (const rulesetPath of paths) {
+    let data;
+    try {
+      ({ data } = await ctx.vcs.repos.getContent(ctx.repo({ path: rulesetPath, ref, request: { signal } })));
+    } catch (error) {
+      if (isNotFoundError(error)) continue;
+      throw error;
+    }
+    return { source: rulesetPath, ruleset: parseJson(Buffer.from(data.content, data.encoding || 'base64').toString('utf8')) };
+  }
+  return { source: 'bundled', ruleset: parseJson(fs.readFileSync(BUNDLED_RULESET_PATH, 'utf8')) };
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @returns {string|null} Problem description, or null for a usable v2 ruleset
+ */
+function validateRuleset(ruleset) {
+  if (ruleset.version !== 2) return `version ${ruleset.version ?? 'missing'}; only version 2 rulesets are supported`;
+  if (!ruleset.rules || typeof ruleset.rules !== 'object' || Array.isArray(ruleset.rules)) return 'missing a rules object';
+
+  // A bad regex is a ruleset error, not an API failure to retry
+  for (const [id, entry] of Object.entries(ruleset.rules)) {
+    if (entry?.level === 'off' || entry?.rule?.type !== 'file-contents') continue;
+    const { content, flags } = entry.rule.options || {};
+    try {
+      new RegExp(content, flags || '');
+    } catch (error) {
+      return `invalid: rule ${id} content is not a valid regular expression (${error.message})`;
+    }
+  }
+  return null;
+}
+
+const RULE_EVALUATORS = {
+  'file-existence': async (options, repo) => {
+    const globs = toList(options.globsAny);
+    const match = candidates(repo, options).find(p => matches(p, globs, options));
+    return match
+      ? { passed: true, detail: `found ${match}`, path: match }
+      : { passed: false, detail: `no file matches ${globs.join(', ')}` };
+  },
+
+  'file-not-exists': async (options, repo) => {
+    const globs = toList(options.globsAll);
+    const found = candidates(repo, options).filter(p => matches(p, globs, options));
+    return found.length === 0
+      ? { passed: true, detail: `no file matches ${globs.join(', ')}` }
+      : { passed: false, detail: `found ${found.slice(0, 5).join(', ')}${found.length > 5 ? ` and ${found.length - 5} more` : ''}`, path: found[0] };
+  },
+
+  'file-contents': async (options, repo) => {
+    const globs = toList(options.globsAll);
+    const files = repo.files.filter(p => matches(p, globs, options));
+    if (files.length === 0) {
+      return options['fail-on-non-existent'] === true
+        ? { passed: false, detail: `no file matches ${globs.join(', ')}` }
+        : { passed: true, detail: `no file matches ${globs.join(', ')}` };
+    }
+
+    const expected = options['human-readable-content'] || options.content;
+    for (const file of files) {
+      // A fresh regex per file: with g or y flags, lastIndex would carry over between files
+      const pattern = new RegExp(options.content, options.flags || '');
+      if (!pattern.test(await repo.readFile(file))) {
+        return { passed: false, detail: `${file} does not contain ${expected}`, path: file };
+      }
+    }
+    return { passed: true, detail: `${files.length} file(s) contain ${expected}` };
+  }
+};
+
+/**
+ * Evaluate every enabled rule of a repolinter v2 ruleset
+ * Rules with `where` axiom conditions or unsupported types are skipped, not failed.
+ * @param {object} ruleset - Parsed repolinter ruleset
+ * @param {{files: string[], dirs: string[], readFile: (path: string) => Promise<string>}} repo - Head tree access
+ * @returns {Promise<{results: Array<object>, skipped: Array<{id: string, reason: string}>}>}
+ */
+export async function evaluateRuleset(ruleset, repo) {
+  const results = [];
+  const skipped = [];
+
+  for (const [id, entry] of Object.entries(ruleset.rules)) {
+    const level = entry.level || 'error';
+    if (level === 'off') continue;
+
+    const ruleType = entry.rule?.type;
+    const evaluate = RULE_EVALUATORS[ruleType];
+    if (!evaluate) {
+      skipped.push({ id, reason: `unsupported rule type ${ruleType || 'missing'}` });
+      continue;
+    }
+    if (entry.where && toList(entry.where).length > 0) {
+      skipped.push({ id, reason: 'axiom conditions are not supported' });
+      continue;
+    }
+
+    let outcome;
+    try {
+      outcome = await evaluate(entry.rule.options || {}, repo);
+    } catch (error) {
+      // A bad regex or unreadable file fails the rule rather than the whole gate
+      if (isRetryableError(error)) throw error;
+      outcome = { passed: false, detail: error.message };
+    }
+    results.push({ id, type: ruleType, level, policyInfo: entry.policyInfo, ...outcome });
+  }
+
+  return { results, skipped };
+}
+
+function candidates(repo, options) {
+  return options.dirs === true ? [...repo.files, ...repo.dirs] : repo.files;
+}
+
+function matches(filePath, globs, options) {
+  return micromatch.isMatch(filePath, globs, { dot: true, nocase: options.nocase === true });
+}
+
+function toList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
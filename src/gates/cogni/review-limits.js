@@ -5,6 +5,16 @@
 
 // Gate registry contract exports
 export const type = 'review-limits';
+export const description = 'Fails when the PR changes more files or a larger diff than configured';
+export const cacheable = true;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    max_changed_files: { type: 'integer', minimum: 0 },
+    max_total_diff_kb: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
 
 /**
  * Evaluate review limits for a PR against configured limits
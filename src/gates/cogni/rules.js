@@ -8,14 +8,46 @@
 import { loadSingleRule } from '../../spec-loader.js';
 import * as aiProvider from '../../ai/provider.js';
 import { assertProviderResult } from '../../ai/schemas/validators.js';
+import { isRetryableError } from '../../transient-errors.js';
 
 export const type = 'ai-rule';
+export const description = 'Evaluates the PR against one AI rule file from .cogni/rules';
+export const cacheable = true;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    rule_file: { type: 'string' },
+    rules_dir: { type: 'string' },
+    blocking_default: { type: 'boolean' },
+    neutral_on_error: { type: 'boolean' },
+    timeout_ms: { type: 'integer', minimum: 1 }
+  },
+  additionalProperties: false
+};
 
+/**
+ * Result cache inputs: rule files load from the default branch, so a rule edit must miss the cache
+ * @param {object} ctx - Run context
+ * @param {object} gateConfig - Gate configuration from spec
+ * @returns {Promise<{rule_hash: string|null}>} Content hash of the loaded rule
+ */
+export async function cacheInputs(ctx, gateConfig) {
+  const config = gateConfig.with || gateConfig;
+  const ruleResult = await loadSingleRule(ctx, {
+    rulesDir: config.rules_dir || '.cogni/rules',
+    ruleFile: config.rule_file,
+    blockingDefault: config.blocking_default !== false
+  }, ctx.log);
+  return { rule_hash: ruleResult.ok ? ruleResult.rule._metadata.hash : null };
+}
 
 /**
  * Evaluate PR against the first enabled AI rule
+ * @param {object} ctx - Run context
+ * @param {object} gateConfig - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal aborts the LLM call on deadline
  */
-export async function run(ctx, gateConfig) {
+export async function run(ctx, gateConfig, { signal } = {}) {
   const startTime = Date.now();
   const config = gateConfig.with || gateConfig; // Handle both formats
 
@@ -49,9 +81,18 @@ export async function run(ctx, gateConfig) {
       workflowId,
       workflowInput: providerInput
     }, {
-      timeoutMs: config.timeout_ms || 110000  // Leave 10s buffer for gate processing. TODO - make dynamic/configurable
+      timeoutMs: config.timeout_ms || 110000,  // Leave 10s buffer for gate processing. TODO - make dynamic/configurable
+      signal
     }, ctx.log);
 
+    // Provider failures (e.g. a 502 from the model API) come back as error responses
+    if (providerResult.error) {
+      return {
+        ...createNeutralResult(providerResult.error.code, providerResult.error.message, startTime),
+        retryable: providerResult.error.retryable === true
+      };
+    }
+
     // Runtime validation: Ensure provider result follows standard format
     try {
       assertProviderResult(providerResult);
@@ -64,14 +105,24 @@ export async function run(ctx, gateConfig) {
     }
 
     // Step 6: Make gate decision based on provider output
-    return makeGateDecision(providerResult, rule, startTime);
+    const decision = makeGateDecision(providerResult, rule, startTime);
+
+    // Record which policy version produced this verdict
+    return {
+      ...decision,
+      provenance: {
+        ...decision.provenance,
+        spec_hash: ctx.spec?._hash ?? null,
+        rule_hash: rule._metadata?.hash ?? null
+      }
+    };
 
   } catch (error) {
     ctx.log.error({ err: error }, 'Rules gate error');
 
     const shouldBeNeutral = config.neutral_on_error !== false;
     if (shouldBeNeutral) {
-      return createNeutralResult('internal_error', error.message, startTime);
+      return { ...createNeutralResult('internal_error', error.message, startTime), retryable: isRetryableError(error) };
     } else {
       return {
         status: 'fail',
@@ -0,0 +1,190 @@
+/**
+ * Secret Scan Gate - Flags credentials added by a PR
+ * Part of Cogni Gate Evaluation system
+ *
+ * Scans the added lines of each file patch with built-in credential patterns,
+ * repo-spec `custom_patterns`, and an entropy heuristic for secret-looking assignments.
+ * Findings carry file and line only: matched values never reach check text, meta or logs.
+ */
+
+import micromatch from 'micromatch';
+import { listAllPages } from '../pagination.js';
+import { parseAddedLines } from '../patch-parser.js';
+import { isRetryableError } from '../../transient-errors.js';
+
+// Gate registry contract exports
+export const type = 'secret-scan';
+export const description = 'Fails when added lines contain credentials, private keys or high-entropy secrets';
+export const cacheable = true;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    custom_patterns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          regex: { type: 'string', minLength: 1 },
+          description: { type: 'string' }
+        },
+        required: ['id', 'regex'],
+        additionalProperties: false
+      }
+    },
+    entropy: { type: 'boolean' },
+    entropy_threshold: { type: 'number', minimum: 0, maximum: 8 },
+    exclude_paths: { type: 'array', items: { type: 'string' } }
+  },
+  additionalProperties: false
+};
+
+export const BUILTIN_PATTERNS = [
+  { id: 'aws_access_key_id', description: 'AWS access key ID', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { id: 'aws_secret_access_key', description: 'AWS secret access key', regex: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?[A-Za-z0-9/+=]{40}\b/i },
+  { id: 'private_key', description: 'private key block', regex: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/ },
+  { id: 'github_token', description: 'GitHub token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/ },
+  { id: 'openrouter_api_key', description: 'OpenRouter API key', regex: /\bsk-or-v1-[A-Za-z0-9]{32,}\b/ }
+];
+
+const DEFAULT_ENTROPY_THRESHOLD = 4.5;
+const MIN_ENTROPY_TOKEN_LENGTH = 20;
+// Entropy alone flags hashes and lockfile integrity values, so only values assigned to secret-like names count
+const SECRET_ASSIGNMENT = /(?:secret|token|passw(?:or)?d|api_?key|access_?key|credential|auth)[\w-]*["']?\s*[:=]\s*["'`]?([A-Za-z0-9+/=_\-.]+)/gi;
+
+/**
+ * Registry-compatible run function for secret-scan gate
+ * @param {object} ctx - Run context with vcs, pr, etc.
+ * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal cancels API requests on deadline
+ * @returns {Promise<object>} Normalized gate result
+ */
+export async function run(ctx, gate, { signal } = {}) {
+  const config = gate.with || {};
+  const excludePaths = config.exclude_paths || [];
+  const { patterns, invalid } = compilePatterns(config.custom_patterns || []);
+
+  const violations = invalid.map(({ id, error }) => ({
+    code: 'invalid_custom_pattern',
+    message: `Custom secret pattern "${id}" is not a valid regular expression: ${error}`,
+    path: '.cogni/repo-spec.yaml',
+    meta: { pattern_id: id }
+  }));
+
+  let changedFiles;
+  try {
+    changedFiles = await listAllPages(ctx.vcs.pulls.listFiles, ctx.repo({ pull_number: ctx.pr.number, request: { signal } }));
+  } catch (error) {
+    return {
+      status: 'neutral',
+      neutral_reason: 'api_error',
+      retryable: isRetryableError(error),
+      violations: [],
+      stats: { error: error.message }
+    };
+  }
+
+  const options = {
+    entropy: config.entropy !== false,
+    entropyThreshold: config.entropy_threshold ?? DEFAULT_ENTROPY_THRESHOLD
+  };
+  let filesScanned = 0;
+  let filesWithoutPatch = 0;
+  for (const file of changedFiles) {
+    if (file.status === 'removed' || micromatch.isMatch(file.filename, excludePaths, { dot: true })) continue;
+    // Binary and oversized files come without a patch
+    if (!file.patch) {
+      filesWithoutPatch++;
+      continue;
+    }
+
+    filesScanned++;
+    for (const finding of scanPatch(file.patch, patterns, options)) {
+      violations.push({
+        code: 'secret_detected',
+        message: `Possible ${finding.description} added in ${file.filename}:${finding.line}`,
+        path: file.filename,
+        line: finding.line,
+        meta: { rule: finding.rule }
+      });
+    }
+  }
+
+  const findings = violations.filter(v => v.code === 'secret_detected').length;
+  return {
+    status: violations.length > 0 ? 'fail' : 'pass',
+    violations,
+    stats: {
+      files_scanned: filesScanned,
+      files_without_patch: filesWithoutPatch,
+      findings,
+      custom_patterns: patterns.length - BUILTIN_PATTERNS.length
+    }
+  };
+}
+
+/**
+ * Compile repo-spec custom patterns after the built-in set
+ * @param {Array<{id: string, regex: string, description?: string}>} custom - custom_patterns from gate config
+ * @returns {{patterns: Array<object>, invalid: Array<{id: string, error: string}>}}
+ */
+function compilePatterns(custom) {
+  const patterns = [...BUILTIN_PATTERNS];
+  const invalid = [];
+  for (const { id, regex, description: label } of custom) {
+    try {
+      patterns.push({ id, description: label || id, regex: new RegExp(regex) });
+    } catch (error) {
+      invalid.push({ id, error: error.message });
+    }
+  }
+  return { patterns, invalid };
+}
+
+/**
+ * Scan a file patch's added lines
+ * Each rule is reported at most once per line; entropy only runs on lines no pattern matched.
+ * @param {string} patch - Unified diff for one file
+ * @param {Array<{id: string, description: string, regex: RegExp}>} patterns - Compiled patterns
+ * @param {{entropy?: boolean, entropyThreshold?: number}} [options] - Entropy heuristic settings
+ * @returns {Array<{line: number, rule: string, description: string}>} Findings, without matched values
+ */
+export function scanPatch(patch, patterns = BUILTIN_PATTERNS, { entropy = true, entropyThreshold = DEFAULT_ENTROPY_THRESHOLD } = {}) {
+  const findings = [];
+  for (const { line, content } of parseAddedLines(patch)) {
+    const matched = patterns.filter(p => p.regex.test(content));
+    for (const p of matched) {
+      findings.push({ line, rule: p.id, description: p.description });
+    }
+
+    if (entropy && matched.length === 0 && hasHighEntropySecret(content, entropyThreshold)) {
+      findings.push({ line, rule: 'high_entropy_secret', description: 'high-entropy secret' });
+    }
+  }
+  return findings;
+}
+
+function hasHighEntropySecret(content, threshold) {
+  for (const [, value] of content.matchAll(SECRET_ASSIGNMENT)) {
+    if (value.length >= MIN_ENTROPY_TOKEN_LENGTH && shannonEntropy(value) >= threshold) return true;
+  }
+  return false;
+}
+
+/**
+ * Shannon entropy in bits per character
+ * @param {string} value - Candidate secret
+ * @returns {number} Entropy (0 for empty strings)
+ */
+export function shannonEntropy(value) {
+  if (!value) return 0;
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
@@ -0,0 +1,129 @@
+/**
+ * Tests Required Gate - Source changes must come with test changes
+ * Part of Cogni Gate Evaluation system
+ *
+ * Each mapping pairs `source_patterns` with `test_patterns`: when a changed file matches a
+ * mapping's sources, some changed file must match its tests. `{name}` in a test pattern is
+ * the source file name without extension, e.g. `test/unit/{name}.test.js`.
+ */
+
+import path from 'node:path';
+import micromatch from 'micromatch';
+import { listAllPages } from '../pagination.js';
+import { isRetryableError } from '../../transient-errors.js';
+
+// Gate registry contract exports
+export const type = 'tests-required';
+export const description = 'Requires matching test changes when source files change';
+// Exempt labels can be added without a new head SHA
+export const cacheable = false;
+export const configSchema = {
+  type: 'object',
+  properties: {
+    mappings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          source_patterns: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          test_patterns: { type: 'array', items: { type: 'string' }, minItems: 1 }
+        },
+        required: ['source_patterns', 'test_patterns'],
+        additionalProperties: false
+      }
+    },
+    exempt_labels: { type: 'array', items: { type: 'string' } },
+    exempt_paths: { type: 'array', items: { type: 'string' } }
+  },
+  additionalProperties: false
+};
+
+const DEFAULT_MAPPINGS = [{
+  source_patterns: ['src/**', 'lib/**'],
+  test_patterns: ['test/**', 'tests/**', '**/__tests__/**', '**/*.test.*', '**/*.spec.*']
+}];
+
+/**
+ * Registry-compatible run function for tests-required gate
+ * @param {object} ctx - Run context with vcs, pr, etc.
+ * @param {object} gate - Gate configuration from spec
+ * @param {{signal?: AbortSignal}} [options] - Launcher options; signal cancels the API request on deadline
+ * @returns {Promise<object>} Normalized gate result
+ */
+export async function run(ctx, gate, { signal } = {}) {
+  const config = gate.with || {};
+  const mappings = config.mappings || DEFAULT_MAPPINGS;
+  const exemptLabels = config.exempt_labels || [];
+
+  const labels = (ctx.pr.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+  const exemptLabel = labels.find(label => exemptLabels.includes(label));
+  if (exemptLabel) {
+    return { status: 'pass', violations: [], stats: { exempt_label: exemptLabel } };
+  }
+
+  try {
+    const changedFiles = await listAllPages(ctx.vcs.pulls.listFiles, ctx.repo({ pull_number: ctx.pr.number, request: { signal } }));
+
+    const { violations, sourceFiles } = findUntestedFiles(changedFiles, mappings, config.exempt_paths || []);
+
+    return {
+      status: violations.length > 0 ? 'fail' : 'pass',
+      violations,
+      stats: {
+        total_changed_files: changedFiles.length,
+        source_files_checked: sourceFiles,
+        untested_files: violations.length
+      }
+    };
+
+  } catch (error) {
+    return {
+      status: 'neutral',
+      neutral_reason: 'api_error',
+      retryable: isRetryableError(error),
+      violations: [],
+      stats: { error: error.message }
+    };
+  }
+}
+
+/**
+ * Report each changed source file whose mapping saw no test change
+ * Removed files, exempt paths and files that are themselves tests are not sources.
+ * @param {Array<object>} files - Changed files from pulls.listFiles
+ * @param {Array<{source_patterns: string[], test_patterns: string[]}>} mappings - Source→test mappings
+ * @param {string[]} [exemptPaths] - Globs for source files that never need tests
+ * @returns {{violations: Array<object>, sourceFiles: number}}
+ */
+export function findUntestedFiles(files, mappings, exemptPaths = []) {
+  const changed = files.map(f => f.filename);
+  const allTestPatterns = mappings.flatMap(m => m.test_patterns.filter(p => !p.includes('{name}')));
+  const violations = [];
+  let sourceFiles = 0;
+
+  for (const file of files) {
+    if (file.status === 'removed') continue;
+    const filename = file.filename;
+    if (micromatch.isMatch(filename, exemptPaths, { dot: true })) continue;
+    if (micromatch.isMatch(filename, allTestPatterns, { dot: true })) continue;
+
+    const applicable = mappings.filter(m => micromatch.isMatch(filename, m.source_patterns, { dot: true }));
+    if (applicable.length === 0) continue;
+    sourceFiles++;
+
+    const name = path.basename(filename, path.extname(filename));
+    const expected = applicable.flatMap(m => m.test_patterns.map(p => p.replaceAll('{name}', name)));
+    const tested = changed.some(other => other !== filename && micromatch.isMatch(other, expected, { dot: true }));
+
+    if (!tested) {
+      violations.push({
+        code: 'missing_tests',
+        message: `${filename} changed without a matching test change (expected ${expected.join(', ')})`,
+        path: filename,
+        meta: { test_patterns: expected }
+      });
+    }
+  }
+
+  return { violations, sourceFiles };
+}
@@ -0,0 +1,97 @@
+/**
+ * Gate Conditions - Evaluates `when:` clauses on gate entries
+ * A gate whose condition does not match is reported as skipped, never silently dropped
+ */
+
+import micromatch from 'micromatch';
+import { listAllPages } from './pagination.js';
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).map(String);
+
+/**
+ * Create lazily-resolved PR facts shared by all gates in a run
+ * Changed files are only fetched when some gate actually filters on them.
+ * @param {import('../adapters/base-context.d.ts').BaseContext} context - Run context with pr metadata
+ * @returns {{pr: object, changedFiles: Function}} Facts accessor
+ */
+export function createConditionFacts(context) {
+  let changedFilesPromise = null;
+
+  return {
+    pr: context.pr || {},
+    changedFiles() {
+      if (!changedFilesPromise) {
+        changedFilesPromise = listAllPages(context.vcs.pulls.listFiles, context.repo({ pull_number: context.pr?.number }))
+          .then(files => files.map(file => file.filename));
+      }
+      return changedFilesPromise;
+    }
+  };
+}
+
+/**
+ * Evaluate a gate's `when:` block; all listed clauses must match
+ *
+ * Supported clauses:
+ * - changed_files: glob(s), matches when any changed file matches any glob
+ * - base_branch: branch name(s) or glob(s)
+ * - labels: label name(s), matches when the PR carries any of them
+ * - author: login(s) or glob(s), e.g. "dependabot[bot]"
+ * - draft: boolean
+ *
+ * @param {object|undefined} when - Condition block from the gate entry
+ * @param {object} facts - Facts from createConditionFacts()
+ * @returns {Promise<{matched: boolean, reason?: string}>} Match result with skip reason
+ */
+export async function evaluateWhen(when, facts) {
+  if (!when) return { matched: true };
+
+  const { pr } = facts;
+
+  for (const [clause, expected] of Object.entries(when)) {
+    switch (clause) {
+      case 'changed_files': {
+        const patterns = toList(expected);
+        const files = await facts.changedFiles();
+        if (!files.some(file => micromatch.isMatch(file, patterns, { dot: true }))) {
+          return { matched: false, reason: `no changed files match ${patterns.join(', ')}` };
+        }
+        break;
+      }
+      case 'base_branch': {
+        const patterns = toList(expected);
+        const baseRef = pr.base?.ref;
+        if (!baseRef || !micromatch.isMatch(baseRef, patterns)) {
+          return { matched: false, reason: `base branch ${baseRef || 'unknown'} not in ${patterns.join(', ')}` };
+        }
+        break;
+      }
+      case 'labels': {
+        const wanted = toList(expected);
+        const labels = pr.labels || [];
+        if (!wanted.some(label => labels.includes(label))) {
+          return { matched: false, reason: `PR has none of labels ${wanted.join(', ')}` };
+        }
+        break;
+      }
+      case 'author': {
+        const patterns = toList(expected);
+        const author = pr.author;
+        if (!author || !micromatch.isMatch(author, patterns)) {
+          return { matched: false, reason: `author ${author || 'unknown'} not in ${patterns.join(', ')}` };
+        }
+        break;
+      }
+      case 'draft': {
+        if (Boolean(pr.draft) !== Boolean(expected)) {
+          return { matched: false, reason: expected ? 'PR is not a draft' : 'PR is a draft' };
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown when clause: ${clause}`);
+    }
+  }
+
+  return { matched: true };
+}
@@ -0,0 +1,88 @@
+/**
+ * Gate Graph - Gate identity and `needs:` dependency validation
+ * Shared by the launcher (scheduling) and the spec loader (SPEC_INVALID reporting)
+ */
+
+/**
+ * Derive unique gate ID from gate specification
+ * @param {object} gateSpec - Gate configuration from spec
+ * @returns {string} Derived gate ID
+ */
+export function deriveGateId(gateSpec) {
+  if (gateSpec.id) return gateSpec.id;  // Explicit wins
+
+  // Auto-derive for ai-rule from rule_file basename
+  if (gateSpec.type === 'ai-rule' && gateSpec.with?.rule_file) {
+    return gateSpec.with.rule_file.replace(/\.ya?ml$/, '');
+  }
+
+  return gateSpec.type;  // Fallback
+}
+
+/**
+ * Normalize a gate's `needs:` entry to an array of gate IDs
+ * @param {object} gateSpec - Gate configuration from spec
+ * @returns {string[]} Upstream gate IDs
+ */
+export function getNeeds(gateSpec) {
+  if (gateSpec.needs == null) return [];
+  return Array.isArray(gateSpec.needs) ? gateSpec.needs : [gateSpec.needs];
+}
+
+/**
+ * Validate that all gate IDs are unique
+ * @param {Array<object>} gates - Array of gate specifications
+ * @throws {Error} If duplicate IDs are found
+ */
+export function validateUniqueIds(gates) {
+  const ids = new Set();
+  for (const gate of gates) {
+    const id = deriveGateId(gate);
+    if (ids.has(id)) {
+      throw new Error(`Duplicate gate ID: ${id}`);
+    }
+    ids.add(id);
+  }
+}
+
+/**
+ * Validate gate IDs and the `needs:` graph: unique IDs, known upstreams, no cycles
+ * @param {Array<object>} gates - Array of gate specifications
+ * @throws {Error} Describing the first problem found
+ */
+export function validateGateGraph(gates) {
+  validateUniqueIds(gates);
+
+  const needsById = new Map(gates.map(gate => [deriveGateId(gate), getNeeds(gate)]));
+
+  for (const [id, needs] of needsById) {
+    for (const upstream of needs) {
+      if (!needsById.has(upstream)) {
+        throw new Error(`Gate "${id}" needs unknown gate "${upstream}"`);
+      }
+    }
+  }
+
+  // Depth-first search; a gate reached again while still on the stack closes a cycle
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+
+  const visit = (id) => {
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'visiting') {
+      const cycle = [...stack.slice(stack.indexOf(id)), id];
+      throw new Error(`Gate dependency cycle: ${cycle.join(' -> ')}`);
+    }
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const upstream of needsById.get(id)) {
+      visit(upstream);
+    }
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const id of needsById.keys()) {
+    visit(id);
+  }
+}
@@ -4,17 +4,20 @@
  */
 
 import { runConfiguredGates } from './run-configured.js';
+import { evaluateVerdict } from './verdict-policy.js';
+import { computeShadowAgreement, isShadowGate } from './shadow.js';
 
 /**
  * Run all gate evaluations for a PR with proper state management
  * @param {import('../adapters/base-context.d.ts').BaseContext} context - Base context interface
  * @param {object} pr - Pull request object from webhook  
  * @param {object} spec - Full repository specification
+ * @param {{rerun?: {gate_ids?: string[], failing?: boolean}}} [options] - Rerun request; other gates come from the result cache
  * @returns {Promise<{overall_status: string, gates: Array, duration_ms: number}>}
  */
 
-// No global timeout - gates handle their own timeouts individually
-export async function runAllGates(context, pr, spec) {
+// Deadlines are enforced by the launcher: per-gate timeout_ms and spec.run_timeout_ms
+export async function runAllGates(context, pr, spec, { rerun = null } = {}) {
   const started = Date.now();
   
   // Add execution metadata to context
@@ -31,13 +34,18 @@ export async function runAllGates(context, pr, spec) {
       }
     },
     base: {
-      sha: pr.base?.sha
+      sha: pr.base?.sha,
+      ref: pr.base?.ref
     },
+    labels: (pr.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    author: pr.user?.login,
+    draft: pr.draft === true,
     changed_files: pr.changed_files, 
     additions: pr.additions, 
     deletions: pr.deletions
   };
   context.spec = spec;
+  context.rerun = rerun;
   context.annotation_budget = 50;
   context.idempotency_key = `${context.payload.repository.full_name}:${pr.number}:${pr.head?.sha || pr.head_sha}:${spec?._hash || 'nospec'}`;
   
@@ -55,49 +63,49 @@ export async function runAllGates(context, pr, spec) {
     const gateCount = expectedGateCount;
     context.log.info({ gate_count: gateCount }, 'Starting gate execution');
 
-    // 1) Run all configured gates in spec order
+    // 1) Run configured gates: up to spec.gate_concurrency at once, each after its `needs:`; results come back in spec order
     const launcherResult = await runConfiguredGates({ context, pr, spec });
     const allGates = launcherResult?.results || [];
     
     // Detect partial execution 
     const isPartial = allGates.length < expectedGateCount;
-    const hasFail = allGates.some(r => r.status === 'fail');
-    const hasNeutral = allGates.some(r => r.status === 'neutral');
+    // Shadow gates (mode: shadow) are kept in the results but never count toward the verdict
+    const shadowGates = allGates.filter(isShadowGate);
+    const enforcedGates = allGates.filter(r => !isShadowGate(r));
+    // Gates skipped by `when:` are reported but never count toward the verdict
+    const executedGates = enforcedGates.filter(r => r.status !== 'skipped');
+    // Advisory gates (blocking: false) surface as warnings and never fail the verdict
+    const isWarning = (r) => r.status === 'fail' && r.blocking === false;
     
     // Create execution summary
-    const passCount = allGates.filter(r => r.status === 'pass').length;
-    const failCount = allGates.filter(r => r.status === 'fail').length;
-    const neutralCount = allGates.filter(r => r.status === 'neutral').length;
-    const timeoutCount = allGates.filter(r => r.neutral_reason === 'timeout').length;
+    const passCount = enforcedGates.filter(r => r.status === 'pass').length;
+    const failCount = enforcedGates.filter(r => r.status === 'fail' && !isWarning(r)).length;
+    const warningCount = enforcedGates.filter(isWarning).length;
+    const neutralCount = enforcedGates.filter(r => r.status === 'neutral').length;
+    const skippedCount = enforcedGates.length - executedGates.length;
+    const timeoutCount = enforcedGates.filter(r => r.neutral_reason === 'timeout').length;
+    const cachedCount = allGates.filter(r => r.cached === true).length;
     
     const summary = {
       expected: expectedGateCount,
       completed: allGates.length,
       passed: passCount,
       failed: failCount,
+      warnings: warningCount,
       neutral: neutralCount,
+      skipped: skippedCount,
       timed_out: timeoutCount,
+      cached: cachedCount,
       partial_execution: isPartial,
       total_duration_ms: Date.now() - started
     };
     
-    // Determine overall status - prioritize failures over partial execution
-    const hasNoGates = allGates.length === 0;
-    let overall_status;
-    let conclusion_reason;
-    
-    if (hasNoGates) {
-      overall_status = 'neutral';
-      conclusion_reason = 'no_gates_executed';
-    } else if (hasFail) {
-      overall_status = 'fail';
-      conclusion_reason = 'gates_failed';
-    } else if (hasNeutral) {
-      overall_status = 'neutral';
-      conclusion_reason = timeoutCount > 0 ? 'gate_timeouts' : 'gates_neutral';
-    } else {
-      overall_status = 'pass';
-      conclusion_reason = 'all_gates_passed';
+    // Determine overall status via the configured verdict policy (default: any fail = fail)
+    const verdict = evaluateVerdict(enforcedGates, spec.verdict_policy);
+    const { overall_status, conclusion_reason } = verdict;
+    summary.verdict_policy = verdict.policy;
+    if (shadowGates.length > 0) {
+      summary.shadow = computeShadowAgreement(shadowGates, overall_status);
     }
     
     // Log execution results
@@ -112,7 +120,8 @@ export async function runAllGates(context, pr, spec) {
       gates: allGates,
       duration_ms: Date.now() - started,
       execution_summary: summary,
-      conclusion_reason
+      conclusion_reason,
+      spec_hash: spec?._hash ?? null
     };
 
   } catch (error) {
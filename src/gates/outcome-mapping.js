@@ -0,0 +1,78 @@
+/**
+ * Outcome Mapping - Per-gate `on_error` / `on_neutral` handling
+ * Lets a gate entry decide how its own neutral or errored result counts toward the verdict:
+ *
+ *   - type: governance-policy
+ *     on_error: { treat_as: fail }     # gate could not evaluate (crash, timeout, API error)
+ *     on_neutral: { treat_as: pass }   # gate evaluated but returned neutral
+ *
+ * Gates without a mapping keep their neutral status; the repo-wide `fail_on_error`
+ * then decides the check conclusion for a neutral verdict (mapStatusToConclusion in index.js).
+ */
+
+export const TREAT_AS_VALUES = ['pass', 'neutral', 'fail'];
+
+// Neutral reasons meaning the gate could not produce a verdict at all
+export const ERROR_NEUTRAL_REASONS = new Set([
+  'internal_error',
+  'wrapper_error',
+  'timeout',
+  'unimplemented_gate',
+  'condition_error',
+  'api_error',
+  'ai_provider_error',
+  'invalid_provider_result',
+  'invalid_gate_result',
+  'no_rule',
+  'rule_missing',
+  'rule_invalid',
+  'rule_load_failed'
+]);
+
+/**
+ * Validate on_error / on_neutral blocks on gate entries
+ * @param {Array<object>} gates - Gate entries from repo-spec
+ * @throws {Error} Describing the first invalid mapping
+ */
+export function validateOutcomeMappings(gates) {
+  gates.forEach((gate, index) => {
+    for (const key of ['on_error', 'on_neutral']) {
+      if (gate[key] == null) continue;
+      const treatAs = gate[key]?.treat_as;
+      if (!TREAT_AS_VALUES.includes(treatAs)) {
+        throw new Error(`gates[${index}].${key}.treat_as must be one of ${TREAT_AS_VALUES.join(', ')}`);
+      }
+    }
+  });
+}
+
+/**
+ * Check whether a neutral result represents an evaluation error
+ * @param {object} result - Gate result
+ * @returns {boolean} True for errored results
+ */
+export function isErrorResult(result) {
+  return result.status === 'neutral' && ERROR_NEUTRAL_REASONS.has(result.neutral_reason);
+}
+
+/**
+ * Apply the gate's on_error / on_neutral mapping to its result
+ * on_error wins for errored results; on_neutral covers every other neutral.
+ * @param {object} gate - Gate entry from repo-spec
+ * @param {object} result - Normalized gate result
+ * @returns {object} Result with the effective status; `original_status` and `treated_as` record the mapping
+ */
+export function applyOutcomeMapping(gate, result) {
+  if (result.status !== 'neutral') return result;
+
+  const mapping = isErrorResult(result) ? (gate.on_error ?? gate.on_neutral) : gate.on_neutral;
+  const treatAs = mapping?.treat_as;
+  if (!treatAs || treatAs === 'neutral') return result;
+
+  return {
+    ...result,
+    status: treatAs,
+    original_status: result.status,
+    treated_as: treatAs
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Pagination - Read every page of a GitHub-style list endpoint
+ * GitHub pages PR files, commits and reviews (30 per page by default); stopping at the first page
+ * silently drops everything after it. Adapters without paging return everything on page 1.
+ */
+
+export const PAGE_SIZE = 100;
+
+/**
+ * Call a list method page by page until a short page comes back
+ * @param {(params: object) => Promise<{data: Array<any>}>} list - VCS list method, e.g. vcs.pulls.listFiles
+ * @param {object} params - Request params (owner, repo, pull_number, request...)
+ * @returns {Promise<Array<any>>} Items from all pages, in order
+ */
+export async function listAllPages(list, params) {
+  const items = [];
+  for (let page = 1; ; page++) {
+    const { data } = await list({ ...params, per_page: PAGE_SIZE, page });
+    items.push(...data);
+    if (data.length < PAGE_SIZE) return items;
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Patch Parser - Reads unified diff hunks from PR file patches
+ * Shared by gates that inspect what a PR adds or removes (pulls.listFiles `patch` field).
+ * Added and context lines carry new-file line numbers, so violations can point at them.
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+/**
+ * Parse a patch into line-numbered hunks
+ * Removed lines keep their old-file number and the new-file line they were removed before.
+ * @param {string|undefined} patch - Unified diff for one file (hunks only, no file headers)
+ * @returns {Array<{old_start: number, new_start: number, lines: Array<{type: 'add'|'remove'|'context', content: string, old_line: number|null, new_line: number}>}>}
+ */
+export function parsePatchHunks(patch) {
+  const hunks = [];
+  if (!patch) return hunks;
+
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  for (const raw of patch.replace(/\n$/, '').split('\n')) {
+    const header = HUNK_HEADER.exec(raw);
+    if (header) {
+      oldLine = Number(header[1]);
+      newLine = Number(header[2]);
+      hunk = { old_start: oldLine, new_start: newLine, lines: [] };
+      hunks.push(hunk);
+      continue;
+    }
+    // Content before the first hunk header is not part of the diff body
+    if (!hunk) continue;
+
+    if (raw.startsWith('+')) {
+      hunk.lines.push({ type: 'add', content: raw.slice(1), old_line: null, new_line: newLine++ });
+    } else if (raw.startsWith('-')) {
+      hunk.lines.push({ type: 'remove', content: raw.slice(1), old_line: oldLine++, new_line: newLine });
+    } else if (raw.startsWith(' ') || raw === '') {
+      hunk.lines.push({ type: 'context', content: raw.slice(1), old_line: oldLine++, new_line: newLine++ });
+    }
+    // '\ No newline at end of file' is metadata; blank lines are context stripped of their space
+  }
+  return hunks;
+}
+
+/**
+ * Extract the lines a patch adds
+ * @param {string|undefined} patch - Unified diff for one file (hunks only, no file headers)
+ * @returns {Array<{line: number, content: string}>} Added lines with their new-file line numbers
+ */
+export function parseAddedLines(patch) {
+  return parsePatchHunks(patch)
+    .flatMap(hunk => hunk.lines)
+    .filter(line => line.type === 'add')
+    .map(line => ({ line: line.new_line, content: line.content }));
+}
@@ -1,64 +1,174 @@
 /**
  * Gate Registry - Runtime discovery of available gates by scanning directories
  * Enables "drop a file" deployment without central configuration
+ *
+ * Sources, in precedence order:
+ *   1. Built-in gates in src/gates/cogni
+ *   2. Plugin directories (COGNI_GATE_DIRS)
+ *   3. Installed npm packages (COGNI_GATE_PACKAGES)
+ * The first source to register a type wins; later duplicates are recorded as conflicts.
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { pathToFileURL, fileURLToPath } from 'node:url';
+import { environment } from '../env.js';
+
+// Memoized registry for the configured plugin sources
+let registryPromise = null;
 
 /**
- * Build registry of available gates by scanning gate directories
+ * Build registry of available gates by scanning gate directories and plugin packages
  * @param {object} logger - Logger instance
- * @returns {Promise<{cogni: Map<string, Function>}>}
+ * @param {{dirs?: string[], packages?: string[]}} [plugins] - Extra gate sources
+ * @returns {Promise<{cogni: Map<string, Function>, sources: Map<string, object>, metadata: Map<string, object>, failures: Array<object>, conflicts: Array<object>}>}
  */
-export async function buildRegistry(logger) {
+export async function buildRegistry(logger, plugins = {}) {
   const log = logger.child({ module: 'gate-registry' });
   const registry = {
-    cogni: new Map()
+    cogni: new Map(),
+    sources: new Map(),  // type -> { kind, source }
+    metadata: new Map(), // type -> { description, configSchema, cacheable, cacheInputs }
+    failures: [],        // { kind, source, error }
+    conflicts: []        // { type, kept, rejected }
+  };
+
+  // Register a loaded module by its 'type' export
+  const register = (module, kind, source) => {
+    if (!module.type || typeof module.run !== 'function') {
+      return false;
+    }
+
+    const existing = registry.sources.get(module.type);
+    if (existing) {
+      registry.conflicts.push({ type: module.type, kept: existing.source, rejected: source });
+      log.error({ type: module.type, kept: existing.source, rejected: source }, `Duplicate gate type ${module.type}`);
+      return true;
+    }
+
+    registry.cogni.set(module.type, module.run);
+    registry.sources.set(module.type, { kind, source });
+    registry.metadata.set(module.type, {
+      description: module.description ?? null,
+      configSchema: module.configSchema ?? null,
+      cacheable: module.cacheable === true,
+      cacheInputs: typeof module.cacheInputs === 'function' ? module.cacheInputs : null
+    });
+    return true;
+  };
+
+  const recordFailure = (kind, source, error) => {
+    registry.failures.push({ kind, source, error: error.message });
+    log.warn({ err: error, kind, source }, `Failed to load gate ${source}`);
   };
 
   // Load gates from a directory
   const loadGatesFromDir = async (dir, kind) => {
     if (!fs.existsSync(dir)) {
+      if (kind !== 'builtin') recordFailure(kind, dir, new Error('Gate directory not found'));
       return;
     }
 
     const files = fs.readdirSync(dir);
-    
+
     for (const file of files) {
       if (!file.endsWith('.js')) {
         continue;
       }
 
+      const filePath = path.join(dir, file);
       try {
-        const filePath = path.join(dir, file);
         const fileUrl = pathToFileURL(filePath).href;
         const module = await import(fileUrl);
-
-        // Register cogni gates by their 'type' export
-        if (kind === 'cogni' && module.type && typeof module.run === 'function') {
-          registry.cogni.set(module.type, module.run);
-        }
+        register(module, kind, filePath);
 
       } catch (error) {
         // Log gate loading failures
-        log.warn({ 
-          err: error, 
-          kind, 
-          file_path: path.join(dir, file)
-        }, `Failed to load gate file ${file}`);
+        recordFailure(kind, filePath, error);
+      }
+    }
+  };
+
+  // Load a gate from an installed npm package
+  const loadGateFromPackage = async (name) => {
+    try {
+      const module = await import(name);
+      if (!register(module, 'package', name)) {
+        throw new Error('Package does not export `type` and `run`');
       }
+    } catch (error) {
+      recordFailure('package', name, error);
     }
   };
 
   // Scan gate directories using module-relative paths
   const currentModuleDir = path.dirname(fileURLToPath(import.meta.url));
-  await loadGatesFromDir(path.join(currentModuleDir, 'cogni'), 'cogni');
+  await loadGatesFromDir(path.join(currentModuleDir, 'cogni'), 'builtin');
+
+  for (const dir of plugins.dirs || []) {
+    await loadGatesFromDir(path.resolve(dir), 'dir');
+  }
+  for (const name of plugins.packages || []) {
+    await loadGateFromPackage(name);
+  }
 
   return registry;
 }
 
+/**
+ * Get the process-wide registry built from env-configured plugin sources
+ * @param {object} logger - Logger instance (used on first call only)
+ * @returns {Promise<object>} Registry from buildRegistry()
+ */
+export function getRegistry(logger) {
+  if (!registryPromise) {
+    registryPromise = buildRegistry(logger, environment.gatePlugins);
+  }
+  return registryPromise;
+}
+
+/**
+ * Summarize registry contents for boot logs
+ * @param {object} registry - Registry from buildRegistry()
+ * @returns {{loaded: Array<{type: string, kind: string, source: string}>, failed: Array<object>, conflicts: Array<object>}}
+ */
+export function describeRegistry(registry) {
+  return {
+    loaded: Array.from(registry.sources, ([type, { kind, source }]) => ({ type, kind, source })),
+    failed: registry.failures,
+    conflicts: registry.conflicts
+  };
+}
+
+/**
+ * Summarize registry state for the unauthenticated health endpoint
+ * Plugin paths and load errors stay in the logs; only types, kinds and counts are exposed.
+ * @param {object} registry - Registry from buildRegistry()
+ * @returns {{loaded: Array<{type: string, kind: string}>, failed: number, conflicts: number}}
+ */
+export function describeRegistryHealth(registry) {
+  return {
+    loaded: Array.from(registry.sources, ([type, { kind }]) => ({ type, kind })),
+    failed: registry.failures.length,
+    conflicts: registry.conflicts.length
+  };
+}
+
+/**
+ * List registered gate types with their descriptions and config schemas
+ * @param {object} registry - Registry from buildRegistry()
+ * @returns {Array<{type: string, kind: string, description: string|null, config_schema: object|null, cacheable: boolean}>}
+ */
+export function describeGateCatalog(registry) {
+  return Array.from(registry.sources, ([type, { kind }]) => ({
+    type,
+    kind,
+    description: registry.metadata.get(type).description,
+    config_schema: registry.metadata.get(type).configSchema,
+    cacheable: registry.metadata.get(type).cacheable
+  }));
+}
+
 /**
  * Resolve gate handler function from registry
  * @param {object} registry - Registry from buildRegistry()
@@ -68,4 +178,4 @@ export async function buildRegistry(logger) {
 export function resolveHandler(registry, gate) {
   // All gates are cogni gates - use 'type' field
   return registry.cogni.get(gate.type) ?? null;
-}
\ No newline at end of file
+}
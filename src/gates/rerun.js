@@ -0,0 +1,73 @@
+/**
+ * Gate Reruns - Re-execute individual gates from the check run
+ * check_run.rerequested reruns the gates that did not pass; a requested_action button
+ * (identifier `rerun:<gate index>`) reruns one gate. Every other gate is served from the
+ * result cache, so with caching disabled (COGNI_GATE_CACHE=none) the whole suite runs again.
+ */
+
+import { deriveGateId } from './gate-graph.js';
+import { isShadowGate } from './shadow.js';
+
+// GitHub accepts at most 3 actions per check run
+export const MAX_RERUN_ACTIONS = 3;
+
+// GitHub field limits for check run actions
+const LABEL_MAX = 20;
+const DESCRIPTION_MAX = 40;
+
+const ACTION_PREFIX = 'rerun:';
+
+/**
+ * Build "re-run" buttons for the first failing or neutral enforced gates
+ * Identifiers use the gate's index in spec.gates since gate IDs may exceed GitHub's 20 characters.
+ * @param {object} runResult - Result of runAllGates()
+ * @param {object} spec - Repository specification
+ * @returns {Array<{label: string, description: string, identifier: string}>} Check run actions
+ */
+export function buildRerunActions(runResult, spec) {
+  const gates = Array.isArray(spec?.gates) ? spec.gates : [];
+  const indexById = new Map(gates.map((gate, index) => [deriveGateId(gate), index]));
+
+  return (runResult.gates || [])
+    .filter(result => !isShadowGate(result) && (result.status === 'fail' || result.status === 'neutral'))
+    .filter(result => indexById.has(result.id))
+    .slice(0, MAX_RERUN_ACTIONS)
+    .map(result => ({
+      label: truncate(`Re-run ${result.id}`, LABEL_MAX),
+      description: truncate(`Re-run only the ${result.id} gate`, DESCRIPTION_MAX),
+      identifier: `${ACTION_PREFIX}${indexById.get(result.id)}`
+    }));
+}
+
+/**
+ * Resolve a requested_action identifier to a gate ID
+ * @param {string} identifier - Action identifier from the webhook, e.g. `rerun:2`
+ * @param {object} spec - Repository specification
+ * @returns {string|null} Gate ID, or null for unknown actions and stale indexes
+ */
+export function parseRerunAction(identifier, spec) {
+  if (typeof identifier !== 'string' || !identifier.startsWith(ACTION_PREFIX)) return null;
+
+  const index = identifier.slice(ACTION_PREFIX.length);
+  if (!/^\d+$/.test(index)) return null;
+
+  const gate = spec?.gates?.[Number(index)];
+  return gate ? deriveGateId(gate) : null;
+}
+
+/**
+ * Decide whether a rerun must bypass a gate's cached result
+ * @param {{gate_ids?: string[], failing?: boolean}|null} rerun - Rerun request from context.rerun
+ * @param {string} gateId - Derived gate ID
+ * @param {object} cachedResult - Result found in the cache
+ * @returns {boolean} True when the gate must execute again
+ */
+export function isForcedRerun(rerun, gateId, cachedResult) {
+  if (!rerun) return false;
+  if (rerun.failing) return cachedResult.status !== 'pass';
+  return (rerun.gate_ids || []).includes(gateId);
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
@@ -0,0 +1,121 @@
+/**
+ * Gate Result Cache - Reuse gate results for an unchanged PR head and config
+ * Keyed per gate on context.idempotency_key (repo, PR, head SHA, spec hash), the gate ID, a hash
+ * of the gate entry and a hash of the run inputs the head SHA does not pin (base SHA, diff stats,
+ * PR title and body, rule file contents). Only gates whose module exports `cacheable = true` are cached.
+ *
+ * Backends (COGNI_GATE_CACHE): none | memory | file
+ * No SQLite backend: the file backend already survives restarts and can be shared over a volume,
+ * without adding a native dependency.
+ */
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { environment } from '../env.js';
+import { contentHash } from '../content-hash.js';
+import { isErrorResult } from './outcome-mapping.js';
+
+const MEMORY_MAX_ENTRIES = 500;
+
+// Memoized cache for the configured backend
+let cacheInstance = null;
+
+/**
+ * Create an in-memory cache (per process, oldest entries evicted first)
+ * @param {{ttlMs: number, maxEntries?: number}} options - Cache options
+ * @returns {{get: Function, set: Function}} Cache backend
+ */
+export function createMemoryCache({ ttlMs, maxEntries = MEMORY_MAX_ENTRIES }) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() - entry.storedAt > ttlMs) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.result;
+    },
+    async set(key, result) {
+      entries.delete(key);
+      entries.set(key, { storedAt: Date.now(), result });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+/**
+ * Create a file cache (one JSON file per key; survives restarts, shareable via a volume)
+ * @param {{dir: string, ttlMs: number}} options - Cache options
+ * @returns {{get: Function, set: Function}} Cache backend
+ */
+export function createFileCache({ dir, ttlMs }) {
+  const fileFor = (key) => path.join(dir, `${contentHash(key)}.json`);
+
+  return {
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+        if (entry.key !== key || Date.now() - entry.stored_at > ttlMs) return null;
+        return entry.result;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(key, result) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write then rename so concurrent readers never see a partial file
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ key, stored_at: Date.now(), result }));
+      await fs.rename(tmp, file);
+    }
+  };
+}
+
+/**
+ * Get the process-wide result cache for the configured backend
+ * @returns {{get: Function, set: Function}|null} Cache backend, or null when caching is disabled
+ */
+export function getResultCache() {
+  if (cacheInstance === null) {
+    const { backend, dir, ttlMs } = environment.gateCache;
+    if (backend === 'memory') {
+      cacheInstance = createMemoryCache({ ttlMs });
+    } else if (backend === 'file') {
+      cacheInstance = createFileCache({ dir: dir || path.join(os.tmpdir(), 'cogni-gate-cache'), ttlMs });
+    } else {
+      cacheInstance = false;
+    }
+  }
+  return cacheInstance || null;
+}
+
+/**
+ * Build the cache key for one gate in one run
+ * @param {string} idempotencyKey - context.idempotency_key
+ * @param {string} gateId - Derived gate ID
+ * @param {object} gate - Gate entry from repo-spec
+ * @param {object} [inputs] - Other inputs the result depends on (base SHA, diff stats, gate cacheInputs)
+ * @returns {string} Cache key
+ */
+export function gateCacheKey(idempotencyKey, gateId, gate, inputs = {}) {
+  return `${idempotencyKey}:${gateId}:${contentHash(gate)}:${contentHash(inputs)}`;
+}
+
+/**
+ * Decide whether a result may be cached
+ * Errors, timeouts and transient failures must run again next time.
+ * @param {object} result - Normalized gate result
+ * @returns {boolean} True for pass/fail and deliberate neutral results
+ */
+export function isCacheableResult(result) {
+  if (result.status === 'pass' || result.status === 'fail') return true;
+  return result.status === 'neutral' && !isErrorResult(result) && result.neutral_reason !== 'upstream_failed';
+}
@@ -0,0 +1,97 @@
+/**
+ * Gate Retry Policy - Re-run gates after transient failures
+ * Configured per gate entry; the whole retry loop shares the gate's deadline:
+ *
+ *   - type: ai-rule
+ *     retry: { attempts: 3, backoff_ms: 1000 }   # attempts include the first run
+ *
+ * A gate opts a neutral result into retries by returning `retryable: true`;
+ * thrown errors are retried when isRetryableError() classifies them as transient.
+ */
+
+import { isRetryableError } from '../transient-errors.js';
+
+const DEFAULT_ATTEMPTS = 1;  // No retries unless the gate entry asks for them
+const DEFAULT_BACKOFF_MS = 1000;
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Validate `retry:` blocks on gate entries
+ * @param {Array<object>} gates - Gate entries from repo-spec
+ * @throws {Error} Describing the first invalid retry policy
+ */
+export function validateRetryPolicies(gates) {
+  gates.forEach((gate, index) => {
+    const retry = gate.retry;
+    if (retry == null) return;
+
+    if (typeof retry !== 'object' || Array.isArray(retry)) {
+      throw new Error(`gates[${index}].retry must be an object`);
+    }
+    if (retry.attempts != null && !(Number.isInteger(retry.attempts) && retry.attempts >= 1 && retry.attempts <= MAX_ATTEMPTS)) {
+      throw new Error(`gates[${index}].retry.attempts must be an integer between 1 and ${MAX_ATTEMPTS}`);
+    }
+    if (retry.backoff_ms != null && !(Number.isInteger(retry.backoff_ms) && retry.backoff_ms >= 0)) {
+      throw new Error(`gates[${index}].retry.backoff_ms must be a non-negative integer`);
+    }
+  });
+}
+
+/**
+ * Resolve the retry policy for a gate entry
+ * @param {object} gate - Gate entry from repo-spec
+ * @returns {{attempts: number, backoff_ms: number}} Effective policy
+ */
+export function resolveRetryPolicy(gate) {
+  return {
+    attempts: gate.retry?.attempts ?? DEFAULT_ATTEMPTS,
+    backoff_ms: gate.retry?.backoff_ms ?? DEFAULT_BACKOFF_MS
+  };
+}
+
+/**
+ * Run an attempt function under a retry policy with exponential backoff
+ * `state.retries` is updated as retries happen so callers can report it even if the deadline wins.
+ * @param {() => Promise<object>} attempt - Runs the gate once
+ * @param {{attempts: number, backoff_ms: number}} policy - Retry policy
+ * @param {{signal?: AbortSignal, state?: {retries: number}, onRetry?: Function}} [options] - Cancellation and reporting
+ * @returns {Promise<object>} Result of the last attempt
+ */
+export async function runWithRetry(attempt, policy, { signal, state = { retries: 0 }, onRetry } = {}) {
+  for (;;) {
+    const canRetry = state.retries < policy.attempts - 1 && !signal?.aborted;
+    let result;
+    try {
+      result = await attempt();
+    } catch (error) {
+      if (!canRetry || !isRetryableError(error)) throw error;
+      onRetry?.({ retry: state.retries + 1, reason: error.message });
+      await backoff(policy, state.retries, signal);
+      if (signal?.aborted) throw error;
+      state.retries++;
+      continue;
+    }
+
+    if (!canRetry || result?.status !== 'neutral' || result.retryable !== true) return result;
+    onRetry?.({ retry: state.retries + 1, reason: result.neutral_reason });
+    await backoff(policy, state.retries, signal);
+    if (signal?.aborted) return result;
+    state.retries++;
+  }
+}
+
+/**
+ * Wait backoff_ms * 2^retries, resolving early when the signal aborts
+ */
+function backoff(policy, retries, signal) {
+  const delay = policy.backoff_ms * 2 ** retries;
+  return new Promise(resolve => {
+    const timer = setTimeout(done, delay);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
@@ -3,120 +3,373 @@
  * Provides safe wrapper with crash handling, timing, and error recovery
  */
 
-import { buildRegistry, resolveHandler } from './registry.js';
+import { getRegistry, resolveHandler } from './registry.js';
+import { createConditionFacts, evaluateWhen } from './conditions.js';
+import { deriveGateId, getNeeds, validateGateGraph } from './gate-graph.js';
+import { applyOutcomeMapping } from './outcome-mapping.js';
+import { assertGateResult } from '../ai/schemas/validators.js';
+import { resolveRetryPolicy, runWithRetry } from './retry.js';
+import { isShadowGate } from './shadow.js';
+import { gateCacheKey, getResultCache, isCacheableResult } from './result-cache.js';
+import { isForcedRerun } from './rerun.js';
 
-// Build registry once at module load time for performance
-// Note: Logger will be passed when available in runConfiguredGates
-let registryPromise = null;
+// Sequential by default; repos opt in to parallel gates with spec.gate_concurrency
+const DEFAULT_GATE_CONCURRENCY = 1;
+
+// Deadlines: per gate (gate.timeout_ms) and for the whole run (spec.run_timeout_ms)
+const DEFAULT_GATE_TIMEOUT_MS = 120000;
+const DEFAULT_RUN_TIMEOUT_MS = 300000;
+
+// Sentinel resolved by the deadline timer when a gate runs out of time
+const TIMED_OUT = Symbol('gate_timed_out');
+
+// Upstream statuses that let a `needs:` dependent run
+const UPSTREAM_OK = new Set(['pass', 'skipped']);
 
 /**
- * Derive unique gate ID from gate specification
- * @param {object} gateSpec - Gate configuration from spec
- * @returns {string} Derived gate ID
+ * Resolve how many gates may run at once from spec.gate_concurrency
+ * @param {object} spec - Repository specification
+ * @param {number} gateCount - Number of gates to run
+ * @returns {number} Worker count, at least 1 and at most gateCount
  */
-function deriveGateId(gateSpec) {
-  if (gateSpec.id) return gateSpec.id;  // Explicit wins
+function resolveConcurrency(spec, gateCount) {
+  const requested = Number(spec?.gate_concurrency ?? DEFAULT_GATE_CONCURRENCY);
+  const limit = Number.isInteger(requested) && requested > 0 ? requested : DEFAULT_GATE_CONCURRENCY;
+  return Math.max(1, Math.min(limit, gateCount));
+}
 
-  // Auto-derive for ai-rule from rule_file basename
-  if (gateSpec.type === 'ai-rule' && gateSpec.with?.rule_file) {
-    return gateSpec.with.rule_file.replace(/\.ya?ml$/, '');
+/**
+ * Read a positive millisecond value, falling back when missing or invalid
+ * @param {any} value - Configured value
+ * @param {number} fallback - Default in milliseconds
+ * @returns {number} Timeout in milliseconds
+ */
+function resolveTimeoutMs(value, fallback) {
+  const ms = Number(value);
+  return Number.isFinite(ms) && ms > 0 ? ms : fallback;
+}
+
+/**
+ * Create the run-level deadline shared by all gates of one run
+ * Aborts when spec.run_timeout_ms elapses or when the caller's context.abort fires
+ * @param {object} context - Run context
+ * @returns {{deadline: number, signal: AbortSignal, dispose: Function}} Run budget
+ */
+function createRunBudget(context) {
+  const budgetMs = resolveTimeoutMs(context.spec?.run_timeout_ms, DEFAULT_RUN_TIMEOUT_MS);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`Run budget of ${budgetMs}ms exceeded`)), budgetMs);
+
+  const parentSignal = context.abort;
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+  if (parentSignal?.aborted) {
+    onParentAbort();
+  } else {
+    parentSignal?.addEventListener?.('abort', onParentAbort, { once: true });
   }
 
-  return gateSpec.type;  // Fallback
+  return {
+    deadline: Date.now() + budgetMs,
+    signal: controller.signal,
+    dispose: () => {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener?.('abort', onParentAbort);
+    }
+  };
+}
+
+/**
+ * Race a gate task against its deadline, aborting the gate's signal on expiry
+ * @param {Promise<object>} task - Running gate handler promise
+ * @param {number} timeoutMs - Time the gate may still use
+ * @param {AbortController} controller - Gate-level controller handed to the handler
+ * @returns {Promise<object|symbol>} Gate result, or TIMED_OUT
+ */
+function raceDeadline(task, timeoutMs, controller) {
+  let timer;
+  const expire = () => {
+    controller.abort(new Error(`Gate deadline of ${timeoutMs}ms exceeded`));
+    return TIMED_OUT;
+  };
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => resolve(expire()), timeoutMs);
+    controller.signal.addEventListener('abort', () => resolve(TIMED_OUT), { once: true });
+  });
+
+  // A handler that settles after losing the race must not surface as an unhandled rejection
+  task.catch(() => {});
+
+  return Promise.race([task, deadline]).finally(() => clearTimeout(timer));
 }
 
 /**
- * Validate that all gate IDs are unique
- * @param {Array<object>} gates - Array of gate specifications
- * @throws {Error} If duplicate IDs are found
+ * Schedule gates with at most `limit` in flight, honoring `needs:` dependencies
+ * A gate starts once all its upstream gates finished; if any upstream did not pass
+ * (skipped upstreams count as passed) the gate is not run and reported upstream_failed.
+ * Without `needs:` this starts gates in spec order, like a plain worker pool.
+ * @param {Array<object>} gates - Validated gate specifications
+ * @param {number} limit - Maximum concurrent gates
+ * @param {Function} runOne - Async (gate) => result, must not throw
+ * @returns {Promise<Array<object>>} Results indexed like gates (spec order)
  */
-function validateUniqueIds(gates) {
-  const ids = new Set();
-  for (const gate of gates) {
-    const id = deriveGateId(gate);
-    if (ids.has(id)) {
-      throw new Error(`Duplicate gate ID: ${id}`);
+async function runScheduled(gates, limit, runOne) {
+  const indexById = new Map(gates.map((gate, index) => [deriveGateId(gate), index]));
+  const upstreams = gates.map(gate => getNeeds(gate).map(id => indexById.get(id)));
+  const results = new Array(gates.length);
+  const started = new Set();
+  const running = new Map();
+
+  const startReady = () => {
+    for (let index = 0; index < gates.length && running.size < limit; index++) {
+      if (started.has(index)) continue;
+      if (!upstreams[index].every(up => results[up] !== undefined)) continue;
+
+      started.add(index);
+      const blockedBy = upstreams[index].filter(up => !UPSTREAM_OK.has(results[up].status));
+      if (blockedBy.length > 0) {
+        results[index] = {
+          ...createUpstreamFailedResult(blockedBy.map(up => deriveGateId(gates[up]))),
+          id: deriveGateId(gates[index])
+        };
+        index = -1; // A settled gate may unblock earlier gates in spec order; rescan
+        continue;
+      }
+
+      running.set(index, (async () => {
+        results[index] = await runOne(gates[index]);
+        running.delete(index);
+      })());
     }
-    ids.add(id);
+  };
+
+  startReady();
+  while (running.size > 0) {
+    await Promise.race(running.values());
+    startReady();
   }
+
+  if (started.size < gates.length) {
+    throw new Error('Gate scheduling stalled: unresolved needs');
+  }
+  return results;
 }
 
 /**
- * Run all configured gates from spec in order with dynamic resolution
+ * Run all configured gates from spec with dynamic resolution
+ * Gates run through a bounded scheduler (spec.gate_concurrency, default 1 = sequential)
+ * that honors `needs:`; results are always returned in spec order so summaries stay deterministic.
  * @param {object} params - Parameters object
  * @param {import('../adapters/base-context.d.ts').BaseContext} params.context - Base context interface with execution metadata
- * @returns {Promise<{results: GateResult[]}>} Gate execution results
+ * @returns {Promise<{results: import('../types/gate-result.ts').GateResult[]}>} Gate execution results
  */
 export async function runConfiguredGates({ context }) {
-  // Build registry with logger on first call
-  if (!registryPromise) {
-    registryPromise = buildRegistry(context.log);
-  }
-  const registry = await registryPromise;
+  // Build registry (built-ins + env-configured plugins) with logger on first call
+  const registry = await getRegistry(context.log);
   const allGates = Array.isArray(context.spec?.gates) ? context.spec.gates : [];
   
-  // Validate unique gate IDs before execution
+  // Validate unique gate IDs and the needs: graph before execution
   try {
-    validateUniqueIds(allGates);
+    validateGateGraph(allGates);
   } catch (error) {
     context.log.error({ err: error }, 'Gate ID validation failed');
     throw error;
   }
+
+  const concurrency = resolveConcurrency(context.spec, allGates.length);
+  if (concurrency > 1) {
+    context.log.info({ gate_concurrency: concurrency, gate_count: allGates.length }, 'Running gates concurrently');
+  }
+
+  const runBudget = createRunBudget(context);
+  const facts = createConditionFacts(context);
+  try {
+    const results = await runScheduled(allGates, concurrency, (gate) => runGate(registry, context, gate, runBudget, facts));
+    return { results };
+  } finally {
+    runBudget.dispose();
+  }
+}
+
+/**
+ * Run one gate and normalize its ID; never throws
+ * @param {object} registry - Registry from buildRegistry()
+ * @param {object} context - Run context
+ * @param {object} gate - Gate configuration
+ * @param {object} runBudget - Run-level deadline from createRunBudget()
+ * @param {object} facts - Shared PR facts for `when:` evaluation
+ * @returns {Promise<object>} Gate result with derived ID
+ */
+async function runGate(registry, context, gate, runBudget, facts) {
+  const gateId = deriveGateId(gate);
+  const handler = resolveHandler(registry, gate);
   
-  const results = [];
+  try {
+    const condition = await checkCondition(context, gate, gateId, facts);
+    if (condition) return { ...condition, id: gateId, ...(isShadowGate(gate) && { mode: 'shadow' }) };
 
-  for (const gate of allGates) {
-    const gateId = deriveGateId(gate);
+    const cacheKey = await resolveCacheKey(registry, context, gate, gateId);
+    let rawResult = cacheKey ? await readCachedResult(context, cacheKey, gateId) : null;
+    if (rawResult && isForcedRerun(context.rerun, gateId, rawResult)) {
+      context.log.info({ gate_id: gateId }, 'Gate cache bypassed for rerun');
+      rawResult = null;
+    }
+    if (!rawResult) {
+      rawResult = await safeRunGate(handler, context, gate, gateId, runBudget);
+      if (cacheKey && isCacheableResult(rawResult)) {
+        await writeCachedResult(context, cacheKey, gateId, rawResult);
+      }
+    }
+    const result = applyOutcomeMapping(gate, rawResult);
     
-
-    const handler = resolveHandler(registry, gate);
+    // Force ID normalization - always use derived gate ID
+    return {
+      ...result,
+      id: gateId,  // ALWAYS use derived gate ID, ignore what gate returns
+      blocking: resolveBlocking(gate, result),
+      ...(isShadowGate(gate) && { mode: 'shadow' })
+    };
     
+  } catch (error) {
+    // Handle unexpected errors from safeRunGate itself (not gate execution errors)
+    context.log.error({ 
+      err: error,
+      gate_id: gateId,
+      type: gate.type 
+    }, 'Critical error in gate wrapper');
+    
+    // Return a neutral result to prevent breaking the entire gate chain
+    return {
+      id: gateId,
+      status: 'neutral',
+      neutral_reason: 'wrapper_error',
+      violations: [],
+      stats: { wrapper_error: error.message },
+      duration_ms: 0
+    };
+  }
+}
+
+/**
+ * Get the result cache key for a gate, or null when its result must not be cached
+ * Requires a cache backend, the run's idempotency key and a module exporting `cacheable = true`.
+ * The key also covers the PR's base SHA and diff stats, plus whatever the module's optional
+ * `cacheInputs(ctx, gate)` returns for inputs read outside the PR (e.g. rule files).
+ * @param {object} registry - Registry from buildRegistry()
+ * @param {object} context - Run context
+ * @param {object} gate - Gate configuration
+ * @param {string} gateId - Derived gate ID
+ * @returns {Promise<string|null>} Cache key
+ */
+async function resolveCacheKey(registry, context, gate, gateId) {
+  if (!getResultCache() || !context.idempotency_key) return null;
+  const metadata = registry.metadata.get(gate.type);
+  if (!metadata?.cacheable) return null;
+
+  // Title and body feed AI prompts and can be edited without a new head SHA
+  const { base, changed_files, additions, deletions, title, body } = context.pr || {};
+  const inputs = { base_sha: base?.sha ?? null, changed_files, additions, deletions, title: title ?? null, body: body ?? null };
+  if (metadata.cacheInputs) {
     try {
-      const result = await safeRunGate(handler, context, gate, gateId);
-      
-      // Force ID normalization - always use derived gate ID
-      const finalResult = {
-        ...result,
-        id: gateId  // ALWAYS use derived gate ID, ignore what gate returns
-      };
-      results.push(finalResult);
-      
+      inputs.gate = await metadata.cacheInputs(context, gate);
     } catch (error) {
-      // Handle unexpected errors from safeRunGate itself (not gate execution errors)
-      context.log.error({ 
-        err: error,
-        gate_id: gateId,
-        type: gate.type 
-      }, 'Critical error in gate wrapper');
-      
-      // Push a neutral result to prevent breaking the entire gate chain
-      const neutralResult = {
-        id: gateId,
-        status: 'neutral',
-        neutral_reason: 'wrapper_error',
-        violations: [],
-        stats: { wrapper_error: error.message },
-        duration_ms: 0
-      };
-      results.push(neutralResult);
+      // Without its inputs the result cannot be matched safely; run the gate uncached
+      context.log.warn({ err: error, gate_id: gateId }, 'Gate cache inputs unavailable');
+      return null;
     }
   }
+  return gateCacheKey(context.idempotency_key, gateId, gate, inputs);
+}
+
+/**
+ * Read a cached gate result; cache failures only cost a re-run
+ * @returns {Promise<object|null>} Cached result marked `cached: true`, or null
+ */
+async function readCachedResult(context, cacheKey, gateId) {
+  try {
+    const cached = await getResultCache().get(cacheKey);
+    if (!cached) return null;
+    context.log.info({ gate_id: gateId }, 'Gate result served from cache');
+    return { ...cached, cached: true };
+  } catch (error) {
+    context.log.warn({ err: error, gate_id: gateId }, 'Gate cache read failed');
+    return null;
+  }
+}
+
+/**
+ * Store a gate result in the cache
+ */
+async function writeCachedResult(context, cacheKey, gateId, result) {
+  try {
+    await getResultCache().set(cacheKey, result);
+  } catch (error) {
+    context.log.warn({ err: error, gate_id: gateId }, 'Gate cache write failed');
+  }
+}
+
+/**
+ * Decide whether a gate's failure blocks the verdict
+ * Gate entry `blocking:` wins, then the AI rule's own `blocking`, else blocking.
+ * @param {object} gate - Gate configuration
+ * @param {object} result - Normalized gate result
+ * @returns {boolean} False for advisory gates
+ */
+function resolveBlocking(gate, result) {
+  if (typeof gate.blocking === 'boolean') return gate.blocking;
+  if (typeof result.rule?.blocking === 'boolean') return result.rule.blocking;
+  return true;
+}
+
+/**
+ * Evaluate the gate's `when:` block before running it
+ * @param {object} context - Run context
+ * @param {object} gate - Gate configuration
+ * @param {string} gateId - Derived gate ID for logging
+ * @param {object} facts - Shared PR facts
+ * @returns {Promise<object|null>} Skipped/neutral result, or null when the gate should run
+ */
+async function checkCondition(context, gate, gateId, facts) {
+  if (!gate.when) return null;
 
-  return { results };
+  try {
+    const { matched, reason } = await evaluateWhen(gate.when, facts);
+    if (matched) return null;
+
+    context.log.info({ gate_id: gateId, type: gate.type, skip_reason: reason }, 'Gate skipped: when condition not met');
+    return {
+      status: 'skipped',
+      skip_reason: reason,
+      violations: [],
+      stats: {},
+      duration_ms: 0
+    };
+  } catch (error) {
+    context.log.warn({ err: error, gate_id: gateId }, 'Gate condition evaluation failed');
+    return {
+      status: 'neutral',
+      neutral_reason: 'condition_error',
+      violations: [],
+      stats: { error: error.message },
+      duration_ms: 0
+    };
+  }
 }
 
 /**
- * Safe wrapper for gate execution with error handling and timing
+ * Safe wrapper for gate execution with error handling, timing and deadlines
+ * Handlers receive `{ signal }` as a third argument; it aborts when the gate's
+ * timeout_ms or the run budget runs out, and the gate is reported neutral/timeout.
  * @param {Function|null} handler - Gate handler function or null
  * @param {object} ctx - Run context
  * @param {object} gate - Gate configuration
  * @param {string} gateId - Derived gate ID for logging
- * @param {object} logger - Logger instance
+ * @param {object} runBudget - Run-level deadline from createRunBudget()
  * @returns {Promise<object>} Normalized gate result
  */
-async function safeRunGate(handler, ctx, gate, gateId) {
+async function safeRunGate(handler, ctx, gate, gateId, runBudget) {
   const startTime = Date.now();
   const log = ctx.log.child({ module: `gates/${gateId}` });
+  const attempts = { retries: 0 };
 
   // Log gate start for ALL gate types
   log.info({ type: gate.type }, 'Gate starting');
@@ -135,22 +388,71 @@ async function safeRunGate(handler, ctx, gate, gateId) {
     }
 
 
-    // Execute gate handler
-    const result = await handler(ctx, gate);
+    // Gate gets the smaller of its own timeout and what is left of the run budget
+    const gateTimeoutMs = resolveTimeoutMs(gate.timeout_ms, DEFAULT_GATE_TIMEOUT_MS);
+    const remainingRunMs = runBudget.deadline - Date.now();
+    const timeoutMs = Math.min(gateTimeoutMs, remainingRunMs);
+    const deadlineSource = gateTimeoutMs <= remainingRunMs ? 'gate' : 'run';
+
+    if (timeoutMs <= 0 || runBudget.signal.aborted) {
+      log.warn({ type: gate.type }, 'Gate skipped: run budget exhausted');
+      return createTimeoutResult(0, 'run', startTime);
+    }
+
+    const controller = new AbortController();
+    const onRunAbort = () => controller.abort(runBudget.signal.reason);
+    runBudget.signal.addEventListener('abort', onRunAbort, { once: true });
+
+    // Execute gate handler; transient failures are retried within the same deadline
+    let result;
+    try {
+      result = await raceDeadline(
+        runWithRetry(() => handler(ctx, gate, { signal: controller.signal }), resolveRetryPolicy(gate), {
+          signal: controller.signal,
+          state: attempts,
+          onRetry: ({ retry, reason }) => log.warn({ type: gate.type, retry, reason }, 'Retrying gate after transient failure')
+        }),
+        timeoutMs,
+        controller
+      );
+    } finally {
+      runBudget.signal.removeEventListener('abort', onRunAbort);
+    }
+
+    if (result === TIMED_OUT) {
+      log.warn({ type: gate.type, timeout_ms: timeoutMs, deadline: deadlineSource }, 'Gate timed out');
+      return withRetries(createTimeoutResult(timeoutMs, deadlineSource, startTime), attempts.retries);
+    }
 
     // Log gate completion
     const duration = Date.now() - startTime;
+
+    // Enforce the GateResult contract before anything downstream reads the result
+    try {
+      assertGateResult(result);
+    } catch (error) {
+      const problems = (error.details || []).map(e => `${e.instancePath || '/'} ${e.message}`);
+      log.error({ type: gate.type, problems }, 'Gate returned an invalid result');
+      return {
+        status: 'neutral',
+        neutral_reason: 'invalid_gate_result',
+        violations: [],
+        stats: { error: problems.join('; ') || error.message },
+        duration_ms: duration
+      };
+    }
+
     log.info({ 
-      status: result.status || 'neutral',
+      status: result.status,
       duration_ms: duration,
       violations: result.violations?.length || 0
     }, 'Gate completed');
 
     // Normalize result shape (ID will be set by caller)
-    return {
-      status: result.status ?? 'neutral',
+    return withRetries({
+      status: result.status,
       neutral_reason: result.neutral_reason,
-      violations: result.violations ?? [],
+      violations: (result.violations ?? []).map(normalizeViolation),
       observations: result.observations ?? [],
       stats: result.stats ?? {},
       provenance: result.provenance,
@@ -161,7 +463,7 @@ async function safeRunGate(handler, ctx, gate, gateId) {
       failed: result.failed,
       error: result.error,
       duration_ms: duration
-    };
+    }, attempts.retries);
 
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -173,12 +475,70 @@ async function safeRunGate(handler, ctx, gate, gateId) {
       type: gate.type
     }, 'Gate crashed');
     
-    return {
+    return withRetries({
       status: 'neutral',
       neutral_reason: 'internal_error',
       violations: [],
       stats: { error: error.message },
       duration_ms: duration
-    };
+    }, attempts.retries);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Record how many retries a gate needed in its stats
+ * @param {object} result - Normalized gate result
+ * @param {number} retries - Retries performed (0 = first attempt only)
+ * @returns {object} Result with stats.retries when the gate was retried
+ */
+function withRetries(result, retries) {
+  if (retries === 0) return result;
+  return { ...result, stats: { ...result.stats, retries } };
+}
+
+/**
+ * Fill optional violation fields so renderers and annotators can rely on the shape
+ * @param {object} violation - Schema-valid violation from a gate
+ * @returns {object} Violation with severity, path, line and end_line always present
+ */
+function normalizeViolation(violation) {
+  return {
+    ...violation,
+    severity: violation.severity ?? 'error',
+    path: violation.path ?? null,
+    line: violation.line ?? null,
+    end_line: violation.end_line ?? violation.line ?? null
+  };
+}
+
+/**
+ * Create neutral result for a gate that ran out of time
+ * @param {number} timeoutMs - Deadline that applied to the gate
+ * @param {'gate'|'run'} deadline - Which deadline expired
+ * @param {number} startTime - Gate start timestamp
+ * @returns {object} Normalized timeout result
+ */
+function createTimeoutResult(timeoutMs, deadline, startTime) {
+  return {
+    status: 'neutral',
+    neutral_reason: 'timeout',
+    violations: [],
+    stats: { timeout_ms: timeoutMs, deadline },
+    duration_ms: Date.now() - startTime
+  };
+}
+
+/**
+ * Create neutral result for a gate whose `needs:` upstream did not pass
+ * @param {string[]} blockedBy - Upstream gate IDs that failed or went neutral
+ * @returns {object} Normalized upstream_failed result
+ */
+function createUpstreamFailedResult(blockedBy) {
+  return {
+    status: 'neutral',
+    neutral_reason: 'upstream_failed',
+    violations: [],
+    stats: { blocked_by: blockedBy.join(', ') },
+    duration_ms: 0
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Shadow Gates - Trial new gates without affecting the verdict
+ * A gate entry with `mode: shadow` runs like any other gate and is kept in runResult.gates,
+ * but never counts toward overall_status. Agreement with the real verdict is tracked so
+ * maintainers can decide when to promote it to `mode: enforce` (the default).
+ */
+
+import { deriveGateId, getNeeds } from './gate-graph.js';
+
+export const GATE_MODES = ['enforce', 'shadow'];
+
+/**
+ * Validate `mode:` on gate entries
+ * Enforced gates may not list shadow gates in `needs:`: a failing shadow gate would turn them
+ * upstream_failed and so change the verdict after all.
+ * @param {Array<object>} gates - Gate entries from repo-spec
+ * @throws {Error} Describing the first invalid mode or enforced→shadow dependency
+ */
+export function validateGateModes(gates) {
+  gates.forEach((gate, index) => {
+    if (gate.mode != null && !GATE_MODES.includes(gate.mode)) {
+      throw new Error(`gates[${index}].mode must be one of ${GATE_MODES.join(', ')}`);
+    }
+  });
+
+  const shadowIds = new Set(gates.filter(isShadowGate).map(deriveGateId));
+  gates.forEach((gate, index) => {
+    if (isShadowGate(gate)) return;
+    const shadowUpstream = getNeeds(gate).find(id => shadowIds.has(id));
+    if (shadowUpstream) {
+      throw new Error(`gates[${index}] (${deriveGateId(gate)}) needs shadow gate "${shadowUpstream}"; enforced gates cannot depend on shadow gates`);
+    }
+  });
+}
+
+/**
+ * Check whether a gate entry or result is in shadow mode
+ * @param {object} gate - Gate entry or gate result
+ * @returns {boolean} True for shadow gates
+ */
+export function isShadowGate(gate) {
+  return gate?.mode === 'shadow';
+}
+
+/**
+ * Compare shadow gate outcomes with the real verdict
+ * Skipped shadow gates did not evaluate anything and are left out of the comparison.
+ * @param {Array<object>} shadowGates - Shadow gate results
+ * @param {string} overallStatus - Verdict computed from enforced gates
+ * @returns {{total: number, compared: number, agreed: number, disagreed: string[]}} Agreement stats
+ */
+export function computeShadowAgreement(shadowGates, overallStatus) {
+  const compared = shadowGates.filter(g => g.status !== 'skipped');
+  const disagreed = compared.filter(g => g.status !== overallStatus).map(g => g.id);
+
+  return {
+    total: shadowGates.length,
+    compared: compared.length,
+    agreed: compared.length - disagreed.length,
+    disagreed
+  };
+}
@@ -0,0 +1,12 @@
+/**
+ * VCS Errors - Classify errors thrown by context.vcs calls
+ * Every adapter (GitHub via Octokit, GitLab, local git) throws missing files with `status: 404`.
+ */
+
+/**
+ * @param {unknown} error - Error thrown by a context.vcs call
+ * @returns {boolean} True when the requested file or resource does not exist
+ */
+export function isNotFoundError(error) {
+  return error?.status === 404;
+}
@@ -0,0 +1,180 @@
+/**
+ * Verdict Policies - Aggregate gate results into the overall verdict
+ * Configured by `verdict_policy` in repo-spec; defaults to "any blocking fail = fail"
+ *
+ * verdict_policy:
+ *   type: all | quorum | weighted   # default: all
+ *   min_pass: 4                     # quorum: passing gates needed
+ *   weights: { review_limits: 2 }   # weighted: per-gate weight (default 1)
+ *   threshold: 0.7                  # weighted: passing weight / total weight needed
+ *   must_pass: [governance_policy]  # any type: these gates must pass (or be skipped)
+ */
+
+const POLICY_TYPES = ['all', 'quorum', 'weighted'];
+
+/**
+ * Validate verdict_policy against the configured gate IDs
+ * @param {object|undefined} policy - verdict_policy from repo-spec
+ * @param {string[]} gateIds - Derived IDs of configured gates
+ * @throws {Error} Describing the first problem found
+ */
+export function validateVerdictPolicy(policy, gateIds) {
+  if (policy == null) return;
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('verdict_policy must be an object');
+  }
+
+  const type = policy.type ?? 'all';
+  if (!POLICY_TYPES.includes(type)) {
+    throw new Error(`verdict_policy.type must be one of ${POLICY_TYPES.join(', ')}, got "${type}"`);
+  }
+
+  const known = new Set(gateIds);
+  const checkIds = (field, ids) => {
+    for (const id of ids) {
+      if (!known.has(id)) throw new Error(`verdict_policy.${field} references unknown gate "${id}"`);
+    }
+  };
+
+  if (policy.must_pass != null) {
+    if (!Array.isArray(policy.must_pass)) throw new Error('verdict_policy.must_pass must be a list of gate IDs');
+    checkIds('must_pass', policy.must_pass);
+  }
+
+  if (type === 'quorum' && !(Number.isInteger(policy.min_pass) && policy.min_pass > 0)) {
+    throw new Error('verdict_policy.min_pass must be a positive integer for quorum policies');
+  }
+
+  if (type === 'weighted') {
+    if (!(typeof policy.threshold === 'number' && policy.threshold > 0 && policy.threshold <= 1)) {
+      throw new Error('verdict_policy.threshold must be a number in (0, 1] for weighted policies');
+    }
+    const weights = policy.weights ?? {};
+    checkIds('weights', Object.keys(weights));
+    for (const [id, weight] of Object.entries(weights)) {
+      if (!(typeof weight === 'number' && weight >= 0)) {
+        throw new Error(`verdict_policy.weights.${id} must be a non-negative number`);
+      }
+    }
+  }
+}
+
+/**
+ * Compute the overall verdict from gate results
+ * Skipped gates and advisory failures (blocking: false) never count toward the verdict.
+ * @param {Array<object>} gates - Gate results from the launcher
+ * @param {object|undefined} policy - verdict_policy from repo-spec
+ * @returns {{overall_status: string, conclusion_reason: string, policy: object}} Verdict with recorded math
+ */
+export function evaluateVerdict(gates, policy = {}) {
+  const type = policy?.type ?? 'all';
+  const counted = gates.filter(g => g.status !== 'skipped' && !(g.status === 'fail' && g.blocking === false));
+
+  if (counted.length === 0) {
+    return { overall_status: 'neutral', conclusion_reason: 'no_gates_executed', policy: { type } };
+  }
+
+  const base = type === 'quorum' ? evaluateQuorum(counted, policy)
+    : type === 'weighted' ? evaluateWeighted(counted, policy)
+      : evaluateAll(gates, counted);
+
+  if (!policy?.must_pass?.length) return base;
+
+  // must_pass overrides the base policy: a failed required gate always fails the verdict
+  const mustPass = evaluateMustPass(gates, policy.must_pass);
+  const result = { ...base, policy: { ...base.policy, must_pass: mustPass } };
+
+  if (mustPass.failed.length > 0) {
+    return { ...result, overall_status: 'fail', conclusion_reason: 'must_pass_failed' };
+  }
+  if (mustPass.pending.length > 0 && base.overall_status === 'pass') {
+    return { ...result, overall_status: 'neutral', conclusion_reason: 'must_pass_neutral' };
+  }
+  return result;
+}
+
+/**
+ * Default policy: any blocking fail = fail, else any neutral = neutral
+ */
+function evaluateAll(gates, counted) {
+  const policy = { type: 'all' };
+  const timedOut = counted.some(g => g.neutral_reason === 'timeout');
+  const hasWarnings = gates.some(g => g.status === 'fail' && g.blocking === false);
+
+  if (counted.some(g => g.status === 'fail')) {
+    return { overall_status: 'fail', conclusion_reason: 'gates_failed', policy };
+  }
+  if (counted.some(g => g.status === 'neutral')) {
+    return { overall_status: 'neutral', conclusion_reason: timedOut ? 'gate_timeouts' : 'gates_neutral', policy };
+  }
+  return { overall_status: 'pass', conclusion_reason: hasWarnings ? 'passed_with_warnings' : 'all_gates_passed', policy };
+}
+
+/**
+ * Quorum policy: at least min_pass gates pass; neutral while neutrals could still reach it
+ */
+function evaluateQuorum(counted, { min_pass: minPass }) {
+  const passed = counted.filter(g => g.status === 'pass').length;
+  const neutral = counted.filter(g => g.status === 'neutral').length;
+  const policy = { type: 'quorum', min_pass: minPass, passed, neutral, counted: counted.length };
+
+  if (passed >= minPass) {
+    return { overall_status: 'pass', conclusion_reason: 'quorum_met', policy };
+  }
+  if (passed + neutral >= minPass) {
+    return { overall_status: 'neutral', conclusion_reason: 'quorum_pending', policy };
+  }
+  return { overall_status: 'fail', conclusion_reason: 'quorum_not_met', policy };
+}
+
+/**
+ * Weighted policy: passing weight / total weight must reach threshold
+ */
+function evaluateWeighted(counted, { weights = {}, threshold }) {
+  const weightOf = (g) => weights[g.id] ?? 1;
+  const sum = (list) => list.reduce((total, g) => total + weightOf(g), 0);
+
+  const totalWeight = sum(counted);
+  const passWeight = sum(counted.filter(g => g.status === 'pass'));
+  const neutralWeight = sum(counted.filter(g => g.status === 'neutral'));
+  const score = totalWeight > 0 ? round(passWeight / totalWeight) : 0;
+  const policy = {
+    type: 'weighted',
+    threshold,
+    score,
+    pass_weight: passWeight,
+    neutral_weight: neutralWeight,
+    total_weight: totalWeight
+  };
+
+  if (totalWeight > 0 && passWeight / totalWeight >= threshold) {
+    return { overall_status: 'pass', conclusion_reason: 'score_above_threshold', policy };
+  }
+  if (totalWeight > 0 && (passWeight + neutralWeight) / totalWeight >= threshold) {
+    return { overall_status: 'neutral', conclusion_reason: 'score_pending', policy };
+  }
+  return { overall_status: 'fail', conclusion_reason: 'score_below_threshold', policy };
+}
+
+/**
+ * Check must_pass gates; skipped gates satisfy the requirement (condition not applicable)
+ */
+function evaluateMustPass(gates, required) {
+  const byId = new Map(gates.map(g => [g.id, g]));
+  const failed = [];
+  const pending = [];
+  const passed = [];
+
+  for (const id of required) {
+    const status = byId.get(id)?.status;
+    if (status === 'pass' || status === 'skipped') passed.push(id);
+    else if (status === 'fail') failed.push(id);
+    else pending.push(id);
+  }
+
+  return { required, passed, failed, pending };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
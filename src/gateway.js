@@ -13,6 +13,7 @@ import { environment } from './env.js';
 import runCogniApp from '../index.js';
 import SmeeClient from 'smee-client';
 import { appLogger } from './logging/index.js';
+import { getRegistry, describeRegistry, describeRegistryHealth, describeGateCatalog } from './gates/registry.js';
 
 // Shared event handlers (registered once at boot)
 let sharedHandlers = null;
@@ -86,6 +87,15 @@ async function startGateway() {
   appLogger.info('Registering shared handlers');
   runCogniApp(handlerCapture);
   appLogger.info('Registered event handlers', { count: sharedHandlers.size });
+
+  // Load gates at boot so plugin failures and type conflicts surface before the first webhook
+  const registry = await getRegistry(appLogger);
+  const gateRegistry = describeRegistry(registry);
+  appLogger.info({
+    gates: gateRegistry.loaded.map(({ type, kind, source }) => `${type} (${kind}: ${source})`),
+    failed: gateRegistry.failed.length,
+    conflicts: gateRegistry.conflicts.length
+  }, 'Gate registry loaded');
   
   // GitHub: Create Probot instance and mount middleware  
   const probot = new Probot({
@@ -116,20 +126,29 @@ async function startGateway() {
   });
   
   // Health check: TODO. move to /health. and make it actually intelligent healthcheck.
+  const gateHealth = describeRegistryHealth(registry);
   app.get('/api/v1/health', (req, res) => {
+    const gatesDegraded = gateHealth.failed > 0 || gateHealth.conflicts > 0;
     res.json({ 
-      status: 'ok',
+      status: gatesDegraded ? 'degraded' : 'ok',
       version: 'v1',
       providers: ['github', 'gitlab'],
       handlers: Array.from(sharedHandlers.keys()),
+      gates: gateHealth,
       endpoints: {
         github_webhooks: '/api/v1/webhooks/github',
         gitlab_webhooks: '/api/v1/webhooks/gitlab',
-        oauth_callbacks: '/oauth/:provider/callback'
+        oauth_callbacks: '/oauth/:provider/callback',
+        gate_catalog: '/api/v1/gates'
       }
     });
   });
   
+  // Gate catalog: registered gate types with descriptions and `with:` config schemas
+  app.get('/api/v1/gates', (req, res) => {
+    res.json({ gates: describeGateCatalog(registry) });
+  });
+  
   // Start server
   const port = environment.PORT || 3000;
   app.listen(port, () => {
@@ -139,7 +158,8 @@ async function startGateway() {
         github_webhooks: '/api/v1/webhooks/github',
         gitlab_webhooks: '/api/v1/webhooks/gitlab',
         oauth_callbacks: '/oauth/:provider/callback',
-        health_check: '/api/v1/health'
+        health_check: '/api/v1/health',
+        gate_catalog: '/api/v1/gates'
       }
     });
     
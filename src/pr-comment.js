@@ -12,57 +12,42 @@
  * @param {number} prNumber - PR number
  */
 export async function postPRComment(context, runResult, checkUrl, headSha, prNumber) {
-  const { gates, overall_status } = runResult;
-  const failed = gates.filter(g => g.status === 'fail');
+  const { overall_status } = runResult;
+  // Shadow gates (mode: shadow) are on trial and stay out of the PR comment
+  const gates = runResult.gates.filter(g => g.mode !== 'shadow');
+  // Failing advisory gates (blocking: false) are listed as warnings, not blockers
+  const warnings = gates.filter(g => g.status === 'fail' && g.blocking === false);
+  const failed = gates.filter(g => g.status === 'fail' && g.blocking !== false);
   const neutral = gates.filter(g => g.status === 'neutral');
   const passed = gates.filter(g => g.status === 'pass');
+  const skipped = gates.filter(g => g.status === 'skipped');
 
   const verdict = overall_status === 'fail' ? '❌ FAIL' 
                 : overall_status === 'pass' ? '✅ PASS' 
                 : '⚠️ WARN';
 
   let body = `## Cogni Review — ${verdict}\n\n`;
-  body += `**Gates:** ✅ ${passed.length} | ❌ ${failed.length} | ⚠️ ${neutral.length}\n\n`;
+  body += `**Gates:** ✅ ${passed.length} | ❌ ${failed.length} | ⚠️ ${neutral.length}`;
+  if (warnings.length > 0) {
+    body += ` | 🟡 ${warnings.length}`;
+  }
+  if (skipped.length > 0) {
+    body += ` | ⏭️ ${skipped.length}`;
+  }
+  body += '\n\n';
 
   if (failed.length > 0) {
     body += `**Blockers:**\n`;
     failed.slice(0, 3).forEach(gate => {
-      const label = gate.id || (gate.with && gate.with.rule_file) || 'unknown_gate';
-      body += `- **${label}**:\n`;
-      
-      // Show all violations for this gate (limit to 5 to avoid spam)
-      const violations = gate.violations || [];
-      if (violations.length === 0) {
-        // Check if this is an AI gate with structured data
-        const requireCriteria = gate.rule?.success_criteria?.require || [];
-        const anyOfCriteria = gate.rule?.success_criteria?.any_of || [];
-        const allCriteria = [...requireCriteria, ...anyOfCriteria];
-        
-        if (gate.providerResult?.metrics && allCriteria.length > 0) {
-          // Display structured metrics vs criteria
-          for (const criterion of allCriteria) {
-            const metricName = criterion.metric;
-            const metricData = gate.providerResult.metrics[metricName];
-            if (metricData) {
-              const operator = Object.keys(criterion).find(key => key !== 'metric');
-              const threshold = criterion[operator];
-              body += `  - ${metricName}: ${metricData.value} / ${operator} / ${threshold}\n`;
-            }
-          }
-        } else if (gate.stats?.score != null && gate.stats?.threshold != null) {
-          // Legacy format fallback for traditional gates
-          body += `  - Score: ${gate.stats.score}/${gate.stats.threshold}\n`;
-        } else {
-          body += `  - Failed\n`;
-        }
-      } else {
-        violations.slice(0, 5).forEach(violation => {
-          body += `  - ${violation.code || 'ERROR'}: ${violation.message || 'No details'}\n`;
-        });
-        if (violations.length > 5) {
-          body += `  - ...and ${violations.length - 5} more\n`;
-        }
-      }
+      body += renderGateDetails(gate);
+    });
+    body += '\n';
+  }
+
+  if (warnings.length > 0) {
+    body += `**Warnings (non-blocking):**\n`;
+    warnings.slice(0, 3).forEach(gate => {
+      body += renderGateDetails(gate);
     });
     body += '\n';
   }
@@ -76,6 +61,53 @@ export async function postPRComment(context, runResult, checkUrl, headSha, prNum
   }));
 }
 
+/**
+ * Render one failing gate as a bullet with its violations or metrics
+ * @param {Object} gate - Gate result
+ * @returns {string} Markdown lines
+ */
+function renderGateDetails(gate) {
+  const label = gate.id || (gate.with && gate.with.rule_file) || 'unknown_gate';
+  let body = `- **${label}**:\n`;
+  
+  // Show all violations for this gate (limit to 5 to avoid spam)
+  const violations = gate.violations || [];
+  if (violations.length === 0) {
+    // Check if this is an AI gate with structured data
+    const requireCriteria = gate.rule?.success_criteria?.require || [];
+    const anyOfCriteria = gate.rule?.success_criteria?.any_of || [];
+    const allCriteria = [...requireCriteria, ...anyOfCriteria];
+    
+    if (gate.providerResult?.metrics && allCriteria.length > 0) {
+      // Display structured metrics vs criteria
+      for (const criterion of allCriteria) {
+        const metricName = criterion.metric;
+        const metricData = gate.providerResult.metrics[metricName];
+        if (metricData) {
+          const operator = Object.keys(criterion).find(key => key !== 'metric');
+          const threshold = criterion[operator];
+          body += `  - ${metricName}: ${metricData.value} / ${operator} / ${threshold}\n`;
+        }
+      }
+    } else if (gate.stats?.score != null && gate.stats?.threshold != null) {
+      // Legacy format fallback for traditional gates
+      body += `  - Score: ${gate.stats.score}/${gate.stats.threshold}\n`;
+    } else if (gate.treated_as) {
+      body += `  - ${gate.original_status} (${gate.neutral_reason || 'no reason'}) treated as ${gate.treated_as}\n`;
+    } else {
+      body += `  - Failed\n`;
+    }
+  } else {
+    violations.slice(0, 5).forEach(violation => {
+      body += `  - ${violation.code || 'ERROR'}: ${violation.message || 'No details'}\n`;
+    });
+    if (violations.length > 5) {
+      body += `  - ...and ${violations.length - 5} more\n`;
+    }
+  }
+  return body;
+}
+
 /**
  * Post PR comment with staleness guard
  * @param {import('./adapters/base-context.d.ts').BaseContext} context - Base context interface
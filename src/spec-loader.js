@@ -1,9 +1,17 @@
-import { assertRuleSchema } from './ai/schemas/validators.js';
+import { assertRuleSchema, validateGateConfig } from './ai/schemas/validators.js';
+import { deriveGateId, validateGateGraph } from './gates/gate-graph.js';
+import { validateVerdictPolicy } from './gates/verdict-policy.js';
+import { validateOutcomeMappings } from './gates/outcome-mapping.js';
+import { validateRetryPolicies } from './gates/retry.js';
+import { isShadowGate, validateGateModes } from './gates/shadow.js';
+import { getRegistry } from './gates/registry.js';
+import { noopLogger } from './logging/logger.js';
+import { contentHash } from './content-hash.js';
 
 /**
  * Load and parse repository spec using Probot's built-in config loader
  * @param {import('./adapters/base-context.d.ts').BaseContext} context - Base context interface with repository info
- * @returns {Promise<{ok: boolean, spec?: object, error?: object}>}
+ * @returns {Promise<{ok: boolean, spec?: object, error?: object}>} spec carries `_hash`, a stable content hash
  */
 export async function loadRepoSpec(context) {
   const { config } = await loadCogniFile(context, '.cogni/repo-spec.yaml');
@@ -11,10 +19,80 @@ export async function loadRepoSpec(context) {
   // Handle both null and empty object {} as missing spec
   if (!config || Object.keys(config).length === 0) return { ok: false, error: { code: 'SPEC_MISSING' } };
   if (!config.intent || !config.gates) return { ok: false, error: { code: 'SPEC_INVALID' } };
+
+  // Gate IDs must be unique, needs: must form a DAG, and verdict_policy must reference known gates
+  if (Array.isArray(config.gates)) {
+    try {
+      validateGateGraph(config.gates);
+      validateGateModes(config.gates);
+      // Shadow gates never count, so the verdict policy may only reference enforced gates
+      validateVerdictPolicy(config.verdict_policy, config.gates.filter(g => !isShadowGate(g)).map(deriveGateId));
+      validateOutcomeMappings(config.gates);
+      validateRetryPolicies(config.gates);
+    } catch (error) {
+      return { ok: false, error: { code: 'SPEC_INVALID', message: error.message } };
+    }
+
+    // Each gate's with: block must match the configSchema its module exports
+    const configErrors = await validateGateConfigs(context, config.gates);
+    if (configErrors.length > 0) {
+      return { ok: false, error: { code: 'SPEC_INVALID', message: configErrors.join('; ') } };
+    }
+  }
   
   // TODO: Add repo-spec schema validation similar to rule validation above
   
-  return { ok: true, spec: config };
+  // Content hash of the normalized spec identifies the policy version behind a verdict
+  return { ok: true, spec: { ...config, _hash: contentHash(config) } };
+}
+
+/**
+ * Validate every gate's `with:` block against its registered configSchema
+ * Unknown gate types and gates without a schema are left to the launcher.
+ * @param {import('./adapters/base-context.d.ts').BaseContext} context - Base context interface
+ * @param {Array<object>} gates - Gate entries from repo-spec
+ * @returns {Promise<string[]>} Error messages with precise paths, e.g. `gates[1].with.max_changed_file: unknown option`
+ */
+async function validateGateConfigs(context, gates) {
+  const log = context.log ?? noopLogger;
+  const registry = await getRegistry(log);
+  const errors = [];
+
+  gates.forEach((gate, index) => {
+    const schema = registry.metadata.get(gate?.type)?.configSchema;
+    if (!schema) return;
+
+    const prefix = `gates[${index}].with`;
+    try {
+      for (const err of validateGateConfig(schema, gate.with ?? {})) {
+        errors.push(formatConfigError(prefix, err));
+      }
+    } catch (error) {
+      // A broken schema is the gate author's problem, not the repo's
+      log.warn({ err: error, type: gate.type }, 'Gate configSchema failed to compile');
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Format an Ajv error as `<path>: <problem>`
+ */
+function formatConfigError(prefix, err) {
+  const path = prefix + err.instancePath
+    .split('/')
+    .filter(Boolean)
+    .map(segment => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`))
+    .join('');
+
+  if (err.keyword === 'additionalProperties') {
+    return `${path}.${err.params.additionalProperty}: unknown option`;
+  }
+  if (err.keyword === 'required') {
+    return `${path}.${err.params.missingProperty}: is required`;
+  }
+  return `${path}: ${err.message}`;
 }
 
 /**
@@ -79,6 +157,7 @@ export async function loadSingleRule(context, { rulesDir = '.cogni/rules', ruleF
       blocking: config.blocking !== undefined ? config.blocking : blockingDefault,
       _metadata: {
         fileName: ruleFile,
+        hash: contentHash(config),
         loadedAt: new Date().toISOString()
       }
     };
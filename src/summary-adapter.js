@@ -71,12 +71,15 @@ function formatRunSummaryJSON(runResult) {
  * @param {Object} context - Base context with PR and spec data (optional)
  */
 function formatGateResults(runResult, context = null) {
-  const gates = Array.isArray(runResult?.gates) ? runResult.gates : [];
+  const allGates = Array.isArray(runResult?.gates) ? runResult.gates : [];
+  // Shadow gates (mode: shadow) never count toward the verdict; they render in their own section
+  const gates = allGates.filter(g => g.mode !== 'shadow');
+  const shadowGates = allGates.filter(g => g.mode === 'shadow');
   
   // Group gates by status and sort alphabetically within groups
-  const groups = { fail: [], pass: [], neutral: [] };
+  const groups = { fail: [], warning: [], pass: [], neutral: [], skipped: [] };
   for (const g of gates) {
-    groups[g.status]?.push(g);
+    groups[getGroup(g)]?.push(g);
   }
   for (const k of Object.keys(groups)) {
     groups[k].sort((a, b) => getLabel(a).localeCompare(getLabel(b)));
@@ -85,8 +88,10 @@ function formatGateResults(runResult, context = null) {
   // Calculate counts
   const counts = {
     fail: groups.fail.length,
+    warning: groups.warning.length,
     pass: groups.pass.length, 
-    neutral: groups.neutral.length
+    neutral: groups.neutral.length,
+    skipped: groups.skipped.length
   };
   
   // Generate summary line based on overall status
@@ -97,6 +102,11 @@ function formatGateResults(runResult, context = null) {
     summary = `Gate failures: ${counts.fail}`;
   } else if (runResult.overall_status === 'neutral') {
     summary = `Gates neutral: ${counts.neutral}`;
+  } else if (counts.fail > 0) {
+    // Non-default verdict policies (quorum/weighted) can pass despite failing gates
+    summary = `Verdict passed | Failures: ${counts.fail}`;
+  } else if (counts.warning > 0) {
+    summary = `All gates passed | Warnings: ${counts.warning}`;
   } else {
     summary = 'All gates passed';
   }
@@ -115,21 +125,126 @@ function formatGateResults(runResult, context = null) {
                   runResult.overall_status === 'pass' ? '✅ PASS' : '⚠️ NEUTRAL';
   text += `**${verdict}**\n\n`;
   text += `✅ ${counts.pass} passed | ❌ ${counts.fail} failed | ⚠️ ${counts.neutral} neutral`;
+  if (counts.warning > 0) {
+    text += ` | 🟡 ${counts.warning} warnings`;
+  }
+  if (counts.skipped > 0) {
+    text += ` | ⏭️ ${counts.skipped} skipped`;
+  }
+  const cachedCount = gates.filter(g => g.cached).length;
+  if (cachedCount > 0) {
+    text += ` | ♻️ ${cachedCount} cached`;
+  }
   if (runResult.duration_ms) {
     text += ` | ${runResult.duration_ms}ms`;
   }
   text += '\n\n';
+
+  const policyLine = describeVerdictPolicy(runResult.execution_summary?.verdict_policy);
+  if (policyLine) {
+    text += `**Verdict policy:** ${policyLine}\n\n`;
+  }
   
-  // Render gates in order: fail, pass, neutral
-  for (const status of ['fail', 'pass', 'neutral']) {
+  // Render gates in order: fail, warning, pass, neutral, skipped
+  for (const status of ['fail', 'warning', 'pass', 'neutral', 'skipped']) {
     for (const gate of groups[status]) {
       text += renderGate(gate, status);
     }
   }
+
+  if (shadowGates.length > 0) {
+    text += renderShadowGates(shadowGates, runResult);
+  }
+
+  text += renderPolicyFooter(runResult, allGates);
   
   return { summary, text };
 }
 
+/**
+ * Describe the verdict math for non-default policies; null for the default "all" policy
+ */
+function describeVerdictPolicy(policy) {
+  if (!policy || (policy.type === 'all' && !policy.must_pass)) return null;
+
+  const parts = [];
+  if (policy.type === 'quorum') {
+    parts.push(`quorum — ${policy.passed}/${policy.counted} passed (min ${policy.min_pass})`);
+  } else if (policy.type === 'weighted') {
+    parts.push(`weighted — score ${policy.score} (${policy.pass_weight}/${policy.total_weight}), threshold ${policy.threshold}`);
+  } else {
+    parts.push(policy.type);
+  }
+
+  if (policy.must_pass) {
+    const { required, failed, pending } = policy.must_pass;
+    let mustPass = `must pass: ${required.join(', ')}`;
+    if (failed.length > 0) mustPass += ` (failed: ${failed.join(', ')})`;
+    if (pending.length > 0) mustPass += ` (neutral: ${pending.join(', ')})`;
+    parts.push(mustPass);
+  }
+
+  return parts.join(' | ');
+}
+
+/**
+ * Render shadow gates in a collapsed section with agreement against the real verdict
+ */
+function renderShadowGates(shadowGates, runResult) {
+  const agreement = runResult.execution_summary?.shadow;
+  const agreementText = agreement
+    ? ` — ${agreement.agreed}/${agreement.compared} agree with the verdict`
+    : '';
+
+  let section = `<details>\n<summary>Shadow gates (${shadowGates.length})${agreementText}</summary>\n\n`;
+  section += `Shadow gates are on trial and do not affect the verdict.\n\n`;
+
+  const sorted = [...shadowGates].sort((a, b) => getLabel(a).localeCompare(getLabel(b)));
+  for (const gate of sorted) {
+    const group = getGroup(gate);
+    const notes = group === 'skipped'
+      ? []
+      : [`**Agrees with verdict:** ${gate.status === runResult.overall_status ? 'yes' : 'no'}`];
+    section += renderGate(gate, group, notes);
+  }
+
+  section += `</details>\n\n`;
+  return section;
+}
+
+/**
+ * Render footer naming the spec and rule versions (content hashes) behind the verdict
+ */
+function renderPolicyFooter(runResult, gates) {
+  const ruleHashes = gates
+    .filter(g => g.provenance?.rule_hash)
+    .map(g => `\`${getLabel(g)}@${g.provenance.rule_hash}\``);
+  if (!runResult.spec_hash && ruleHashes.length === 0) return '';
+
+  let footer = `---\n<sub>Policy: repo-spec \`${runResult.spec_hash ?? 'unknown'}\``;
+  if (ruleHashes.length > 0) {
+    footer += ` · rules ${ruleHashes.join(', ')}`;
+  }
+  return footer + '</sub>\n';
+}
+
+/**
+ * Format a violation's line range as `:12` or `:12-18`
+ */
+function formatLineRange(violation) {
+  if (!violation.line) return '';
+  return violation.end_line && violation.end_line !== violation.line
+    ? `:${violation.line}-${violation.end_line}`
+    : `:${violation.line}`;
+}
+
+/**
+ * Get render group for a gate; failing advisory gates (blocking: false) are warnings
+ */
+function getGroup(gate) {
+  return gate.status === 'fail' && gate.blocking === false ? 'warning' : gate.status;
+}
+
 /**
  * Get display label for a gate
  */
@@ -157,12 +272,21 @@ function getOperatorSymbol(operator) {
 
 /**
  * Render a single gate section
+ * @param {object} gate - Gate result
+ * @param {string} status - Render group from getGroup()
+ * @param {string[]} [notes] - Extra bullet lines appended to the section
  */
-function renderGate(gate, status) {
+function renderGate(gate, status, notes = []) {
   // Title with big status emoji
   const emoji = status === 'fail' ? '❌' : 
-                status === 'pass' ? '✅' : '⚠️';
+                status === 'pass' ? '✅' :
+                status === 'warning' ? '🟡' :
+                status === 'skipped' ? '⏭️' : '⚠️';
   let section = `### ${emoji} ${getLabel(gate)}\n\n`;
+
+  if (status === 'warning') {
+    section += `- **Advisory:** non-blocking gate, does not affect the verdict\n`;
+  }
   
   // DEBUG: Log entire gate object to see actual structure
   // console.log('🔍 Summary-Adapter DEBUG - Full gate object:', JSON.stringify(gate, null, 2));
@@ -202,8 +326,9 @@ function renderGate(gate, status) {
   if (violations.length > 0) {
     section += `- **Violations (${violations.length}):**\n`;
     for (const v of violations.slice(0, 20)) {
-      section += `  - ${v.code || 'ERROR'} — ${v.message || 'No message'}\n`;
-      if (v.path) section += `    - Path: ${v.path}\n`;
+      const severity = v.severity && v.severity !== 'error' ? ` (${v.severity})` : '';
+      section += `  - ${v.code || 'ERROR'}${severity} — ${v.message || 'No message'}\n`;
+      if (v.path) section += `    - Path: ${v.path}${formatLineRange(v)}\n`;
       if (v.meta && Object.keys(v.meta).length > 0) {
         section += `    - Meta: ${JSON.stringify(v.meta)}\n`;
       }
@@ -230,7 +355,7 @@ function renderGate(gate, status) {
   // Stats (exclude score/threshold already shown)
   const stats = gate.stats || {};
   const statsToShow = Object.entries(stats).filter(([key, value]) => {
-    return key !== 'score' && key !== 'threshold' && key !== 'rule_id' && key !== 'statement' &&
+    return key !== 'score' && key !== 'threshold' && key !== 'rule_id' && key !== 'statement' && key !== 'retries' &&
            (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean');
   });
   
@@ -240,11 +365,27 @@ function renderGate(gate, status) {
       section += `  - ${key}: ${value}\n`;
     }
   }
-  
+
+  // Declared goal the PR serves (goal-declaration gate)
+  const matchedGoal = gate.stats?.matched_goal;
+  if (matchedGoal?.id) {
+    section += `- **Goal:** ${matchedGoal.id} — ${matchedGoal.description}\n`;
+  }
+
   // Duration
   if (gate.duration_ms != null) {
     section += `- **Duration:** ${gate.duration_ms}ms\n`;
   }
+
+  // Result reused from an earlier run on the same head SHA and config
+  if (gate.cached) {
+    section += `- **Cached:** result reused from an earlier run on this commit\n`;
+  }
+
+  // Retries after transient failures (gate entry `retry:` policy)
+  if (gate.stats?.retries > 0) {
+    section += `- **Retries:** ${gate.stats.retries}\n`;
+  }
   
   // Model info from provenance
   if (gate.provenance?.modelConfig?.provider && gate.provenance?.modelConfig?.model) {
@@ -255,6 +396,20 @@ function renderGate(gate, status) {
   if (status === 'neutral' && gate.neutral_reason) {
     section += `- **Reason:** ${gate.neutral_reason}\n`;
   }
+
+  // Neutral/errored result remapped by the gate's on_error / on_neutral
+  if (gate.treated_as) {
+    section += `- **Treated as:** ${gate.treated_as} (was ${gate.original_status}: ${gate.neutral_reason || 'no reason'})\n`;
+  }
+
+  // Skip reason from an unmatched when: condition
+  if (status === 'skipped' && gate.skip_reason) {
+    section += `- **Skipped:** ${gate.skip_reason}\n`;
+  }
+
+  for (const note of notes) {
+    section += `- ${note}\n`;
+  }
   
   section += '\n';
   return section;
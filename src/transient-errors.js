@@ -0,0 +1,30 @@
+// src/transient-errors.js - Transient error classification shared by the gate launcher, gates and the AI provider
+
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+/**
+ * Classify an error as transient (worth retrying)
+ * Covers HTTP errors from Octokit/GitBeaker/OpenAI clients and low-level network failures.
+ * Aborts are never retryable: they mean the gate's deadline already expired.
+ * @param {unknown} error - Thrown error
+ * @returns {boolean} True for transient errors
+ */
+export function isRetryableError(error) {
+  if (!error || typeof error !== 'object') return false;
+  if (error.name === 'AbortError') return false;
+
+  const status = error.status ?? error.statusCode ?? error.response?.status;
+  if (RETRYABLE_STATUS_CODES.has(Number(status))) return true;
+
+  const code = error.code ?? error.cause?.code;
+  return RETRYABLE_ERROR_CODES.has(code);
+}
@@ -0,0 +1,36 @@
+/**
+ * Gate result DTOs - mirrors src/ai/schemas/gate-result.schema.json
+ * The launcher validates every gate's return value against the schema and normalizes violations.
+ */
+
+export type GateStatus = 'pass' | 'fail' | 'neutral';
+
+export interface Violation {
+  code: string;
+  message: string;
+  severity: 'error' | 'warning' | 'info'; // default: error
+  path: string | null;                    // repository-relative file path
+  line: number | null;                    // 1-based start line
+  end_line: number | null;                // 1-based end line (inclusive), defaults to line
+  meta?: Record<string, any>;
+}
+
+export interface GateResult {
+  id: string;              // derived by the launcher
+  status: GateStatus | 'skipped';
+  neutral_reason?: string; // e.g. 'timeout', 'internal_error', 'invalid_gate_result'
+  blocking?: boolean;      // resolved by the launcher
+  mode?: 'shadow';         // set for shadow gates, which never count toward the verdict
+  cached?: boolean;        // served from the result cache instead of running the gate
+  violations: Violation[];
+  observations?: string[];
+  stats: Record<string, any>;
+  provenance?: Record<string, any> | null;
+  res?: Record<string, any> | null;
+  providerResult?: Record<string, any> | null;
+  rule?: Record<string, any> | null;
+  passed?: string[];
+  failed?: string[];
+  error?: string;
+  duration_ms: number;
+}
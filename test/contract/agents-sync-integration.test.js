@@ -3,6 +3,7 @@
  * Tests the gate within the launcher framework with real-world scenarios
  */
 
+import '../helpers/disable-gate-cache.js';
 import { describe, test } from 'node:test';
 import assert from 'node:assert';
 import { runConfiguredGates } from '../../src/gates/run-configured.js';
@@ -3,6 +3,7 @@
  * Tests that the rules gate executes using existing fixtures and patterns
  */
 
+import '../helpers/disable-gate-cache.js';
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
 import { testEventHandler } from '../helpers/handler-harness.js';
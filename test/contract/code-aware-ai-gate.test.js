@@ -3,6 +3,7 @@
  * Tests the enhanced ai-rule gate with actual rule loading and mock provider
  */
 
+import '../helpers/disable-gate-cache.js';
 import { describe, test } from 'node:test';
 import assert from 'node:assert';
 import { runConfiguredGates } from '../../src/gates/run-configured.js';
@@ -3,6 +3,7 @@
  * Tests the 4 required behavior scenarios for the MVP using established fixtures
  */
 
+import '../helpers/disable-gate-cache.js';
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import nock from 'nock';
@@ -1,3 +1,4 @@
+import '../helpers/disable-gate-cache.js';
 import { describe, test } from 'node:test';
 import assert from 'node:assert';
 import { testEventHandler } from '../helpers/handler-harness.js';
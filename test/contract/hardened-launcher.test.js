@@ -3,6 +3,7 @@
  * Tests timeout handling, unknown gates, and launcher robustness
  */
 
+import '../helpers/disable-gate-cache.js';
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert';
 import { runConfiguredGates } from '../../src/gates/run-configured.js';
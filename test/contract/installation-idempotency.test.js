@@ -1,3 +1,4 @@
+import '../helpers/disable-gate-cache.js';
 import { describe, test, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import fs from 'fs';
@@ -4,6 +4,7 @@
  * Uses direct gate testing pattern proven in multiple-ai-rules.test.js
  */
 
+import '../helpers/disable-gate-cache.js';
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
 import { DONT_REBUILD_OSS_RULE, MOCK_AI_GATE_PASS, MOCK_AI_GATE_FAIL, MOCK_AI_GATE_DIFFERENT_MODEL } from '../fixtures/ai-rules.js';
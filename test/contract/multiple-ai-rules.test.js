@@ -7,6 +7,7 @@
  * When mocking is implemented, these tests should expect 'pass' results
  */
 
+import '../helpers/disable-gate-cache.js';
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
 import { SPEC_FIXTURES } from '../fixtures/repo-specs.js';
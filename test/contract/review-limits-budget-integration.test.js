@@ -4,6 +4,7 @@
  * Focuses on end-to-end behavior rather than internal implementation details
  */
 
+import '../helpers/disable-gate-cache.js';
 import { describe, test } from 'node:test';
 import assert from 'node:assert';
 import { testEventHandler } from '../helpers/handler-harness.js';
@@ -5,6 +5,7 @@
  * Following integration test pattern from test/integration/AGENTS.md
  */
 
+import '../helpers/disable-gate-cache.js';
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
 import { testPullRequestHandler } from '../helpers/handler-harness.js';
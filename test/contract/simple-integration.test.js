@@ -1,3 +1,4 @@
+import '../helpers/disable-gate-cache.js';
 import nock from "nock";
 import myProbotApp from "../../index.js";
 import yaml from "js-yaml";
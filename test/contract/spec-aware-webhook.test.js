@@ -3,6 +3,7 @@
  * Tests webhook behavior with different spec configurations
  */
 
+import '../helpers/disable-gate-cache.js';
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { testPullRequestHandler } from '../helpers/handler-harness.js';
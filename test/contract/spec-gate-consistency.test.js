@@ -4,6 +4,7 @@
  * Validates that gate count matches spec configuration exactly
  */
 
+import '../helpers/disable-gate-cache.js';
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { testPullRequestHandler } from '../helpers/handler-harness.js';
@@ -4,6 +4,7 @@
  * Converted from HTTP mocking to direct handler invocation for reliability
  */
 
+import '../helpers/disable-gate-cache.js';
 import { describe, test } from 'node:test';
 import assert from 'node:assert';
 import { testEventHandler } from '../helpers/handler-harness.js';
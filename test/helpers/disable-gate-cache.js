@@ -0,0 +1,8 @@
+/**
+ * Turns the gate result cache off for contract tests
+ * Contract tests replay the same PR payload across cases, so a result cached by one case would
+ * be served to the next. Import this first, before anything loads src/env.js; CI sets
+ * NODE_ENV=test (no cache), but local runs under development would otherwise get the memory cache.
+ */
+
+process.env.COGNI_GATE_CACHE ??= 'none';
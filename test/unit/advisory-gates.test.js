@@ -0,0 +1,92 @@
+/**
+ * Advisory Gate Tests
+ * Verifies that failing gates with blocking: false warn without changing the verdict
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { runAllGates } from '../../src/gates/index.js';
+import { renderCheckSummary } from '../../src/summary-adapter.js';
+import { postPRComment } from '../../src/pr-comment.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+function createRunContext() {
+  const { context } = createGateTestContext({ spec: {}, pr: {} });
+  context.payload = { repository: { name: 'test-repo', full_name: 'test-org/test-repo' } };
+  return context;
+}
+
+const pr = { number: 3, body: 'Goal: G-1', changed_files: 20, head: { sha: 'abc1234' } };
+
+describe('Advisory gates (blocking: false)', () => {
+
+  test('failing advisory gate leaves the verdict passing and counts as a warning', async () => {
+    const spec = {
+      gates: [
+        { type: 'review-limits', id: 'review_limits', blocking: false, with: { max_changed_files: 5 } },
+        { type: 'goal-declaration', id: 'goal_declaration' }
+      ],
+      intent: { goals: ['Ship things'] }
+    };
+
+    const runResult = await runAllGates(createRunContext(), pr, spec);
+
+    assert.strictEqual(runResult.gates[0].status, 'fail');
+    assert.strictEqual(runResult.gates[0].blocking, false);
+    assert.strictEqual(runResult.overall_status, 'pass');
+    assert.strictEqual(runResult.conclusion_reason, 'passed_with_warnings');
+    assert.strictEqual(runResult.execution_summary.failed, 0);
+    assert.strictEqual(runResult.execution_summary.warnings, 1);
+  });
+
+  test('gates are blocking by default', async () => {
+    const spec = {
+      gates: [{ type: 'review-limits', id: 'review_limits', with: { max_changed_files: 5 } }]
+    };
+
+    const runResult = await runAllGates(createRunContext(), pr, spec);
+
+    assert.strictEqual(runResult.gates[0].blocking, true);
+    assert.strictEqual(runResult.overall_status, 'fail');
+    assert.strictEqual(runResult.execution_summary.warnings, 0);
+  });
+
+  test('check summary renders advisory failures as warnings', () => {
+    const runResult = {
+      overall_status: 'pass',
+      gates: [
+        { id: 'review_limits', status: 'fail', blocking: false, violations: [{ code: 'max_changed_files', message: 'max_changed_files: 20 > 5' }], stats: {} },
+        { id: 'goal_declaration', status: 'pass', blocking: true, violations: [], stats: {} }
+      ]
+    };
+
+    const { summary, text } = renderCheckSummary(runResult);
+
+    assert.strictEqual(summary, 'All gates passed | Warnings: 1');
+    assert(text.includes('❌ 0 failed'));
+    assert(text.includes('🟡 1 warnings'));
+    assert(text.includes('### 🟡 review_limits'));
+    assert(text.includes('non-blocking gate, does not affect the verdict'));
+  });
+
+  test('PR comment lists advisory failures under warnings, not blockers', async () => {
+    let body;
+    const context = {
+      repo: (params) => ({ owner: 'test-org', repo: 'test-repo', ...params }),
+      vcs: { issues: { createComment: async (params) => { body = params.body; return { data: {} }; } } }
+    };
+    const runResult = {
+      overall_status: 'pass',
+      gates: [
+        { id: 'review_limits', status: 'fail', blocking: false, violations: [{ code: 'max_changed_files', message: 'max_changed_files: 20 > 5' }] }
+      ]
+    };
+
+    await postPRComment(context, runResult, 'https://example.test/check', 'abc1234def', 3);
+
+    assert(body.includes('✅ PASS'));
+    assert(!body.includes('**Blockers:**'));
+    assert(body.includes('**Warnings (non-blocking):**'));
+    assert(body.includes('max_changed_files: max_changed_files: 20 > 5'));
+  });
+});
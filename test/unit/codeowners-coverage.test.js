@@ -0,0 +1,130 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { run, parseCodeowners, findOwners } from '../../src/gates/cogni/codeowners-coverage.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+const CODEOWNERS = `# Default owners
+*.js        @alice
+/docs/      @docs-team-lead @acme/docs
+src/legacy/ # explicitly unowned
+infra/*     @bob
+`;
+
+function createContext({ codeowners = CODEOWNERS, files = [], reviews = [], getContent } = {}) {
+  const contentRequests = [];
+  const { context } = createGateTestContext({
+    spec: {},
+    pr: { number: 9, base: { sha: 'base123' } },
+    vcs: {
+      repos: {
+        getContent: getContent || (async (params) => {
+          contentRequests.push(params);
+          if (params.path !== '.github/CODEOWNERS' || codeowners === null) {
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+          }
+          return { data: { content: Buffer.from(codeowners).toString('base64'), encoding: 'base64' } };
+        })
+      },
+      pulls: {
+        listFiles: async () => ({ data: files.map(filename => ({ filename, status: 'modified' })) }),
+        listReviews: async () => ({ data: reviews })
+      }
+    }
+  });
+  context.repo = (params = {}) => ({ owner: 'test-org', repo: 'test-repo', ...params });
+  return { context, contentRequests };
+}
+
+describe('CODEOWNERS Coverage Gate', () => {
+  test('parses rules, skipping comments and keeping ownerless patterns', () => {
+    const rules = parseCodeowners(CODEOWNERS);
+
+    assert.deepStrictEqual(rules.map(r => [r.pattern, r.owners]), [
+      ['*.js', ['@alice']],
+      ['/docs/', ['@docs-team-lead', '@acme/docs']],
+      ['src/legacy/', []],
+      ['infra/*', ['@bob']]
+    ]);
+  });
+
+  test('last matching rule wins, with gitignore-style anchoring', () => {
+    const rules = parseCodeowners(CODEOWNERS);
+
+    assert.deepStrictEqual(findOwners(rules, 'src/app.js'), ['@alice']);
+    assert.deepStrictEqual(findOwners(rules, 'docs/guide/intro.md'), ['@docs-team-lead', '@acme/docs']);
+    assert.deepStrictEqual(findOwners(rules, 'src/legacy/old.js'), []);
+    assert.deepStrictEqual(findOwners(rules, 'infra/main.tf'), ['@bob']);
+    assert.deepStrictEqual(findOwners(rules, 'infra/modules/vpc.tf'), []);
+    assert.deepStrictEqual(findOwners(rules, 'nested/docs/readme.md'), []);
+  });
+
+  test('reads CODEOWNERS at the base SHA and reports each unowned file', async () => {
+    const { context, contentRequests } = createContext({ files: ['src/app.js', 'README.md', 'src/legacy/old.js'] });
+    const result = await run(context, { type: 'codeowners-coverage' });
+
+    assert.strictEqual(contentRequests[0].ref, 'base123');
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path]), [
+      ['unowned_file', 'README.md'],
+      ['unowned_file', 'src/legacy/old.js']
+    ]);
+    assert.strictEqual(result.stats.files_checked, 3);
+    assert.strictEqual(result.stats.codeowners_path, '.github/CODEOWNERS');
+  });
+
+  test('passes when every changed file has an owner', async () => {
+    const { context } = createContext({ files: ['src/app.js', 'docs/index.md'] });
+    const result = await run(context, { type: 'codeowners-coverage' });
+
+    assert.strictEqual(result.status, 'pass');
+    assert.strictEqual(result.violations.length, 0);
+  });
+
+  test('fails when no CODEOWNERS file exists', async () => {
+    const { context } = createContext({ codeowners: null, files: ['src/app.js'] });
+    const result = await run(context, { type: 'codeowners-coverage' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.violations[0].code, 'codeowners_missing');
+  });
+
+  test('require_owner_approval uses each reviewer\'s latest review state', async () => {
+    const { context } = createContext({
+      files: ['src/app.js', 'infra/main.tf'],
+      reviews: [
+        { user: { login: 'Alice' }, state: 'APPROVED' },
+        { user: { login: 'bob' }, state: 'APPROVED' },
+        { user: { login: 'bob' }, state: 'CHANGES_REQUESTED' },
+        { user: { login: 'alice' }, state: 'COMMENTED' }
+      ]
+    });
+    const result = await run(context, { type: 'codeowners-coverage', with: { require_owner_approval: true } });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path]), [['owner_approval_missing', 'infra/main.tf']]);
+    assert.strictEqual(result.stats.approvers, 1);
+  });
+
+  test('require_owner_approval reads approvals beyond the first page of reviews', async () => {
+    const { context } = createContext({ files: ['infra/main.tf'] });
+    const pages = [];
+    context.vcs.pulls.listReviews = async ({ page, per_page }) => {
+      pages.push(page);
+      if (page > 1) return { data: [{ user: { login: 'bob' }, state: 'APPROVED' }] };
+      return { data: Array.from({ length: per_page }, (_, i) => ({ user: { login: `reviewer${i}` }, state: 'COMMENTED' })) };
+    };
+    const result = await run(context, { type: 'codeowners-coverage', with: { require_owner_approval: true } });
+
+    assert.deepStrictEqual(pages, [1, 2]);
+    assert.strictEqual(result.status, 'pass');
+  });
+
+  test('API errors are neutral', async () => {
+    const { context } = createContext({ getContent: async () => { throw Object.assign(new Error('Server Error'), { status: 502 }); } });
+    const result = await run(context, { type: 'codeowners-coverage' });
+
+    assert.strictEqual(result.status, 'neutral');
+    assert.strictEqual(result.neutral_reason, 'api_error');
+    assert.strictEqual(result.retryable, true);
+  });
+});
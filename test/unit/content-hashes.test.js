@@ -0,0 +1,84 @@
+/**
+ * Spec and Rule Content Hash Tests
+ * Verifies stable hashes on loaded specs and rules, and their use in idempotency keys, provenance and summaries
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { loadRepoSpec, loadSingleRule } from '../../src/spec-loader.js';
+import { renderCheckSummary } from '../../src/summary-adapter.js';
+import { createMockContextWithSpec } from '../helpers/handler-harness.js';
+
+const SPEC = {
+  intent: { name: 'test-repo', goals: ['ship'], non_goals: ['scope creep'] },
+  gates: [{ type: 'review-limits', with: { max_changed_files: 10 } }]
+};
+
+function ruleContext(ruleContent) {
+  return {
+    repo: () => ({ owner: 'test-org', repo: 'test-repo' }),
+    vcs: { config: { get: async () => ({ config: ruleContent }) } }
+  };
+}
+
+describe('Spec and rule content hashes', () => {
+  test('loadRepoSpec attaches a hash that ignores key order', async () => {
+    const reordered = {
+      gates: [{ with: { max_changed_files: 10 }, type: 'review-limits' }],
+      intent: { non_goals: ['scope creep'], goals: ['ship'], name: 'test-repo' }
+    };
+
+    const first = await loadRepoSpec(createMockContextWithSpec(SPEC));
+    const second = await loadRepoSpec(createMockContextWithSpec(reordered));
+
+    assert.strictEqual(first.ok, true);
+    assert.match(first.spec._hash, /^[0-9a-f]{16}$/);
+    assert.strictEqual(first.spec._hash, second.spec._hash);
+  });
+
+  test('spec hash changes when the spec changes', async () => {
+    const changed = { ...SPEC, gates: [{ type: 'review-limits', with: { max_changed_files: 20 } }] };
+
+    const first = await loadRepoSpec(createMockContextWithSpec(SPEC));
+    const second = await loadRepoSpec(createMockContextWithSpec(changed));
+
+    assert.notStrictEqual(first.spec._hash, second.spec._hash);
+  });
+
+  test('loadSingleRule records the rule hash in metadata', async () => {
+    const rule = {
+      id: 'goal-alignment',
+      schema_version: '0.3',
+      blocking: true,
+      workflow_id: 'single-statement-evaluation',
+      evaluations: [{ statement: 'PR aligns with goals' }],
+      success_criteria: { neutral_on_missing_metrics: false, require: [{ metric: 'statement', gte: 0.7 }] }
+    };
+
+    const first = await loadSingleRule(ruleContext(rule), { ruleFile: 'goal-alignment.yaml' });
+    const second = await loadSingleRule(ruleContext({ ...rule, blocking: false }), { ruleFile: 'goal-alignment.yaml' });
+
+    assert.strictEqual(first.ok, true, JSON.stringify(first.error));
+    assert.match(first.rule._metadata.hash, /^[0-9a-f]{16}$/);
+    assert.notStrictEqual(first.rule._metadata.hash, second.rule._metadata.hash);
+  });
+
+  test('check summary footer names the spec and rule hashes', () => {
+    const { text } = renderCheckSummary({
+      overall_status: 'pass',
+      spec_hash: 'aaaaaaaaaaaaaaaa',
+      gates: [
+        { id: 'goal-alignment', status: 'pass', violations: [], stats: {}, provenance: { rule_hash: 'bbbbbbbbbbbbbbbb' } },
+        { id: 'review_limits', status: 'pass', violations: [], stats: {} }
+      ]
+    });
+
+    assert.match(text, /repo-spec `aaaaaaaaaaaaaaaa`/);
+    assert.match(text, /`goal-alignment@bbbbbbbbbbbbbbbb`/);
+  });
+
+  test('summary omits the footer without hashes', () => {
+    const { text } = renderCheckSummary({ overall_status: 'pass', gates: [] });
+    assert.doesNotMatch(text, /repo-spec `/);
+  });
+});
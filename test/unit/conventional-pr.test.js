@@ -0,0 +1,91 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { run, checkHeader } from '../../src/gates/cogni/conventional-pr.js';
+import { parseGitLog } from '../../src/adapters/local-cli/git-utils.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+const COMMITS = [
+  { sha: 'a1b2c3d4e5f6a7b8c9d0', commit: { message: 'feat(gates): add conventional-pr gate\n\nLonger body.' } },
+  { sha: 'b2c3d4e5f6a7b8c9d0e1', commit: { message: 'wip' } },
+  { sha: 'c3d4e5f6a7b8c9d0e1f2', commit: { message: "Merge branch 'main' into feature" } },
+  { sha: 'd4e5f6a7b8c9d0e1f2a3', commit: { message: 'fix(db): handle null rows' } }
+];
+
+function createContext({ title = 'feat(gates): add conventional-pr gate', commits = COMMITS, listCommits } = {}) {
+  const { context } = createGateTestContext({
+    spec: {},
+    pr: { number: 11, title },
+    vcs: { pulls: { listCommits: listCommits || (async () => ({ data: commits })) } }
+  });
+  return context;
+}
+
+describe('Conventional PR Gate', () => {
+  test('passes a conventional PR title without fetching commits by default', async () => {
+    const context = createContext({ listCommits: async () => { throw new Error('should not be called'); } });
+    const result = await run(context, { type: 'conventional-pr' });
+
+    assert.strictEqual(result.status, 'pass');
+    assert.deepStrictEqual(result.stats, { title_valid: true });
+  });
+
+  test('fails a non-conventional title', async () => {
+    const result = await run(createContext({ title: 'Add conventional gate' }), { type: 'conventional-pr' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.violations[0].code, 'invalid_pr_title');
+    assert.match(result.violations[0].message, /is not a Conventional Commits header/);
+  });
+
+  test('reports each offending commit by SHA, skipping merge commits', async () => {
+    const result = await run(createContext(), {
+      type: 'conventional-pr',
+      with: { check_commits: true, scopes: ['gates', 'adapters'] }
+    });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.meta.sha]), [
+      ['invalid_commit_message', 'b2c3d4e5f6a7b8c9d0e1'],
+      ['invalid_commit_message', 'd4e5f6a7b8c9d0e1f2a3']
+    ]);
+    assert.match(result.violations[1].message, /^Commit d4e5f6a "fix\(db\): handle null rows" uses scope "db"; allowed: gates, adapters$/);
+    assert.strictEqual(result.stats.commits_checked, 3);
+  });
+
+  test('a custom pattern replaces the Conventional Commits check', async () => {
+    const gate = { type: 'conventional-pr', with: { pattern: '^[A-Z]+-\\d+: ' } };
+
+    assert.strictEqual((await run(createContext({ title: 'PROJ-12: Add gate' }), gate)).status, 'pass');
+    const result = await run(createContext({ title: 'feat: add gate' }), gate);
+    assert.match(result.violations[0].message, /does not match \/\^\[A-Z\]\+-\\d\+: \//);
+  });
+
+  test('checkHeader enforces types, required and allowed scopes', () => {
+    assert.strictEqual(checkHeader('feat!: drop node 18'), null);
+    assert.strictEqual(checkHeader('feat(api,ui): share types', { scopes: ['api', 'ui'] }), null);
+    assert.match(checkHeader('feature: x'), /uses type "feature"/);
+    assert.strictEqual(checkHeader('docs: readme', { requireScope: true }), 'needs a scope');
+    assert.strictEqual(checkHeader('docs(): readme'), 'has an empty scope');
+    assert.strictEqual(checkHeader('chore(deps): bump', { types: ['feat', 'fix'] }), 'uses type "chore"; allowed: feat, fix');
+  });
+
+  test('a commit listing failure is neutral unless the title already failed', async () => {
+    const listCommits = async () => { throw Object.assign(new Error('Bad Gateway'), { status: 502 }); };
+    const gate = { type: 'conventional-pr', with: { check_commits: true } };
+
+    const neutral = await run(createContext({ listCommits }), gate);
+    assert.strictEqual(neutral.status, 'neutral');
+    assert.strictEqual(neutral.neutral_reason, 'api_error');
+    assert.strictEqual(neutral.retryable, true);
+
+    const failed = await run(createContext({ title: 'bad title', listCommits }), gate);
+    assert.strictEqual(failed.status, 'fail');
+  });
+
+  test('parseGitLog reads SHA and full message per commit', () => {
+    assert.deepStrictEqual(parseGitLog('abc\u0000feat: one\n\nbody\n\u001e\ndef\u0000fix: two\n\u001e'), [
+      { sha: 'abc', commit: { message: 'feat: one\n\nbody' } },
+      { sha: 'def', commit: { message: 'fix: two' } }
+    ]);
+  });
+});
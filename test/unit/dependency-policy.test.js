@@ -0,0 +1,180 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { run, diffManifests, lockfilePackages, isLicenseAllowed } from '../../src/gates/cogni/dependency-policy.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+const BASE_MANIFEST = {
+  dependencies: { react: '^17.0.2', lodash: '^4.17.21' },
+  devDependencies: { eslint: '^9.0.0' }
+};
+const HEAD_MANIFEST = {
+  dependencies: { react: '^18.2.0', 'left-pad': '^1.3.0' },
+  devDependencies: { eslint: '^9.1.0' }
+};
+
+function lockfile(packages) {
+  return {
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'app' },
+      ...Object.fromEntries(Object.entries(packages).map(([name, [version, license]]) => [`node_modules/${name}`, { version, license }]))
+    }
+  };
+}
+
+const BASE_LOCK = lockfile({ react: ['17.0.2', 'MIT'], lodash: ['4.17.21', 'MIT'], eslint: ['9.0.0', 'MIT'] });
+const HEAD_LOCK = lockfile({
+  react: ['18.2.0', 'MIT'],
+  'left-pad': ['1.3.0', 'WTFPL'],
+  'loose-envify': ['1.4.0', 'MIT'],
+  eslint: ['9.1.0', 'MIT']
+});
+
+function encode(json) {
+  return { data: { content: Buffer.from(JSON.stringify(json)).toString('base64'), encoding: 'base64' } };
+}
+
+function createContext({ changed = ['package.json', 'package-lock.json'], files = {} } = {}) {
+  const contents = {
+    'package.json@base': BASE_MANIFEST,
+    'package.json@head': HEAD_MANIFEST,
+    'package-lock.json@base': BASE_LOCK,
+    'package-lock.json@head': HEAD_LOCK,
+    ...files
+  };
+  const { context } = createGateTestContext({
+    spec: {},
+    pr: { number: 4, base: { sha: 'base' }, head: { sha: 'head' } },
+    vcs: {
+      pulls: { listFiles: async () => ({ data: changed.map(filename => ({ filename, status: 'modified' })) }) },
+      repos: {
+        getContent: async ({ path, ref, mediaType }) => {
+          const json = contents[`${path}@${ref}`];
+          if (json === undefined) throw Object.assign(new Error('Not Found'), { status: 404 });
+          if (json === 'too-large') return { data: { content: '', encoding: 'none' } };
+          // Mirror GitHub: files over 1 MB only come back with the raw media type
+          if (json.over1mb) {
+            return mediaType?.format === 'raw'
+              ? { data: JSON.stringify(json.over1mb) }
+              : { data: { content: '', encoding: 'none' } };
+          }
+          return encode(json);
+        }
+      }
+    }
+  });
+  context.repo = (params = {}) => ({ owner: 'test-org', repo: 'test-repo', ...params });
+  return context;
+}
+
+describe('Dependency Policy Gate', () => {
+  test('reports added, removed and major-bumped packages', async () => {
+    const result = await run(createContext(), { type: 'dependency-policy' });
+
+    assert.strictEqual(result.status, 'pass');
+    assert.deepStrictEqual(result.observations, [
+      'Added left-pad@^1.3.0 (dependencies)',
+      'Removed lodash (dependencies)',
+      'Major bump react 17.0.2 → 18.2.0 (dependencies)'
+    ]);
+    assert.strictEqual(result.stats.dependencies_added, 1);
+    assert.strictEqual(result.stats.lockfile_packages_added, 4);
+  });
+
+  test('passes without reading contents when no manifest changed', async () => {
+    const result = await run(createContext({ changed: ['src/app.js'] }), { type: 'dependency-policy' });
+
+    assert.strictEqual(result.status, 'pass');
+    assert.strictEqual(result.stats.manifest_changed, false);
+  });
+
+  test('fails when manifest dependencies change without the lockfile', async () => {
+    const result = await run(createContext({ changed: ['package.json'] }), { type: 'dependency-policy' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path]), [['lockfile_not_updated', 'package-lock.json']]);
+
+    const disabled = await run(createContext({ changed: ['package.json'] }), {
+      type: 'dependency-policy',
+      with: { require_lockfile_update: false }
+    });
+    assert.strictEqual(disabled.status, 'pass');
+  });
+
+  test('enforces denylist globs on direct and transitive additions', async () => {
+    const result = await run(createContext(), {
+      type: 'dependency-policy',
+      with: { denylist: ['left-*', 'loose-envify'] }
+    });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.meta.package, v.path]), [
+      ['denylisted_dependency', 'left-pad', 'package.json'],
+      ['denylisted_dependency', 'loose-envify', 'package-lock.json']
+    ]);
+  });
+
+  test('enforces the license allowlist from lockfile metadata', async () => {
+    const result = await run(createContext(), {
+      type: 'dependency-policy',
+      with: { license_allowlist: ['MIT', 'Apache-2.0'] }
+    });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.meta.package, v.meta.license]), [
+      ['license_not_allowed', 'left-pad', 'WTFPL']
+    ]);
+  });
+
+  test('is neutral when the allowlist cannot be checked against an unreadable lockfile', async () => {
+    const result = await run(createContext({ files: { 'package-lock.json@head': 'too-large' } }), {
+      type: 'dependency-policy',
+      with: { license_allowlist: ['MIT'] }
+    });
+
+    assert.strictEqual(result.status, 'neutral');
+    assert.strictEqual(result.neutral_reason, 'lockfile_unavailable');
+  });
+
+  test('reads lockfiles over 1 MB through the raw media type', async () => {
+    const result = await run(createContext({ files: { 'package-lock.json@head': { over1mb: HEAD_LOCK } } }), {
+      type: 'dependency-policy',
+      with: { license_allowlist: ['MIT'], denylist: ['loose-*'] }
+    });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.meta.package]), [
+      ['denylisted_dependency', 'loose-envify'],
+      ['license_not_allowed', 'left-pad']
+    ]);
+  });
+
+  test('allow_major_bumps: false turns bumps into violations', async () => {
+    const result = await run(createContext(), { type: 'dependency-policy', with: { allow_major_bumps: false } });
+
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.meta.package]), [['major_version_bump', 'react']]);
+  });
+
+  test('API errors are neutral', async () => {
+    const context = createContext();
+    context.vcs.pulls.listFiles = async () => { throw Object.assign(new Error('Service Unavailable'), { status: 503 }); };
+    const result = await run(context, { type: 'dependency-policy' });
+
+    assert.strictEqual(result.status, 'neutral');
+    assert.strictEqual(result.neutral_reason, 'api_error');
+    assert.strictEqual(result.retryable, true);
+  });
+
+  test('helpers diff ranges, read lockfiles and evaluate SPDX expressions', () => {
+    const diff = diffManifests({ dependencies: { a: '^0.3.1', b: 'github:x/b' } }, { dependencies: { a: '^0.4.0', b: 'github:x/b#v2' } });
+    assert.deepStrictEqual(diff.majorBumps.map(b => b.name), ['a']);
+    assert.strictEqual(diff.rangesChanged, true);
+
+    assert.strictEqual(lockfilePackages({ lockfileVersion: 1, dependencies: {} }), null);
+    assert.deepStrictEqual([...lockfilePackages(HEAD_LOCK).values()][1], { name: 'left-pad', version: '1.3.0', license: 'WTFPL' });
+
+    assert.strictEqual(isLicenseAllowed('(MIT OR GPL-3.0)', ['MIT']), true);
+    assert.strictEqual(isLicenseAllowed('MIT AND GPL-3.0', ['MIT']), false);
+    assert.strictEqual(isLicenseAllowed(null, ['MIT']), false);
+  });
+});
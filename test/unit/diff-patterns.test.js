@@ -0,0 +1,144 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { run, configSchema } from '../../src/gates/cogni/diff-patterns.js';
+import { parsePatchHunks } from '../../src/gates/patch-parser.js';
+import { validateGateConfig } from '../../src/ai/schemas/validators.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+const RULES = [
+  { id: 'no-console-log', paths: ['src/**'], regex: 'console\\.log\\(', mode: 'forbid_added', message: 'Use the structured logger' },
+  { id: 'todo-needs-issue', regex: 'TODO(?!.*(#\\d+|https?://))', mode: 'forbid_added', severity: 'warning' },
+  { id: 'no-focused-tests', paths: ['test/**'], regex: '\\.only\\(', mode: 'forbid_added' },
+  { id: 'keep-license-header', paths: ['src/**'], regex: 'SPDX-License-Identifier', mode: 'forbid_removed' },
+  { id: 'strict-mode', paths: ['scripts/**'], regex: '^set -euo pipefail$', flags: 'm', mode: 'require_in_file' }
+];
+
+const FILES = [
+  {
+    filename: 'src/app.js',
+    status: 'modified',
+    patch: [
+      '@@ -1,4 +1,5 @@',
+      '-// SPDX-License-Identifier: MIT',
+      ' import x from "x";',
+      '+console.log("debug");',
+      '+// TODO: tidy up',
+      '+// TODO(#42): tracked',
+      ' export default x;'
+    ].join('\n')
+  },
+  { filename: 'test/app.test.js', status: 'added', patch: '@@ -0,0 +1,2 @@\n+describe.only("app", () => {});\n+console.log("fine in tests");' },
+  { filename: 'scripts/deploy.sh', status: 'modified', patch: '@@ -1 +1 @@\n-echo old\n+echo new' },
+  { filename: 'scripts/check.sh', status: 'modified', patch: '@@ -1 +1,2 @@\n+set -euo pipefail\n echo check' }
+];
+
+const HEAD_CONTENT = {
+  'scripts/deploy.sh': '#!/bin/bash\necho new\n',
+  'scripts/check.sh': '#!/bin/bash\nset -euo pipefail\necho check\n'
+};
+
+function createContext(files = FILES) {
+  const { context } = createGateTestContext({
+    spec: {},
+    pr: { number: 7, head: { sha: 'head' } },
+    vcs: {
+      pulls: { listFiles: async () => ({ data: files }) },
+      repos: {
+        getContent: async ({ path, ref }) => {
+          assert.strictEqual(ref, 'head');
+          return { data: { content: Buffer.from(HEAD_CONTENT[path]).toString('base64'), encoding: 'base64' } };
+        }
+      }
+    }
+  });
+  context.repo = (params = {}) => ({ owner: 'test-org', repo: 'test-repo', ...params });
+  return context;
+}
+
+describe('Diff Patterns Gate', () => {
+  test('parsePatchHunks numbers added, removed and context lines', () => {
+    const [hunk] = parsePatchHunks(FILES[0].patch);
+
+    assert.deepStrictEqual(hunk.lines.map(l => [l.type, l.old_line, l.new_line]), [
+      ['remove', 1, 1],
+      ['context', 2, 1],
+      ['add', null, 2],
+      ['add', null, 3],
+      ['add', null, 4],
+      ['context', 3, 5]
+    ]);
+  });
+
+  test('emits one violation per match with file and line', async () => {
+    const result = await run(createContext(), { type: 'diff-patterns', with: { rules: RULES } });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path, v.line, v.severity]), [
+      ['keep-license-header', 'src/app.js', 1, 'error'],
+      ['no-console-log', 'src/app.js', 2, 'error'],
+      ['todo-needs-issue', 'src/app.js', 3, 'warning'],
+      ['no-focused-tests', 'test/app.test.js', 1, 'error'],
+      ['strict-mode', 'scripts/deploy.sh', null, 'error']
+    ]);
+    assert.strictEqual(result.violations[1].message, 'Use the structured logger');
+    assert.deepStrictEqual(result.violations[0].meta, { mode: 'forbid_removed', old_line: 1 });
+    assert.strictEqual(result.stats.matches, 5);
+  });
+
+  test('require_in_file reads each file once and skips files too large to read', async () => {
+    const files = [
+      { filename: 'scripts/check.sh', status: 'modified', patch: '@@ -1 +1 @@\n+echo check' },
+      { filename: 'scripts/huge.sh', status: 'added', patch: undefined }
+    ];
+    const context = createContext(files);
+    const reads = [];
+    context.vcs.repos.getContent = async ({ path }) => {
+      reads.push(path);
+      // Mirror GitHub: files over 1 MB come back without content
+      if (path === 'scripts/huge.sh') return { data: { type: 'file', size: 2 * 1024 * 1024, content: '', encoding: 'none' } };
+      return { data: { content: Buffer.from(HEAD_CONTENT[path]).toString('base64'), encoding: 'base64' } };
+    };
+    const rules = [
+      RULES[4],
+      { id: 'has-shebang', paths: ['scripts/**'], regex: '^#!/bin/bash', mode: 'require_in_file' }
+    ];
+    const result = await run(context, { type: 'diff-patterns', with: { rules } });
+
+    assert.deepStrictEqual(reads, ['scripts/check.sh', 'scripts/huge.sh']);
+    assert.strictEqual(result.status, 'pass');
+    assert.deepStrictEqual(result.violations, []);
+    assert.deepStrictEqual(result.observations, ['scripts/huge.sh is too large to read; require_in_file rules skipped']);
+    assert.strictEqual(result.stats.files_unreadable, 1);
+  });
+
+  test('warning-severity matches alone do not fail the gate', async () => {
+    const files = [{ filename: 'src/a.js', status: 'modified', patch: '@@ -1 +1 @@\n+// TODO later' }];
+    const result = await run(createContext(files), { type: 'diff-patterns', with: { rules: RULES } });
+
+    assert.strictEqual(result.status, 'pass');
+    assert.deepStrictEqual(result.violations.map(v => v.code), ['todo-needs-issue']);
+  });
+
+  test('invalid regexes fail with a spec violation; schema rejects unknown modes', async () => {
+    const result = await run(createContext([]), {
+      type: 'diff-patterns',
+      with: { rules: [{ id: 'broken', regex: '(', mode: 'forbid_added' }] }
+    });
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path]), [['invalid_rule', '.cogni/repo-spec.yaml']]);
+
+    assert.deepStrictEqual(validateGateConfig(configSchema, { rules: RULES }), []);
+    assert.ok(validateGateConfig(configSchema, { rules: [{ id: 'x', regex: 'y', mode: 'forbid_everything' }] }).length > 0);
+    assert.ok(validateGateConfig(configSchema, {}).length > 0);
+  });
+
+  test('API errors are neutral', async () => {
+    const context = createContext();
+    context.vcs.pulls.listFiles = async () => { throw Object.assign(new Error('Bad Gateway'), { status: 502 }); };
+    const result = await run(context, { type: 'diff-patterns', with: { rules: RULES } });
+
+    assert.strictEqual(result.status, 'neutral');
+    assert.strictEqual(result.neutral_reason, 'api_error');
+    assert.strictEqual(result.retryable, true);
+  });
+});
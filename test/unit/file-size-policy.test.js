@@ -0,0 +1,142 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { run, checkFile } from '../../src/gates/cogni/file-size-policy.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+const KB = 1024;
+
+function createContext(files, { treeSizes = true } = {}) {
+  const requests = [];
+  const sizeOf = (file) => file.size ?? Buffer.byteLength(file.content ?? '');
+  const { context } = createGateTestContext({
+    spec: {},
+    pr: { number: 6, head: { sha: 'head' } },
+    vcs: {
+      pulls: {
+        listFiles: async () => ({ data: files.map(({ filename, status = 'added' }) => ({ filename, status })) })
+      },
+      git: {
+        getTree: async ({ tree_sha }) => {
+          assert.strictEqual(tree_sha, 'head');
+          // GitLab trees carry no sizes
+          const tree = files.filter(f => f.status !== 'removed')
+            .map(f => ({ path: f.filename, type: 'blob', ...(treeSizes && { size: sizeOf(f) }) }));
+          return { data: { tree, truncated: false } };
+        }
+      },
+      repos: {
+        getContent: async ({ path, ref }) => {
+          requests.push({ path, ref });
+          const file = files.find(f => f.filename === path);
+          const content = Buffer.from(file.content ?? '');
+          // Mirror GitHub: files over 1 MB come back with a size but no content
+          return file.size
+            ? { data: { type: 'file', size: file.size, content: '', encoding: 'none' } }
+            : { data: { type: 'file', size: content.length, content: content.toString('base64'), encoding: 'base64' } };
+        }
+      }
+    }
+  });
+  context.repo = (params = {}) => ({ owner: 'test-org', repo: 'test-repo', ...params });
+  return { context, requests };
+}
+
+describe('File Size Policy Gate', () => {
+  test('flags binary, oversized and generated files with paths and sizes', async () => {
+    const { context, requests } = createContext([
+      { filename: 'tools/helper.exe', content: 'MZ' },
+      { filename: 'assets/blob.dat', content: 'abc\u0000def' },
+      { filename: 'data/dump.csv', status: 'modified', size: 3 * KB * KB },
+      { filename: 'public/app.min.js', content: 'var a=1;' },
+      { filename: 'src/schema.ts', content: '// @generated by codegen\nexport type A = string;\n' },
+      { filename: 'src/index.js', content: 'export const ok = true;\n' },
+      { filename: 'old.bin', status: 'removed' }
+    ]);
+    const result = await run(context, { type: 'file-size-policy' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path, v.meta.detected_by ?? null]), [
+      ['binary_file', 'tools/helper.exe', 'extension'],
+      ['binary_file', 'assets/blob.dat', 'content'],
+      ['file_too_large', 'data/dump.csv', null],
+      ['generated_file', 'public/app.min.js', 'file name'],
+      ['generated_file', 'src/schema.ts', 'generated marker']
+    ]);
+    assert.strictEqual(result.violations[2].meta.size_bytes, 3 * KB * KB);
+    assert.match(result.violations[2].message, /data\/dump.csv is 3072 KB, over the 1024 KB limit/);
+    assert.ok(requests.every(r => r.ref === 'head'));
+    // Sizes come from the tree; the .exe and the 3 MB file are never downloaded
+    assert.deepStrictEqual(requests.map(r => r.path), ['assets/blob.dat', 'public/app.min.js', 'src/schema.ts', 'src/index.js']);
+    assert.strictEqual(result.stats.files_checked, 6);
+  });
+
+  test('falls back to repos.getContent for sizes when the tree has none', async () => {
+    const { context, requests } = createContext([
+      { filename: 'data/dump.csv', status: 'modified', size: 3 * KB * KB },
+      { filename: 'tools/helper.exe', content: 'MZ' }
+    ], { treeSizes: false });
+    const result = await run(context, { type: 'file-size-policy' });
+
+    assert.deepStrictEqual(requests.map(r => r.path), ['data/dump.csv', 'tools/helper.exe']);
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path]), [
+      ['file_too_large', 'data/dump.csv'],
+      ['binary_file', 'tools/helper.exe']
+    ]);
+  });
+
+  test('a file that cannot be read is reported and the rest are still checked', async () => {
+    const { context } = createContext([
+      { filename: 'src/huge.js', status: 'modified', content: 'export {};\n' },
+      { filename: 'tools/helper.exe', content: 'MZ' }
+    ]);
+    const getContent = context.vcs.repos.getContent;
+    context.vcs.repos.getContent = async (params) => {
+      if (params.path === 'src/huge.js') throw Object.assign(new Error('Forbidden'), { status: 403 });
+      return getContent(params);
+    };
+    const result = await run(context, { type: 'file-size-policy' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path]), [['binary_file', 'tools/helper.exe']]);
+    assert.deepStrictEqual(result.observations, ['src/huge.js could not be read (Forbidden); checked by name and size only']);
+    assert.strictEqual(result.stats.files_unreadable, 1);
+    assert.strictEqual(result.stats.files_checked, 2);
+  });
+
+  test('per-glob size limits win over max_file_kb; allowlisted files are skipped', async () => {
+    const { context } = createContext([
+      { filename: 'docs/diagram.svg', content: 'x'.repeat(20 * KB) },
+      { filename: 'src/big.js', content: 'x\n'.repeat(2 * KB) },
+      { filename: 'vendor/lib.min.js', content: 'minified' }
+    ]);
+    const result = await run(context, {
+      type: 'file-size-policy',
+      with: { max_file_kb: 5, size_limits: [{ pattern: 'docs/**', max_kb: 10 }], allowlist: ['vendor/**'] }
+    });
+
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path, v.meta.limit_kb]), [['file_too_large', 'docs/diagram.svg', 10]]);
+    assert.strictEqual(result.stats.files_allowlisted, 1);
+  });
+
+  test('binary checks apply to added files only; minified code is detected by line length', () => {
+    const policy = { binaryExtensions: new Set(['jar']) };
+
+    assert.deepStrictEqual(checkFile({ path: 'lib/tool.jar', added: false, size: 10, content: null }, policy), []);
+    const minified = checkFile({ path: 'dist/app.js', added: true, size: null, content: Buffer.from('a'.repeat(2000)) }, policy);
+    assert.deepStrictEqual(minified.map(v => [v.code, v.meta.detected_by, v.meta.size_bytes]), [['generated_file', 'minified', 2000]]);
+    assert.deepStrictEqual(checkFile({ path: 'dist/app.js', added: true, size: 2000, content: Buffer.from('a'.repeat(2000)) }, {
+      ...policy,
+      detect_generated: false
+    }), []);
+  });
+
+  test('API errors are neutral', async () => {
+    const { context } = createContext([{ filename: 'a.txt', content: 'a' }]);
+    context.vcs.git.getTree = async () => { throw Object.assign(new Error('Service Unavailable'), { status: 503 }); };
+    const result = await run(context, { type: 'file-size-policy' });
+
+    assert.strictEqual(result.status, 'neutral');
+    assert.strictEqual(result.neutral_reason, 'api_error');
+    assert.strictEqual(result.retryable, true);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { run, findForbiddenFiles, collectDriftViolations } from '../../src/gates/cogni/forbidden-scopes.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+const NON_GOALS = ['Heavy in-process analysis', 'Secrets retention'];
+
+function createContext({ nonGoals = NON_GOALS, files = [], listFiles } = {}) {
+  const { context } = createGateTestContext({
+    spec: { intent: { goals: ['Fast PR checks'], non_goals: nonGoals } },
+    pr: { number: 7 },
+    vcs: { pulls: { listFiles: listFiles || (async () => ({ data: files })) } }
+  });
+  return context;
+}
+
+describe('Forbidden Scopes Gate', () => {
+  test('passes when repo spec has non_goals and no globs are configured', async () => {
+    const result = await run(createContext(), { type: 'forbidden-scopes' });
+
+    assert.strictEqual(result.status, 'pass');
+    assert.strictEqual(result.violations.length, 0);
+    assert.strictEqual(result.stats.repo_non_goals_count, 2);
+  });
+
+  test('fails when repo spec declares no non_goals and nothing else is configured', async () => {
+    const result = await run(createContext({ nonGoals: [] }), { type: 'forbidden-scopes' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.violations[0].code, 'repo_has_no_non_goals');
+    assert.strictEqual(result.violations[0].path, '.cogni/repo-spec.yaml');
+  });
+
+  test('handles missing intent section', async () => {
+    const { context } = createGateTestContext({ spec: {}, pr: { number: 7 } });
+    const result = await run(context, { type: 'forbidden-scopes' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.stats.repo_non_goals_count, 0);
+  });
+
+  test('reports one violation per file in a forbidden path or matching a forbidden pattern', async () => {
+    const files = [
+      { filename: 'infra/terraform/main.tf', status: 'modified' },
+      { filename: 'src/app.js', status: 'modified' },
+      { filename: 'config/prod.pem', status: 'added' },
+      { filename: '.env.local', status: 'added' }
+    ];
+    const gate = { type: 'forbidden-scopes', with: { forbidden_paths: ['infra/**'], forbidden_patterns: ['*.pem', '.env*'] } };
+
+    const result = await run(createContext({ files }), gate);
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path]), [
+      ['forbidden_path', 'infra/terraform/main.tf'],
+      ['forbidden_pattern', 'config/prod.pem'],
+      ['forbidden_pattern', '.env.local']
+    ]);
+    assert.strictEqual(result.violations[0].meta.glob, 'infra/**');
+    assert.strictEqual(result.stats.changed_files, 4);
+  });
+
+  test('globs alone do not require non_goals', async () => {
+    const gate = { type: 'forbidden-scopes', with: { forbidden_paths: ['infra/**'] } };
+    const result = await run(createContext({ nonGoals: [], files: [{ filename: 'src/app.js' }] }), gate);
+
+    assert.strictEqual(result.status, 'pass');
+  });
+
+  test('renamed files are checked under their previous path', () => {
+    const violations = findForbiddenFiles(
+      [{ filename: 'src/moved.tf', previous_filename: 'infra/main.tf', status: 'renamed' }],
+      ['infra/**'],
+      []
+    );
+
+    assert.strictEqual(violations.length, 1);
+    assert.strictEqual(violations[0].path, 'src/moved.tf');
+  });
+
+  test('listFiles failure is neutral api_error', async () => {
+    const gate = { type: 'forbidden-scopes', with: { forbidden_paths: ['infra/**'] } };
+    const result = await run(createContext({ listFiles: async () => { throw new Error('boom'); } }), gate);
+
+    assert.strictEqual(result.status, 'neutral');
+    assert.strictEqual(result.neutral_reason, 'api_error');
+  });
+
+  test('drift findings become violations only with a declared non-goal, enough confidence and cited evidence', () => {
+    const files = [{ filename: 'src/ml/predictor.js' }];
+    const findings = [
+      {
+        non_goal: 'heavy in-process analysis ',
+        confidence: 0.9,
+        explanation: 'Adds an in-process ML model',
+        evidence: [{ path: 'src/ml/predictor.js', line: 12, excerpt: 'loadModel()' }]
+      },
+      { non_goal: 'Secrets retention', confidence: 0.4, explanation: 'Low confidence', evidence: [{ path: 'src/ml/predictor.js', line: 1, excerpt: 'x' }] },
+      { non_goal: 'Not declared', confidence: 0.95, explanation: 'Invented', evidence: [{ path: 'src/ml/predictor.js', line: 1, excerpt: 'x' }] },
+      { non_goal: 'Secrets retention', confidence: 0.95, explanation: 'Cites unchanged file', evidence: [{ path: 'src/other.js', line: 3, excerpt: 'x' }] }
+    ];
+
+    const violations = collectDriftViolations(findings, NON_GOALS, files, 0.7);
+
+    assert.strictEqual(violations.length, 1);
+    assert.strictEqual(violations[0].code, 'non_goal_drift');
+    assert.strictEqual(violations[0].path, 'src/ml/predictor.js');
+    assert.strictEqual(violations[0].line, 12);
+    assert.strictEqual(violations[0].meta.non_goal, 'Heavy in-process analysis');
+    assert.match(violations[0].message, /Drifts into non-goal "Heavy in-process analysis"/);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Gate Concurrency Tests
+ * Verifies the bounded worker pool in runConfiguredGates and spec-ordered results
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { runConfiguredGates } from '../../src/gates/run-configured.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+describe('Gate Concurrency', () => {
+
+  // agents-md-sync gates call listFiles once each, so the mock observes how many run at once
+  function createTrackedRun(gateCount, concurrency, delays = []) {
+    const tracker = { inFlight: 0, maxInFlight: 0, completionOrder: [] };
+    let callIndex = 0;
+
+    const gates = Array.from({ length: gateCount }, (_, i) => ({
+      type: 'agents-md-sync',
+      id: `sync_${i}`
+    }));
+
+    const runCtx = createGateTestContext({
+      spec: { gate_concurrency: concurrency, gates },
+      pr: { number: 1, changed_files: 1 },
+      vcs: {
+        pulls: {
+          listFiles: async () => {
+            const myIndex = callIndex++;
+            tracker.inFlight++;
+            tracker.maxInFlight = Math.max(tracker.maxInFlight, tracker.inFlight);
+            await new Promise(resolve => setTimeout(resolve, delays[myIndex] ?? 20));
+            tracker.inFlight--;
+            tracker.completionOrder.push(myIndex);
+            return { data: [] };
+          }
+        }
+      }
+    });
+
+    return { runCtx, tracker };
+  }
+
+  test('runs gates sequentially when gate_concurrency is not set', async () => {
+    const { runCtx, tracker } = createTrackedRun(3, undefined);
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.strictEqual(results.length, 3);
+    assert.strictEqual(tracker.maxInFlight, 1);
+  });
+
+  test('never exceeds the configured concurrency limit', async () => {
+    const { runCtx, tracker } = createTrackedRun(5, 2);
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.strictEqual(results.length, 5);
+    assert.strictEqual(tracker.maxInFlight, 2);
+    assert(results.every(r => r.status === 'pass'));
+  });
+
+  test('returns results in spec order even when gates finish out of order', async () => {
+    const { runCtx, tracker } = createTrackedRun(3, 3, [60, 30, 5]);
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.deepStrictEqual(tracker.completionOrder, [2, 1, 0]);
+    assert.deepStrictEqual(results.map(r => r.id), ['sync_0', 'sync_1', 'sync_2']);
+  });
+
+  test('invalid gate_concurrency values fall back to sequential', async () => {
+    for (const invalid of [0, -3, 'lots', 1.5]) {
+      const { runCtx, tracker } = createTrackedRun(2, invalid);
+      await runConfiguredGates(runCtx);
+      assert.strictEqual(tracker.maxInFlight, 1, `gate_concurrency=${invalid} should run sequentially`);
+    }
+  });
+});
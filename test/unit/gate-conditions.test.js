@@ -0,0 +1,153 @@
+/**
+ * Gate Condition Tests
+ * Verifies `when:` evaluation, skipped gate results and their rendering
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { createConditionFacts, evaluateWhen } from '../../src/gates/conditions.js';
+import { runConfiguredGates } from '../../src/gates/run-configured.js';
+import { renderCheckSummary } from '../../src/summary-adapter.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+function createFacts(pr, files = []) {
+  let fetches = 0;
+  return {
+    pr,
+    changedFiles: async () => { fetches++; return files; },
+    fetchCount: () => fetches
+  };
+}
+
+describe('evaluateWhen', () => {
+  const pr = {
+    base: { ref: 'main' },
+    labels: ['needs-ai-review'],
+    author: 'octocat',
+    draft: false
+  };
+
+  test('matches when no when block is given', async () => {
+    assert.deepStrictEqual(await evaluateWhen(undefined, createFacts(pr)), { matched: true });
+  });
+
+  test('matches changed_files globs against any changed file', async () => {
+    const facts = createFacts(pr, ['docs/readme.md', 'src/gates/index.js']);
+
+    assert.strictEqual((await evaluateWhen({ changed_files: ['src/**'] }, facts)).matched, true);
+
+    const miss = await evaluateWhen({ changed_files: 'lib/**' }, facts);
+    assert.strictEqual(miss.matched, false);
+    assert.match(miss.reason, /no changed files match lib\/\*\*/);
+  });
+
+  test('only fetches changed files when a changed_files clause is present', async () => {
+    const facts = createFacts(pr, ['src/a.js']);
+
+    await evaluateWhen({ base_branch: 'main', draft: false }, facts);
+
+    assert.strictEqual(facts.fetchCount(), 0);
+  });
+
+  test('matches base_branch, labels, author and draft', async () => {
+    const facts = createFacts(pr);
+
+    assert.strictEqual((await evaluateWhen({ base_branch: ['main', 'release/*'] }, facts)).matched, true);
+    assert.strictEqual((await evaluateWhen({ labels: ['needs-ai-review', 'other'] }, facts)).matched, true);
+    assert.strictEqual((await evaluateWhen({ author: '!dependabot[bot]' }, facts)).matched, true);
+    assert.strictEqual((await evaluateWhen({ draft: false }, facts)).matched, true);
+
+    assert.strictEqual((await evaluateWhen({ base_branch: 'develop' }, facts)).matched, false);
+    assert.strictEqual((await evaluateWhen({ labels: 'skip-me' }, facts)).matched, false);
+    assert.strictEqual((await evaluateWhen({ author: 'someone-else' }, facts)).matched, false);
+    assert.strictEqual((await evaluateWhen({ draft: true }, facts)).reason, 'PR is not a draft');
+  });
+
+  test('requires every clause to match', async () => {
+    const result = await evaluateWhen({ base_branch: 'main', labels: 'missing-label' }, createFacts(pr));
+
+    assert.strictEqual(result.matched, false);
+    assert.match(result.reason, /missing-label/);
+  });
+
+  test('createConditionFacts reads changed files from every page', async () => {
+    const pages = [];
+    const context = {
+      pr: { number: 3 },
+      repo: (params = {}) => ({ owner: 'test-org', repo: 'test-repo', ...params }),
+      vcs: {
+        pulls: {
+          listFiles: async ({ page, per_page }) => {
+            pages.push(page);
+            const files = page === 1 ? Array.from({ length: per_page }, (_, i) => `docs/${i}.md`) : ['src/late.js'];
+            return { data: files.map(filename => ({ filename })) };
+          }
+        }
+      }
+    };
+
+    const facts = createConditionFacts(context);
+
+    assert.strictEqual((await evaluateWhen({ changed_files: 'src/**' }, facts)).matched, true);
+    assert.strictEqual((await facts.changedFiles()).length, 101);
+    assert.deepStrictEqual(pages, [1, 2]);
+  });
+
+  test('rejects unknown clauses', async () => {
+    await assert.rejects(() => evaluateWhen({ branch: 'main' }, createFacts(pr)), /Unknown when clause: branch/);
+  });
+});
+
+describe('Conditional gate execution', () => {
+
+  test('unmatched gates are reported as skipped in spec order', async () => {
+    const runCtx = createGateTestContext({
+      spec: {
+        gates: [
+          { type: 'review-limits', id: 'review_limits', with: { max_changed_files: 10 } },
+          { type: 'goal-declaration', id: 'goal_declaration', when: { base_branch: 'release/*' } }
+        ]
+      },
+      pr: { number: 1, changed_files: 2, base: { ref: 'main' } }
+    });
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.deepStrictEqual(results.map(r => r.id), ['review_limits', 'goal_declaration']);
+    assert.strictEqual(results[0].status, 'pass');
+    assert.strictEqual(results[1].status, 'skipped');
+    assert.match(results[1].skip_reason, /base branch main not in release\/\*/);
+  });
+
+  test('condition errors make the gate neutral instead of crashing the run', async () => {
+    const runCtx = createGateTestContext({
+      spec: {
+        gates: [{ type: 'review-limits', id: 'review_limits', when: { changed_files: 'src/**' } }]
+      },
+      pr: { number: 1 },
+      vcs: { pulls: { listFiles: async () => { throw new Error('API down'); } } }
+    });
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.strictEqual(results[0].status, 'neutral');
+    assert.strictEqual(results[0].neutral_reason, 'condition_error');
+  });
+
+  test('check summary lists skipped gates with their reason', () => {
+    const runResult = {
+      overall_status: 'pass',
+      gates: [
+        { id: 'review_limits', status: 'pass', violations: [], stats: {} },
+        { id: 'docs_rule', status: 'skipped', skip_reason: 'no changed files match docs/**', violations: [], stats: {} }
+      ]
+    };
+
+    const { summary, text } = renderCheckSummary(runResult);
+
+    assert.strictEqual(summary, 'All gates passed');
+    assert(text.includes('⏭️ 1 skipped'));
+    assert(text.includes('### ⏭️ docs_rule'));
+    assert(text.includes('- **Skipped:** no changed files match docs/**'));
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Gate Config Schema Tests
+ * Verifies `with:` blocks are validated against each gate's configSchema at spec load
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { loadRepoSpec } from '../../src/spec-loader.js';
+import { buildRegistry, describeGateCatalog } from '../../src/gates/registry.js';
+import { createMockContextWithSpec } from '../helpers/handler-harness.js';
+import { createNoopLogger } from '../helpers/mock-logger.js';
+
+const specWithGates = (gates) => ({ intent: { name: 'schema-project' }, gates });
+
+describe('Gate config schemas', () => {
+
+  test('typo in a with: option is SPEC_INVALID with a precise path', async () => {
+    const result = await loadRepoSpec(createMockContextWithSpec(specWithGates([
+      { type: 'goal-declaration' },
+      { type: 'review-limits', with: { max_changed_file: 10 } }
+    ])));
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error.code, 'SPEC_INVALID');
+    assert.strictEqual(result.error.message, 'gates[1].with.max_changed_file: unknown option');
+  });
+
+  test('wrong value types report the nested path', async () => {
+    const result = await loadRepoSpec(createMockContextWithSpec(specWithGates([
+      { type: 'agents-md-sync', with: { code_patterns: ['src/**', 42] } },
+      { type: 'review-limits', with: { max_total_diff_kb: 'big' } }
+    ])));
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(
+      result.error.message,
+      'gates[0].with.code_patterns[1]: must be string; gates[1].with.max_total_diff_kb: must be integer'
+    );
+  });
+
+  test('valid configs and unknown gate types load', async () => {
+    const result = await loadRepoSpec(createMockContextWithSpec(specWithGates([
+      { type: 'review-limits', with: { max_changed_files: 40, max_total_diff_kb: 1500 } },
+      { type: 'ai-rule', with: { rule_file: 'goal-alignment.yaml' } },
+      { type: 'not-installed-here', with: { anything: true } }
+    ])));
+
+    assert.strictEqual(result.ok, true);
+  });
+
+  test('gate catalog lists types with descriptions and schemas', async () => {
+    const catalog = describeGateCatalog(await buildRegistry(createNoopLogger()));
+    const reviewLimits = catalog.find(g => g.type === 'review-limits');
+
+    assert.strictEqual(reviewLimits.kind, 'builtin');
+    assert.match(reviewLimits.description, /changes more files/);
+    assert.deepStrictEqual(Object.keys(reviewLimits.config_schema.properties), ['max_changed_files', 'max_total_diff_kb']);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Gate Deadline Tests
+ * Verifies per-gate timeout_ms, the run-level budget and AbortSignal cancellation in the launcher
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { runConfiguredGates } from '../../src/gates/run-configured.js';
+import { runAllGates } from '../../src/gates/index.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+describe('Gate Deadlines', () => {
+
+  // agents-md-sync forwards the launcher signal to listFiles via request.signal
+  function createSlowListFiles(delayMs, seenSignals = []) {
+    return async (params) => {
+      seenSignals.push(params.request?.signal);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      return { data: [] };
+    };
+  }
+
+  test('gate exceeding timeout_ms is neutral with timeout reason and its signal is aborted', async () => {
+    const seenSignals = [];
+    const runCtx = createGateTestContext({
+      spec: {
+        gates: [{ type: 'agents-md-sync', id: 'slow_sync', timeout_ms: 30 }]
+      },
+      pr: { number: 1 },
+      vcs: { pulls: { listFiles: createSlowListFiles(200, seenSignals) } }
+    });
+    // Harness repo() drops extra params; keep them so request.signal reaches listFiles
+    runCtx.context.repo = (params = {}) => ({ owner: 'test-org', repo: 'test-repo', ...params });
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert(results[0].duration_ms < 150, 'launcher should not wait for the slow gate');
+    assert.strictEqual(results[0].id, 'slow_sync');
+    assert.strictEqual(results[0].status, 'neutral');
+    assert.strictEqual(results[0].neutral_reason, 'timeout');
+    assert.strictEqual(results[0].stats.deadline, 'gate');
+    assert.strictEqual(results[0].stats.timeout_ms, 30);
+    assert.strictEqual(seenSignals[0].aborted, true);
+  });
+
+  test('gates finishing within their deadline are unaffected', async () => {
+    const runCtx = createGateTestContext({
+      spec: {
+        gates: [{ type: 'agents-md-sync', id: 'fast_sync', timeout_ms: 500 }]
+      },
+      pr: { number: 1 },
+      vcs: { pulls: { listFiles: createSlowListFiles(5) } }
+    });
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.strictEqual(results[0].status, 'pass');
+  });
+
+  test('run budget caps gates and later gates time out without running', async () => {
+    const seenSignals = [];
+    const runCtx = createGateTestContext({
+      spec: {
+        run_timeout_ms: 50,
+        gates: [
+          { type: 'agents-md-sync', id: 'first_sync' },
+          { type: 'agents-md-sync', id: 'second_sync' }
+        ]
+      },
+      pr: { number: 1 },
+      vcs: { pulls: { listFiles: createSlowListFiles(200, seenSignals) } }
+    });
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.deepStrictEqual(results.map(r => r.neutral_reason), ['timeout', 'timeout']);
+    assert.strictEqual(results[0].stats.deadline, 'run');
+    assert.strictEqual(results[1].stats.timeout_ms, 0);
+    assert.strictEqual(seenSignals.length, 1, 'second gate should never start');
+  });
+
+  test('runAllGates reports gate_timeouts when a gate times out', async () => {
+    const { context } = createGateTestContext({
+      spec: {},
+      pr: {},
+      vcs: { pulls: { listFiles: createSlowListFiles(200) } }
+    });
+    context.payload = { repository: { name: 'test-repo', full_name: 'test-org/test-repo' } };
+    const spec = { gates: [{ type: 'agents-md-sync', id: 'slow_sync', timeout_ms: 20 }] };
+
+    const runResult = await runAllGates(context, { number: 7, head: { sha: 'abc123' } }, spec);
+
+    assert.strictEqual(runResult.overall_status, 'neutral');
+    assert.strictEqual(runResult.conclusion_reason, 'gate_timeouts');
+    assert.strictEqual(runResult.execution_summary.timed_out, 1);
+  });
+});
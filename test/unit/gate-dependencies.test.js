@@ -0,0 +1,135 @@
+/**
+ * Gate Dependency Tests
+ * Verifies needs: validation, SPEC_INVALID reporting and DAG scheduling in the launcher
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { validateGateGraph } from '../../src/gates/gate-graph.js';
+import { runConfiguredGates } from '../../src/gates/run-configured.js';
+import { loadRepoSpec } from '../../src/spec-loader.js';
+import { createGateTestContext, createMockContextWithSpec } from '../helpers/handler-harness.js';
+
+describe('validateGateGraph', () => {
+
+  test('accepts gates without needs and acyclic needs', () => {
+    assert.doesNotThrow(() => validateGateGraph([
+      { type: 'review-limits', id: 'review_limits' },
+      { type: 'ai-rule', needs: ['review_limits'], with: { rule_file: 'goal-alignment.yaml' } },
+      { type: 'goal-declaration', id: 'goal_declaration', needs: 'goal-alignment' }
+    ]));
+  });
+
+  test('rejects unknown upstream gates', () => {
+    assert.throws(
+      () => validateGateGraph([{ type: 'goal-declaration', id: 'goal_declaration', needs: ['review_limits'] }]),
+      /Gate "goal_declaration" needs unknown gate "review_limits"/
+    );
+  });
+
+  test('rejects cycles and names the cycle path', () => {
+    assert.throws(
+      () => validateGateGraph([
+        { type: 'review-limits', id: 'a', needs: ['c'] },
+        { type: 'review-limits', id: 'b', needs: ['a'] },
+        { type: 'review-limits', id: 'c', needs: ['b'] }
+      ]),
+      /Gate dependency cycle: a -> c -> b -> a/
+    );
+  });
+
+  test('rejects self dependencies and duplicate IDs', () => {
+    assert.throws(() => validateGateGraph([{ type: 'review-limits', id: 'a', needs: 'a' }]), /cycle: a -> a/);
+    assert.throws(() => validateGateGraph([{ type: 'review-limits' }, { type: 'review-limits' }]), /Duplicate gate ID/);
+  });
+
+  test('loadRepoSpec reports cycles as SPEC_INVALID with the reason', async () => {
+    const spec = {
+      intent: { name: 'cyclic-project' },
+      gates: [
+        { type: 'review-limits', id: 'a', needs: ['b'] },
+        { type: 'goal-declaration', id: 'b', needs: ['a'] }
+      ]
+    };
+
+    const result = await loadRepoSpec(createMockContextWithSpec(spec));
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error.code, 'SPEC_INVALID');
+    assert.match(result.error.message, /Gate dependency cycle/);
+  });
+});
+
+describe('Dependency scheduling', () => {
+
+  test('downstream gate is upstream_failed when its upstream fails', async () => {
+    const runCtx = createGateTestContext({
+      spec: {
+        gates: [
+          { type: 'goal-declaration', id: 'goal_declaration', needs: ['review_limits'] },
+          { type: 'review-limits', id: 'review_limits', with: { max_changed_files: 1 } }
+        ]
+      },
+      pr: { number: 1, changed_files: 5 }
+    });
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.deepStrictEqual(results.map(r => r.id), ['goal_declaration', 'review_limits']);
+    assert.strictEqual(results[1].status, 'fail');
+    assert.strictEqual(results[0].status, 'neutral');
+    assert.strictEqual(results[0].neutral_reason, 'upstream_failed');
+    assert.strictEqual(results[0].stats.blocked_by, 'review_limits');
+  });
+
+  test('downstream gate runs when upstream passes or is skipped', async () => {
+    const runCtx = createGateTestContext({
+      spec: {
+        gates: [
+          { type: 'review-limits', id: 'review_limits', with: { max_changed_files: 10 } },
+          { type: 'goal-declaration', id: 'goal_declaration', when: { draft: true } },
+          { type: 'forbidden-scopes', id: 'forbidden_scopes', needs: ['review_limits', 'goal_declaration'] }
+        ]
+      },
+      pr: { number: 1, changed_files: 5, draft: false }
+    });
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.deepStrictEqual(results.map(r => r.status), ['pass', 'skipped', 'fail']);
+  });
+
+  test('dependents wait for upstream gates even with spare concurrency', async () => {
+    const events = [];
+    const runCtx = createGateTestContext({
+      spec: {
+        gate_concurrency: 3,
+        gates: [
+          { type: 'agents-md-sync', id: 'downstream', needs: ['upstream'], with: { code_patterns: ['downstream'] } },
+          { type: 'agents-md-sync', id: 'upstream', with: { code_patterns: ['upstream'] } },
+          { type: 'agents-md-sync', id: 'independent', with: { code_patterns: ['independent'] } }
+        ]
+      },
+      pr: { number: 1 },
+      vcs: {
+        pulls: {
+          listFiles: async () => {
+            const call = events.filter(e => e.startsWith('start')).length;
+            events.push(`start:${call}`);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            events.push(`end:${call}`);
+            return { data: [] };
+          }
+        }
+      }
+    });
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    // upstream and independent start together; downstream only after one of them ended
+    assert.deepStrictEqual(events.slice(0, 2), ['start:0', 'start:1']);
+    assert(events.indexOf('start:2') > events.indexOf('end:0'));
+    assert.deepStrictEqual(results.map(r => r.id), ['downstream', 'upstream', 'independent']);
+    assert(results.every(r => r.status === 'pass'));
+  });
+});
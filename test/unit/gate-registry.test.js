@@ -0,0 +1,78 @@
+/**
+ * Gate Registry Tests
+ * Verifies plugin directories, plugin packages, duplicate-type conflicts and load failure reporting
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildRegistry, describeRegistry, describeRegistryHealth, resolveHandler } from '../../src/gates/registry.js';
+import { createNoopLogger } from '../helpers/mock-logger.js';
+
+describe('Gate Registry plugin sources', () => {
+  let pluginDir;
+
+  before(() => {
+    pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cogni-gates-'));
+    fs.writeFileSync(path.join(pluginDir, 'license-header.js'),
+      "export const type = 'license-header';\nexport async function run() { return { status: 'pass', violations: [], stats: {} }; }\n");
+    fs.writeFileSync(path.join(pluginDir, 'review-limits-fork.js'),
+      "export const type = 'review-limits';\nexport async function run() { return { status: 'fail', violations: [], stats: {} }; }\n");
+    fs.writeFileSync(path.join(pluginDir, 'broken.js'), "export const type = 'broken';\nthrow new Error('boom');\n");
+  });
+
+  after(() => {
+    fs.rmSync(pluginDir, { recursive: true, force: true });
+  });
+
+  test('built-in gates load without plugin sources', async () => {
+    const registry = await buildRegistry(createNoopLogger());
+
+    assert(resolveHandler(registry, { type: 'review-limits' }));
+    assert.strictEqual(registry.sources.get('review-limits').kind, 'builtin');
+    assert.deepStrictEqual(registry.failures, []);
+  });
+
+  test('plugin directory gates register with their source', async () => {
+    const registry = await buildRegistry(createNoopLogger(), { dirs: [pluginDir] });
+
+    assert(resolveHandler(registry, { type: 'license-header' }));
+    assert.deepStrictEqual(registry.sources.get('license-header'), {
+      kind: 'dir',
+      source: path.join(pluginDir, 'license-header.js')
+    });
+  });
+
+  test('duplicate types keep the built-in gate and record a conflict', async () => {
+    const registry = await buildRegistry(createNoopLogger(), { dirs: [pluginDir] });
+
+    assert.strictEqual(registry.sources.get('review-limits').kind, 'builtin');
+    assert.strictEqual(registry.conflicts.length, 1);
+    assert.strictEqual(registry.conflicts[0].type, 'review-limits');
+    assert.strictEqual(registry.conflicts[0].rejected, path.join(pluginDir, 'review-limits-fork.js'));
+  });
+
+  test('load failures are recorded for health reporting', async () => {
+    const registry = await buildRegistry(createNoopLogger(), {
+      dirs: [pluginDir, path.join(pluginDir, 'missing')],
+      packages: ['cogni-gate-does-not-exist', 'yaml']
+    });
+
+    const { failed, loaded } = describeRegistry(registry);
+    const sources = failed.map(f => f.source);
+
+    assert(sources.includes(path.join(pluginDir, 'broken.js')));
+    assert(sources.includes(path.join(pluginDir, 'missing')));
+    assert(sources.includes('cogni-gate-does-not-exist'));
+    assert.strictEqual(failed.find(f => f.source === 'yaml').error, 'Package does not export `type` and `run`');
+    assert(loaded.some(g => g.type === 'license-header' && g.kind === 'dir'));
+
+    // The health endpoint gets counts and types only: no plugin paths or load errors
+    const health = describeRegistryHealth(registry);
+    assert.strictEqual(health.failed, failed.length);
+    assert(health.loaded.some(g => g.type === 'license-header' && g.kind === 'dir'));
+    assert(!JSON.stringify(health).includes(pluginDir));
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Gate Rerun Tests
+ * Verifies single-gate reruns from check_run events, rerun actions and cache merging
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+
+// Reruns merge with cached results; tests default to no cache
+process.env.COGNI_GATE_CACHE = 'memory';
+
+const { runAllGates } = await import('../../src/gates/index.js');
+const { buildRerunActions, parseRerunAction, MAX_RERUN_ACTIONS } = await import('../../src/gates/rerun.js');
+const { PR_REVIEW_NAME } = await import('../../src/constants.js');
+const { createGateTestContext, extractHandler } = await import('../helpers/handler-harness.js');
+const { noopLogger } = await import('../../src/logging/logger.js');
+const appModule = await import('../../index.js');
+
+// 'docs' passes (AGENTS.md updated), 'claude' fails (CLAUDE.md not updated)
+const GATES = [
+  { type: 'agents-md-sync', id: 'docs' },
+  { type: 'agents-md-sync', id: 'claude', with: { doc_pattern: 'CLAUDE.md' } }
+];
+
+function countingListFiles() {
+  const fn = async () => {
+    fn.calls++;
+    return { data: [{ filename: 'src/app.js', status: 'modified' }, { filename: 'src/AGENTS.md', status: 'modified' }] };
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+function createRunContext(listFiles, repoName) {
+  const { context } = createGateTestContext({ spec: {}, pr: {}, vcs: { pulls: { listFiles } } });
+  context.payload = { repository: { name: repoName, full_name: `test-org/${repoName}` } };
+  return context;
+}
+
+function createCheckRunContext({ action, identifier, listFiles, updates, name = PR_REVIEW_NAME, prHeadSha = 'beef001', getPR }) {
+  const headSha = 'beef001';
+  return {
+    payload: {
+      action,
+      check_run: { id: 77, name, head_sha: headSha, pull_requests: [{ number: 21 }] },
+      requested_action: identifier ? { identifier } : undefined,
+      repository: { name: 'handler-repo', full_name: 'test-org/handler-repo', owner: { login: 'test-org' } }
+    },
+    repo: (params = {}) => ({ owner: 'test-org', repo: 'handler-repo', ...params }),
+    log: noopLogger,
+    vcs: {
+      config: { get: async () => ({ config: { intent: { name: 'handler-repo' }, gates: GATES } }) },
+      pulls: {
+        get: getPR || (async () => ({ data: { number: 21, head: { sha: prHeadSha }, changed_files: 2 } })),
+        listFiles
+      },
+      checks: {
+        update: async (params) => {
+          updates.push(params);
+          return { data: { id: params.check_run_id, html_url: 'https://example.test/check' } };
+        }
+      },
+      issues: { createComment: async () => ({ data: { id: 1 } }) }
+    }
+  };
+}
+
+describe('Gate reruns', () => {
+  test('rerun actions point at failing enforced gates by spec index', () => {
+    const spec = { gates: [...GATES, { type: 'review-limits', id: 'limits-shadow', mode: 'shadow' }] };
+    const actions = buildRerunActions({
+      gates: [
+        { id: 'docs', status: 'pass' },
+        { id: 'claude', status: 'fail' },
+        { id: 'limits-shadow', status: 'fail', mode: 'shadow' }
+      ]
+    }, spec);
+
+    assert.deepStrictEqual(actions, [{ label: 'Re-run claude', description: 'Re-run only the claude gate', identifier: 'rerun:1' }]);
+    assert.strictEqual(parseRerunAction('rerun:1', spec), 'claude');
+    assert.strictEqual(parseRerunAction('rerun:9', spec), null);
+    assert.strictEqual(parseRerunAction('other', spec), null);
+  });
+
+  test('rerun actions are capped and fit GitHub field limits', () => {
+    const gates = Array.from({ length: 5 }, (_, i) => ({ type: 'review-limits', id: `a-very-long-gate-identifier-${i}` }));
+    const actions = buildRerunActions({ gates: gates.map(g => ({ id: g.id, status: 'neutral' })) }, { gates });
+
+    assert.strictEqual(actions.length, MAX_RERUN_ACTIONS);
+    for (const action of actions) {
+      assert.ok(action.label.length <= 20);
+      assert.ok(action.description.length <= 40);
+      assert.ok(action.identifier.length <= 20);
+    }
+  });
+
+  test('rerun of one gate executes it and reuses cached results for the others', async () => {
+    const listFiles = countingListFiles();
+    const pr = { number: 31, head: { sha: 'cafe101' } };
+    const spec = { gates: GATES };
+
+    await runAllGates(createRunContext(listFiles, 'rerun-one'), pr, spec);
+    const rerun = await runAllGates(createRunContext(listFiles, 'rerun-one'), pr, spec, { rerun: { gate_ids: ['docs'] } });
+
+    assert.strictEqual(listFiles.calls, 3);
+    assert.strictEqual(rerun.gates[0].cached, undefined);
+    assert.strictEqual(rerun.gates[1].cached, true);
+    assert.strictEqual(rerun.overall_status, 'fail');
+  });
+
+  test('rerun of failing gates keeps cached passes', async () => {
+    const listFiles = countingListFiles();
+    const pr = { number: 32, head: { sha: 'cafe102' } };
+    const spec = { gates: GATES };
+
+    await runAllGates(createRunContext(listFiles, 'rerun-failing'), pr, spec);
+    const rerun = await runAllGates(createRunContext(listFiles, 'rerun-failing'), pr, spec, { rerun: { failing: true } });
+
+    assert.strictEqual(listFiles.calls, 3);
+    assert.strictEqual(rerun.gates[0].cached, true);
+    assert.strictEqual(rerun.gates[1].cached, undefined);
+  });
+
+  test('check_run events rerun gates and update the check in place', async () => {
+    const handler = extractHandler(appModule.default, 'check_run.requested_action');
+    const listFiles = countingListFiles();
+    const updates = [];
+
+    await handler(createCheckRunContext({ action: 'rerequested', listFiles, updates }));
+    assert.strictEqual(listFiles.calls, 2);
+
+    await handler(createCheckRunContext({ action: 'requested_action', identifier: 'rerun:1', listFiles, updates }));
+    assert.strictEqual(listFiles.calls, 3);
+
+    assert.strictEqual(updates.length, 2);
+    assert.strictEqual(updates[1].check_run_id, 77);
+    assert.strictEqual(updates[1].conclusion, 'failure');
+    assert.deepStrictEqual(updates[1].actions.map(a => a.identifier), ['rerun:1']);
+  });
+
+  test('reruns expose the fetched PR on the payload like check suite reruns', async () => {
+    const handler = extractHandler(appModule.default, 'check_run.rerequested');
+    const context = createCheckRunContext({ action: 'rerequested', listFiles: countingListFiles(), updates: [] });
+
+    await handler(context);
+
+    assert.strictEqual(context.payload.pull_request.number, 21);
+    assert.strictEqual(context.payload.pull_request.head.sha, 'beef001');
+  });
+
+  test('reruns are skipped when the PR head has moved past the check commit', async () => {
+    const handler = extractHandler(appModule.default, 'check_run.rerequested');
+    const listFiles = countingListFiles();
+    const updates = [];
+
+    await handler(createCheckRunContext({ action: 'rerequested', listFiles, updates, prHeadSha: 'beef002' }));
+
+    assert.strictEqual(listFiles.calls, 0);
+    assert.strictEqual(updates.length, 0);
+  });
+
+  test('API errors during a rerun leave the check neutral instead of throwing', async () => {
+    const handler = extractHandler(appModule.default, 'check_run.rerequested');
+    const updates = [];
+    const getPR = async () => { throw Object.assign(new Error('Bad Gateway'), { status: 502 }); };
+
+    await handler(createCheckRunContext({ action: 'rerequested', listFiles: countingListFiles(), updates, getPR }));
+
+    assert.strictEqual(updates.length, 1);
+    assert.strictEqual(updates[0].check_run_id, 77);
+    assert.strictEqual(updates[0].conclusion, 'neutral');
+    assert.strictEqual(updates[0].output.summary, 'Gate rerun failed');
+  });
+
+  test('check_run events for other checks are ignored', async () => {
+    const handler = extractHandler(appModule.default, 'check_run.rerequested');
+    const listFiles = countingListFiles();
+    const updates = [];
+
+    await handler(createCheckRunContext({ action: 'rerequested', listFiles, updates, name: 'Some Other CI' }));
+
+    assert.strictEqual(listFiles.calls, 0);
+    assert.strictEqual(updates.length, 0);
+  });
+});
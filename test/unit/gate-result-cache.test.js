@@ -0,0 +1,164 @@
+/**
+ * Gate Result Cache Tests
+ * Verifies idempotency-keyed caching of cacheable gates, cache backends and content hashing
+ */
+
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Cache backend is chosen from env when first used; tests default to no cache
+process.env.COGNI_GATE_CACHE = 'memory';
+
+const { runAllGates } = await import('../../src/gates/index.js');
+const { createFileCache, createMemoryCache } = await import('../../src/gates/result-cache.js');
+const { cacheInputs: ruleCacheInputs } = await import('../../src/gates/cogni/rules.js');
+const { contentHash, stableStringify } = await import('../../src/content-hash.js');
+const { renderCheckSummary } = await import('../../src/summary-adapter.js');
+const { createGateTestContext } = await import('../helpers/handler-harness.js');
+
+function createRunContext(listFiles, headRepo = 'test-repo') {
+  const { context } = createGateTestContext({ spec: {}, pr: {}, vcs: { pulls: { listFiles } } });
+  context.payload = { repository: { name: headRepo, full_name: `test-org/${headRepo}` } };
+  return context;
+}
+
+function countingListFiles(behavior = async () => ({ data: [] })) {
+  const fn = async (...args) => {
+    fn.calls++;
+    return behavior(...args);
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+describe('Gate result cache', () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cogni-cache-test-'));
+
+  after(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('stableStringify ignores key order and undefined values', () => {
+    assert.strictEqual(stableStringify({ b: 1, a: { d: [1, { f: 2, e: 3 }], c: undefined } }), '{"a":{"d":[1,{"e":3,"f":2}]},"b":1}');
+    assert.strictEqual(contentHash({ a: 1, b: 2 }), contentHash({ b: 2, a: 1 }));
+    assert.notStrictEqual(contentHash({ a: 1 }), contentHash({ a: 2 }));
+  });
+
+  test('rerun on the same head SHA serves cacheable gates from cache', async () => {
+    const listFiles = countingListFiles();
+    const spec = { gates: [{ type: 'agents-md-sync', id: 'sync' }] };
+    const pr = { number: 11, head: { sha: 'cafe001' } };
+
+    const first = await runAllGates(createRunContext(listFiles), pr, spec);
+    const second = await runAllGates(createRunContext(listFiles), pr, spec);
+
+    assert.strictEqual(listFiles.calls, 1);
+    assert.strictEqual(first.gates[0].cached, undefined);
+    assert.strictEqual(second.gates[0].cached, true);
+    assert.strictEqual(second.gates[0].status, 'pass');
+    assert.strictEqual(second.execution_summary.cached, 1);
+
+    const { text } = renderCheckSummary(second);
+    assert.match(text, /♻️ 1 cached/);
+    assert.match(text, /- \*\*Cached:\*\* result reused from an earlier run on this commit/);
+  });
+
+  test('new head SHA or changed gate config misses the cache', async () => {
+    const listFiles = countingListFiles();
+    const pr = { number: 12, head: { sha: 'cafe002' } };
+
+    await runAllGates(createRunContext(listFiles), pr, { gates: [{ type: 'agents-md-sync', id: 'sync' }] });
+    await runAllGates(createRunContext(listFiles), { ...pr, head: { sha: 'cafe003' } }, { gates: [{ type: 'agents-md-sync', id: 'sync' }] });
+    await runAllGates(createRunContext(listFiles), pr, { gates: [{ type: 'agents-md-sync', id: 'sync', with: { doc_pattern: 'CLAUDE.md' } }] });
+
+    assert.strictEqual(listFiles.calls, 3);
+  });
+
+  test('moved base SHA or changed diff stats on the same head miss the cache', async () => {
+    const listFiles = countingListFiles();
+    const spec = { gates: [{ type: 'agents-md-sync', id: 'sync' }] };
+    const pr = { number: 14, head: { sha: 'cafe005' }, base: { sha: 'base001' }, changed_files: 5 };
+
+    await runAllGates(createRunContext(listFiles), pr, spec);
+    await runAllGates(createRunContext(listFiles), { ...pr, base: { sha: 'base002' } }, spec);
+    await runAllGates(createRunContext(listFiles), { ...pr, changed_files: 15 }, spec);
+    await runAllGates(createRunContext(listFiles), pr, spec);
+
+    assert.strictEqual(listFiles.calls, 3);
+  });
+
+  test('edited PR title or body on the same head misses the cache', async () => {
+    const listFiles = countingListFiles();
+    const spec = { gates: [{ type: 'agents-md-sync', id: 'sync' }] };
+    const pr = { number: 15, head: { sha: 'cafe006' }, title: 'feat: x', body: 'Goal: G-1' };
+
+    await runAllGates(createRunContext(listFiles), pr, spec);
+    await runAllGates(createRunContext(listFiles), { ...pr, title: 'feat: y' }, spec);
+    await runAllGates(createRunContext(listFiles), { ...pr, body: 'Goal: G-2' }, spec);
+    await runAllGates(createRunContext(listFiles), pr, spec);
+
+    assert.strictEqual(listFiles.calls, 3);
+  });
+
+  test('ai-rule cache inputs change with the rule file content', async () => {
+    const rule = {
+      id: 'goal-alignment',
+      schema_version: '0.3',
+      workflow_id: 'single-statement-evaluation',
+      evaluations: [{ statement: 'PR aligns with goals' }],
+      success_criteria: { require: [{ metric: 'statement', gte: 0.7 }] }
+    };
+    const ruleContext = (config) => ({
+      repo: () => ({ owner: 'test-org', repo: 'test-repo' }),
+      vcs: { config: { get: async () => ({ config }) } }
+    });
+    const gate = { type: 'ai-rule', with: { rule_file: 'r.yaml' } };
+
+    const original = await ruleCacheInputs(ruleContext(rule), gate);
+    const edited = await ruleCacheInputs(ruleContext({ ...rule, success_criteria: { require: [{ metric: 'statement', gte: 0.9 }] } }), gate);
+
+    assert.match(original.rule_hash, /^[0-9a-f]{16}$/);
+    assert.notStrictEqual(original.rule_hash, edited.rule_hash);
+    assert.deepStrictEqual(await ruleCacheInputs(ruleContext(null), gate), { rule_hash: null });
+  });
+
+  test('errored results are not cached', async () => {
+    const listFiles = countingListFiles(async () => { throw new Error('boom'); });
+    const spec = { gates: [{ type: 'agents-md-sync', id: 'sync' }] };
+    const pr = { number: 13, head: { sha: 'cafe004' } };
+
+    await runAllGates(createRunContext(listFiles), pr, spec);
+    const second = await runAllGates(createRunContext(listFiles), pr, spec);
+
+    assert.strictEqual(listFiles.calls, 2);
+    assert.strictEqual(second.gates[0].neutral_reason, 'api_error');
+    assert.strictEqual(second.gates[0].cached, undefined);
+  });
+
+  test('memory backend expires entries after the TTL and evicts the oldest', async () => {
+    const cache = createMemoryCache({ ttlMs: 20, maxEntries: 2 });
+    await cache.set('a', { status: 'pass' });
+    await cache.set('b', { status: 'pass' });
+    await cache.set('c', { status: 'fail' });
+
+    assert.strictEqual(await cache.get('a'), null);
+    assert.deepStrictEqual(await cache.get('c'), { status: 'fail' });
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(await cache.get('c'), null);
+  });
+
+  test('file backend round-trips results and honors the TTL', async () => {
+    const cache = createFileCache({ dir: cacheDir, ttlMs: 60000 });
+    await cache.set('org/repo:1:sha:spec:gate:hash', { status: 'pass', stats: { n: 1 } });
+
+    assert.deepStrictEqual(await cache.get('org/repo:1:sha:spec:gate:hash'), { status: 'pass', stats: { n: 1 } });
+    assert.strictEqual(await cache.get('missing'), null);
+
+    const expired = createFileCache({ dir: cacheDir, ttlMs: -1 });
+    assert.strictEqual(await expired.get('org/repo:1:sha:spec:gate:hash'), null);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * GateResult Schema Tests
+ * Verifies the launcher rejects malformed gate results and normalizes violations
+ */
+
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Plugin gates returning fixed results; env must be set before the registry is first built
+const pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cogni-gate-results-'));
+const writeGate = (type, result) => fs.writeFileSync(
+  path.join(pluginDir, `${type}.js`),
+  `export const type = '${type}';\nexport async function run() { return ${JSON.stringify(result)}; }\n`
+);
+writeGate('bad-status', { status: 'ok', violations: [] });
+writeGate('bad-violation', { status: 'fail', violations: [{ code: 'x', message: 'y', line: 0 }] });
+writeGate('located-violation', {
+  status: 'fail',
+  violations: [
+    { code: 'todo', message: 'TODO left behind', path: 'src/a.js', line: 12, end_line: 18, severity: 'warning' },
+    { code: 'plain', message: 'No location' }
+  ]
+});
+process.env.COGNI_GATE_DIRS = pluginDir;
+
+const { createGateTestContext } = await import('../helpers/handler-harness.js');
+const { runConfiguredGates } = await import('../../src/gates/run-configured.js');
+const { assertGateResult } = await import('../../src/ai/schemas/validators.js');
+const { renderCheckSummary } = await import('../../src/summary-adapter.js');
+
+function runGates(gates) {
+  return runConfiguredGates(createGateTestContext({ spec: { gates }, pr: { number: 1 } }));
+}
+
+describe('GateResult schema', () => {
+  after(() => {
+    fs.rmSync(pluginDir, { recursive: true, force: true });
+  });
+
+  test('schema accepts built-in result shapes', () => {
+    assert.doesNotThrow(() => assertGateResult({
+      status: 'neutral',
+      neutral_reason: 'missing_metrics',
+      error: 'metric missing',
+      passed: [],
+      failed: ['missing:score'],
+      observations: [],
+      providerResult: null,
+      rule: null,
+      duration_ms: 3
+    }));
+    assert.throws(() => assertGateResult({ status: 'pass', verdict: 'ok' }), /GateResult schema invalid/);
+  });
+
+  test('unknown status becomes neutral invalid_gate_result', async () => {
+    const { results } = await runGates([{ type: 'bad-status' }]);
+
+    assert.strictEqual(results[0].status, 'neutral');
+    assert.strictEqual(results[0].neutral_reason, 'invalid_gate_result');
+    assert.match(results[0].stats.error, /\/status must be equal to one of the allowed values/);
+  });
+
+  test('malformed violation becomes neutral invalid_gate_result', async () => {
+    const { results } = await runGates([{ type: 'bad-violation' }]);
+
+    assert.strictEqual(results[0].neutral_reason, 'invalid_gate_result');
+    assert.match(results[0].stats.error, /\/violations\/0\/line must be >= 1/);
+  });
+
+  test('violations are normalized with severity, path, line and end_line', async () => {
+    const { results } = await runGates([{ type: 'located-violation' }]);
+
+    assert.strictEqual(results[0].status, 'fail');
+    assert.deepStrictEqual(results[0].violations[1], {
+      code: 'plain',
+      message: 'No location',
+      severity: 'error',
+      path: null,
+      line: null,
+      end_line: null
+    });
+
+    const { text } = renderCheckSummary({ overall_status: 'fail', gates: results });
+    assert.match(text, /todo \(warning\) — TODO left behind/);
+    assert.match(text, /Path: src\/a\.js:12-18/);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Gate Retry Tests
+ * Verifies transient error classification and the launcher's per-gate retry policy
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { runWithRetry, validateRetryPolicies } from '../../src/gates/retry.js';
+import { isRetryableError } from '../../src/transient-errors.js';
+import { runConfiguredGates } from '../../src/gates/run-configured.js';
+import { renderCheckSummary } from '../../src/summary-adapter.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe('Gate retry policy', () => {
+
+  test('classifies transient errors', () => {
+    assert.strictEqual(isRetryableError(httpError(502)), true);
+    assert.strictEqual(isRetryableError(httpError(429)), true);
+    assert.strictEqual(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+    assert.strictEqual(isRetryableError(new TypeError('fetch failed', { cause: { code: 'ETIMEDOUT' } })), true);
+    assert.strictEqual(isRetryableError(httpError(404)), false);
+    assert.strictEqual(isRetryableError(Object.assign(new Error('aborted'), { name: 'AbortError', status: 503 })), false);
+    assert.strictEqual(isRetryableError(new Error('bad config')), false);
+  });
+
+  test('retries retryable neutral results until attempts run out', async () => {
+    const state = { retries: 0 };
+    let calls = 0;
+
+    const result = await runWithRetry(async () => {
+      calls++;
+      return { status: 'neutral', neutral_reason: 'api_error', retryable: true };
+    }, { attempts: 3, backoff_ms: 1 }, { state });
+
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(state.retries, 2);
+    assert.strictEqual(result.neutral_reason, 'api_error');
+  });
+
+  test('rethrows non-retryable errors without retrying', async () => {
+    let calls = 0;
+
+    await assert.rejects(runWithRetry(async () => {
+      calls++;
+      throw httpError(404);
+    }, { attempts: 3, backoff_ms: 1 }), /HTTP 404/);
+
+    assert.strictEqual(calls, 1);
+  });
+
+  test('validation rejects out-of-range policies', () => {
+    assert.throws(() => validateRetryPolicies([{ type: 'x', retry: { attempts: 10 } }]), /gates\[0\]\.retry\.attempts/);
+    assert.throws(() => validateRetryPolicies([{ type: 'x', retry: { backoff_ms: -1 } }]), /gates\[0\]\.retry\.backoff_ms/);
+    assert.doesNotThrow(() => validateRetryPolicies([{ type: 'x', retry: { attempts: 3, backoff_ms: 0 } }]));
+  });
+
+  test('launcher retries a transient API failure and records retries in stats', async () => {
+    let calls = 0;
+    const runCtx = createGateTestContext({
+      spec: { gates: [{ type: 'agents-md-sync', id: 'sync', retry: { attempts: 3, backoff_ms: 1 } }] },
+      pr: { number: 1 },
+      vcs: {
+        pulls: {
+          listFiles: async () => {
+            calls++;
+            if (calls === 1) throw httpError(502);
+            return { data: [] };
+          }
+        }
+      }
+    });
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(results[0].status, 'pass');
+    assert.strictEqual(results[0].stats.retries, 1);
+    assert.strictEqual(results[0].retryable, undefined);
+
+    const { text } = renderCheckSummary({ overall_status: 'pass', gates: results });
+    assert.match(text, /- \*\*Retries:\*\* 1/);
+  });
+
+  test('gates without a retry policy run once', async () => {
+    let calls = 0;
+    const runCtx = createGateTestContext({
+      spec: { gates: [{ type: 'agents-md-sync', id: 'sync' }] },
+      pr: { number: 1 },
+      vcs: { pulls: { listFiles: async () => { calls++; throw httpError(502); } } }
+    });
+
+    const { results } = await runConfiguredGates(runCtx);
+
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(results[0].neutral_reason, 'api_error');
+    assert.strictEqual(results[0].stats.retries, undefined);
+  });
+});
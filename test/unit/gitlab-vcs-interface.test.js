@@ -38,22 +38,39 @@ describe("GitLab VCS Interface Logic", () => {
     transformedPayload = transformGitLabPayload(gitlabPayload);
   });
 
-  test("GitLab check conclusion mapping logic", () => {
+  test("GitLab check conclusion mapping logic", async () => {
     // Test the core mapping logic used in vcs.checks.create
-    const conclusionToState = {
-      'success': 'success',
-      'failure': 'failed', 
-      'cancelled': 'canceled',
-      'neutral': 'skipped',
-      'pending': 'pending'
-    };
+    const { mapConclusionToState } = await import("../../src/adapters/gitlab/gitlab-context.js");
 
     // Verify all expected mappings
-    assert.strictEqual(conclusionToState['success'], 'success');
-    assert.strictEqual(conclusionToState['failure'], 'failed');
-    assert.strictEqual(conclusionToState['cancelled'], 'canceled');
-    assert.strictEqual(conclusionToState['neutral'], 'skipped');
-    assert.strictEqual(conclusionToState['pending'], 'pending');
+    assert.strictEqual(mapConclusionToState('success'), 'success');
+    assert.strictEqual(mapConclusionToState('failure'), 'failed');
+    assert.strictEqual(mapConclusionToState('cancelled'), 'canceled');
+    assert.strictEqual(mapConclusionToState('neutral'), 'skipped');
+    assert.strictEqual(mapConclusionToState('pending'), 'pending');
+  });
+
+  test("GitLab client errors keep their HTTP status when wrapped", async () => {
+    const { wrapGitLabError } = await import("../../src/adapters/gitlab/gitlab-context.js");
+    const { isRetryableError } = await import("../../src/transient-errors.js");
+    // GitBeaker puts the response under `cause`
+    const gitbeakerError = (status) => new Error("Request failed", { cause: { response: { status } } });
+
+    const notFound = wrapGitLabError("list merge request approvals", gitbeakerError(404));
+    assert.strictEqual(notFound.message, "Failed to list merge request approvals: Request failed");
+    assert.strictEqual(notFound.status, 404);
+    assert.strictEqual(isRetryableError(notFound), false);
+    assert.strictEqual(isRetryableError(wrapGitLabError("list merge request approvals", gitbeakerError(503))), true);
+  });
+
+  test("missing GitLab files are recognised by status, not message", async () => {
+    const { wrapGitLabError } = await import("../../src/adapters/gitlab/gitlab-context.js");
+    const { isNotFoundError } = await import("../../src/gates/vcs-errors.js");
+    const gitbeakerError = (status) => new Error("Request failed", { cause: { response: { status } } });
+
+    assert.strictEqual(isNotFoundError(wrapGitLabError("read file package.json", gitbeakerError(404))), true);
+    assert.strictEqual(isNotFoundError(wrapGitLabError("read file package.json", gitbeakerError(500))), false);
+    assert.strictEqual(isNotFoundError(new Error("Ref not found")), false);
   });
 
   test("GitLab project ID extraction from transformed payload", () => {
@@ -0,0 +1,102 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { run, normalizeGoals, findGoalReferences, rankGoalCandidates } from '../../src/gates/cogni/goal-declaration.js';
+import { renderCheckSummary } from '../../src/summary-adapter.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+const GOALS = [
+  'Deliver fast tri-state verdicts on every PR',
+  { id: 'DOCS', description: 'Keep contributor documentation current' },
+  'Support GitLab merge requests'
+];
+
+function createContext({ goals = GOALS, title = '', body = '' } = {}) {
+  const { context } = createGateTestContext({
+    spec: { intent: { goals, non_goals: ['Heavy analysis'] } },
+    pr: { number: 5, title, body }
+  });
+  return context;
+}
+
+describe('Goal Declaration Gate', () => {
+  test('passes when the PR body references a declared goal by ID', async () => {
+    const result = await run(createContext({ body: 'Speeds up checks.\n\nGoal: G-1' }), { type: 'goal-declaration' });
+
+    assert.strictEqual(result.status, 'pass');
+    assert.deepStrictEqual(result.stats.matched_goal, {
+      id: 'G-1',
+      description: 'Deliver fast tri-state verdicts on every PR',
+      via: 'reference'
+    });
+
+    const { text } = renderCheckSummary({ overall_status: 'pass', gates: [{ ...result, id: 'goal_declaration' }] });
+    assert.match(text, /- \*\*Goal:\*\* G-1 — Deliver fast tri-state verdicts on every PR/);
+  });
+
+  test('matches explicit and positional IDs case-insensitively, from the title too', async () => {
+    const result = await run(createContext({ title: 'docs: refresh guide (goal: docs, G-3)' }), { type: 'goal-declaration' });
+
+    assert.strictEqual(result.status, 'pass');
+    assert.deepStrictEqual(result.stats.matched_goal_ids, ['DOCS', 'G-3']);
+  });
+
+  test('fails with the closest candidates when no goal is referenced', async () => {
+    const result = await run(
+      createContext({ title: 'Add GitLab merge request support', body: 'Handles merge request webhooks' }),
+      { type: 'goal-declaration', with: { max_candidates: 2 } }
+    );
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.violations[0].code, 'no_goal_referenced');
+    assert.deepStrictEqual(result.stats.candidates.map(c => c.id), ['G-3', 'G-1']);
+    assert.match(result.violations[0].message, /Closest goals: G-3 \(Support GitLab merge requests\)/);
+    assert.strictEqual(result.stats.matched_goal, null);
+  });
+
+  test('fails when the PR references an undeclared goal ID', async () => {
+    const result = await run(createContext({ body: 'Goal: G-9' }), { type: 'goal-declaration' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.violations[0].code, 'unknown_goal_reference');
+    assert.deepStrictEqual(result.violations[0].meta.references, ['G-9']);
+  });
+
+  test('ignores goal prose and non-goals instead of treating them as references', async () => {
+    const result = await run(
+      createContext({ body: 'Non-goals: G-1 stays out of scope.\ngoal: improve perf of the GitLab webhook' }),
+      { type: 'goal-declaration' }
+    );
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.violations[0].code, 'no_goal_referenced');
+  });
+
+  test('fails when repo spec declares no goals', async () => {
+    const result = await run(createContext({ goals: [], body: 'Goal: G-1' }), { type: 'goal-declaration' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.violations[0].code, 'repo_has_no_goals');
+    assert.strictEqual(result.stats.repo_goals_count, 0);
+  });
+
+  test('handles missing intent section', async () => {
+    const { context } = createGateTestContext({ spec: {}, pr: { number: 5 } });
+    const result = await run(context, { type: 'goal-declaration' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.violations[0].code, 'repo_has_no_goals');
+  });
+
+  test('helpers normalize goals, parse references and rank candidates', () => {
+    assert.deepStrictEqual(normalizeGoals(['A goal', { id: 'X', description: 'Other' }]), [
+      { id: 'G-1', description: 'A goal' },
+      { id: 'X', description: 'Other' }
+    ]);
+    assert.deepStrictEqual(findGoalReferences('Goal: G-2\nGoals: G-2, X', ['X']), ['G-2', 'X']);
+    assert.deepStrictEqual(findGoalReferences('Goals: X, Y', []), []);
+    assert.deepStrictEqual(findGoalReferences('No goals here'), []);
+
+    const ranked = rankGoalCandidates('gitlab support', normalizeGoals(GOALS), 1);
+    assert.deepStrictEqual(ranked, [{ id: 'G-3', description: 'Support GitLab merge requests', score: 0.5 }]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Outcome Mapping Tests
+ * Verifies per-gate on_error / on_neutral treat_as mappings and their effect on the verdict
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { applyOutcomeMapping, validateOutcomeMappings } from '../../src/gates/outcome-mapping.js';
+import { runAllGates } from '../../src/gates/index.js';
+import { loadRepoSpec } from '../../src/spec-loader.js';
+import { renderCheckSummary } from '../../src/summary-adapter.js';
+import { createGateTestContext, createMockContextWithSpec } from '../helpers/handler-harness.js';
+
+const neutral = (neutral_reason) => ({ status: 'neutral', neutral_reason, violations: [], stats: {} });
+
+describe('Outcome mapping (on_error / on_neutral)', () => {
+
+  test('on_error applies to errored results only', () => {
+    const gate = { type: 'governance-policy', on_error: { treat_as: 'fail' } };
+
+    const errored = applyOutcomeMapping(gate, neutral('timeout'));
+    assert.strictEqual(errored.status, 'fail');
+    assert.strictEqual(errored.original_status, 'neutral');
+    assert.strictEqual(errored.treated_as, 'fail');
+
+    assert.strictEqual(applyOutcomeMapping(gate, neutral('oversize_diff')).status, 'neutral');
+  });
+
+  test('on_neutral covers plain neutrals and is the fallback for errors', () => {
+    const gate = { type: 'review-limits', on_neutral: { treat_as: 'pass' } };
+
+    assert.strictEqual(applyOutcomeMapping(gate, neutral('oversize_diff')).status, 'pass');
+    assert.strictEqual(applyOutcomeMapping(gate, neutral('api_error')).status, 'pass');
+    assert.strictEqual(
+      applyOutcomeMapping({ ...gate, on_error: { treat_as: 'neutral' } }, neutral('api_error')).status,
+      'neutral'
+    );
+  });
+
+  test('pass and fail results are never remapped', () => {
+    const gate = { type: 'review-limits', on_neutral: { treat_as: 'fail' } };
+    const result = { status: 'pass', violations: [], stats: {} };
+
+    assert.strictEqual(applyOutcomeMapping(gate, result), result);
+  });
+
+  test('validation rejects unknown treat_as values', () => {
+    assert.throws(
+      () => validateOutcomeMappings([{ type: 'review-limits' }, { type: 'x', on_error: { treat_as: 'block' } }]),
+      /gates\[1\]\.on_error\.treat_as must be one of pass, neutral, fail/
+    );
+    assert.doesNotThrow(() => validateOutcomeMappings([{ type: 'x', on_neutral: { treat_as: 'pass' } }]));
+  });
+
+  test('loadRepoSpec reports invalid treat_as as SPEC_INVALID', async () => {
+    const spec = {
+      intent: { name: 'mapping-project' },
+      gates: [{ type: 'review-limits', on_neutral: 'pass' }]
+    };
+
+    const result = await loadRepoSpec(createMockContextWithSpec(spec));
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error.code, 'SPEC_INVALID');
+    assert.match(result.error.message, /on_neutral\.treat_as/);
+  });
+
+  test('errored gate with on_error fail blocks the verdict', async () => {
+    const { context } = createGateTestContext({ spec: {}, pr: {} });
+    context.payload = { repository: { name: 'test-repo', full_name: 'test-org/test-repo' } };
+    const spec = {
+      gates: [
+        { type: 'not-a-real-gate', id: 'governance', on_error: { treat_as: 'fail' } },
+        { type: 'goal-declaration', id: 'goal_declaration' }
+      ],
+      intent: { goals: ['Ship things'] }
+    };
+
+    const runResult = await runAllGates(context, { number: 3, head: { sha: 'abc1234' } }, spec);
+
+    assert.strictEqual(runResult.gates[0].status, 'fail');
+    assert.strictEqual(runResult.gates[0].neutral_reason, 'unimplemented_gate');
+    assert.strictEqual(runResult.overall_status, 'fail');
+    assert.match(renderCheckSummary(runResult).text, /\*\*Treated as:\*\* fail \(was neutral: unimplemented_gate\)/);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { run, evaluateRuleset } from '../../src/gates/cogni/repo-hygiene.js';
+import { parseGitLsTree } from '../../src/adapters/local-cli/git-utils.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+const RULESET = {
+  version: 2,
+  rules: {
+    'license-file-exists': {
+      level: 'error',
+      rule: { type: 'file-existence', options: { globsAny: ['LICENSE*'] } },
+      policyInfo: 'A LICENSE file is required.'
+    },
+    'no-env-files': {
+      level: 'error',
+      rule: { type: 'file-not-exists', options: { globsAll: ['**/.env'] } },
+      policyInfo: 'Never commit .env files.'
+    },
+    'readme-has-install': {
+      level: 'warning',
+      rule: { type: 'file-contents', options: { globsAll: ['README.md'], content: '^## Install', flags: 'm' } },
+      policyInfo: 'README should document installation.'
+    },
+    'docs-dir': {
+      level: 'off',
+      rule: { type: 'file-existence', options: { globsAny: ['docs'] } }
+    },
+    'license-detectable': {
+      level: 'error',
+      rule: { type: 'license-detectable-by-licensee', options: {} }
+    }
+  }
+};
+
+function createContext({ tree, files = {}, ruleset = RULESET }) {
+  const contents = { ...files };
+  if (ruleset !== null) contents['repolinter.json'] = JSON.stringify(ruleset);
+  const requests = [];
+  const { context } = createGateTestContext({
+    spec: {},
+    pr: { number: 2, head: { sha: 'head' } },
+    vcs: {
+      git: {
+        getTree: async (params) => {
+          requests.push(params);
+          // Entries ending in '/' are directories
+          const entries = tree.map(p => (p.endsWith('/') ? { path: p.slice(0, -1), type: 'tree' } : { path: p, type: 'blob' }));
+          return { data: { tree: entries, truncated: false } };
+        }
+      },
+      repos: {
+        getContent: async ({ path, ref }) => {
+          requests.push({ path, ref });
+          if (!(path in contents)) throw Object.assign(new Error('Not Found'), { status: 404 });
+          return { data: { content: Buffer.from(contents[path]).toString('base64'), encoding: 'base64' } };
+        }
+      }
+    }
+  });
+  context.repo = (params = {}) => ({ owner: 'test-org', repo: 'test-repo', ...params });
+  return { context, requests };
+}
+
+describe('Repo Hygiene Gate', () => {
+  test('reports each failed rule with its policyInfo and level', async () => {
+    const { context, requests } = createContext({
+      tree: ['README.md', 'config/.env', 'src/', 'src/app.js'],
+      files: { 'README.md': '# App\n\nUsage only' }
+    });
+    const result = await run(context, { type: 'repo-hygiene' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.severity, v.path]), [
+      ['license-file-exists', 'error', null],
+      ['no-env-files', 'error', 'config/.env'],
+      ['readme-has-install', 'warning', 'README.md']
+    ]);
+    assert.match(result.violations[0].message, /^A LICENSE file is required\. \(no file matches LICENSE\*\)$/);
+    assert.ok(requests.every(r => r.ref === 'head' || r.tree_sha === 'head'));
+    assert.deepStrictEqual(result.stats, {
+      ruleset_source: 'repolinter.json',
+      rules_evaluated: 3,
+      rules_failed: 3,
+      rules_skipped: 1,
+      tree_truncated: false
+    });
+    assert.ok(result.observations.includes('skipped: license-detectable (unsupported rule type license-detectable-by-licensee)'));
+  });
+
+  test('warning-level failures only block with fail_on_warning', async () => {
+    const setup = {
+      tree: ['LICENSE', 'README.md'],
+      files: { 'README.md': '# App' }
+    };
+    const result = await run(createContext(setup).context, { type: 'repo-hygiene' });
+    assert.strictEqual(result.status, 'pass');
+    assert.strictEqual(result.violations.length, 1);
+
+    const strict = await run(createContext(setup).context, { type: 'repo-hygiene', with: { fail_on_warning: true } });
+    assert.strictEqual(strict.status, 'fail');
+  });
+
+  test('falls back to the bundled template ruleset', async () => {
+    const { context } = createContext({
+      ruleset: null,
+      tree: ['LICENSE', 'README.md', '.github/CODEOWNERS', '.cogni/repo-spec.yaml', '.github/workflows/ci.yaml']
+    });
+    const result = await run(context, { type: 'repo-hygiene' });
+
+    assert.strictEqual(result.status, 'pass');
+    assert.strictEqual(result.stats.ruleset_source, 'bundled');
+    assert.strictEqual(result.stats.rules_evaluated, 5);
+  });
+
+  test('invalid rulesets fail with a violation on the ruleset file', async () => {
+    const { context } = createContext({ ruleset: { version: 1, rules: [] }, tree: [] });
+    const result = await run(context, { type: 'repo-hygiene' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.violations[0].code, 'invalid_ruleset');
+    assert.strictEqual(result.violations[0].path, 'repolinter.json');
+
+    const badRegex = await run(createContext({
+      ruleset: { version: 2, rules: { broken: { level: 'error', rule: { type: 'file-contents', options: { globsAll: ['README.md'], content: '(' } } } } },
+      tree: ['README.md']
+    }).context, { type: 'repo-hygiene' });
+    assert.strictEqual(badRegex.status, 'fail');
+    assert.strictEqual(badRegex.violations[0].code, 'invalid_ruleset');
+    assert.match(badRegex.violations[0].message, /^Repolinter ruleset repolinter\.json is invalid: rule broken content is not a valid regular expression/);
+  });
+
+  test('file rules honour dirs, nocase and fail-on-non-existent', async () => {
+    const repo = { files: ['Docs/Guide.md'], dirs: ['Docs'], readFile: async () => '' };
+    const { results } = await evaluateRuleset({
+      version: 2,
+      rules: {
+        dir: { rule: { type: 'file-existence', options: { globsAny: ['Docs'], dirs: true } } },
+        nocase: { rule: { type: 'file-existence', options: { globsAny: ['docs/*.md'], nocase: true } } },
+        missing: { rule: { type: 'file-contents', options: { globsAll: ['NOTICE'], content: 'x', 'fail-on-non-existent': true } } }
+      }
+    }, repo);
+
+    assert.deepStrictEqual(results.map(r => [r.id, r.passed]), [['dir', true], ['nocase', true], ['missing', false]]);
+  });
+
+  test('file-contents results do not depend on file order with g or y flags', async () => {
+    const repo = { files: ['a/LICENSE', 'b/LICENSE'], dirs: ['a', 'b'], readFile: async () => 'MIT License' };
+    const { results } = await evaluateRuleset({
+      version: 2,
+      rules: {
+        global: { rule: { type: 'file-contents', options: { globsAll: ['*/LICENSE'], content: 'MIT', flags: 'g' } } },
+        sticky: { rule: { type: 'file-contents', options: { globsAll: ['*/LICENSE'], content: 'MIT', flags: 'y' } } }
+      }
+    }, repo);
+
+    assert.deepStrictEqual(results.map(r => [r.id, r.passed]), [['global', true], ['sticky', true]]);
+  });
+
+  test('API errors are neutral', async () => {
+    const { context } = createContext({ tree: [] });
+    context.vcs.git.getTree = async () => { throw Object.assign(new Error('Bad Gateway'), { status: 502 }); };
+    const result = await run(context, { type: 'repo-hygiene' });
+
+    assert.strictEqual(result.status, 'neutral');
+    assert.strictEqual(result.neutral_reason, 'api_error');
+    assert.strictEqual(result.retryable, true);
+  });
+
+  test('parseGitLsTree reads NUL-separated ls-tree entries', () => {
+    assert.deepStrictEqual(parseGitLsTree('040000 tree abc\tsrc\u0000100644 blob def\tsrc/a b.js\u0000'), [
+      { path: 'src', mode: '040000', type: 'tree', sha: 'abc' },
+      { path: 'src/a b.js', mode: '100644', type: 'blob', sha: 'def' }
+    ]);
+    assert.deepStrictEqual(parseGitLsTree('040000 tree abc       -\tsrc\u0000100644 blob def    1234\tsrc/a.js\u0000'), [
+      { path: 'src', mode: '040000', type: 'tree', sha: 'abc' },
+      { path: 'src/a.js', mode: '100644', type: 'blob', sha: 'def', size: 1234 }
+    ]);
+  });
+});
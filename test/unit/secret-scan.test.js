@@ -0,0 +1,141 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { run, scanPatch, shannonEntropy } from '../../src/gates/cogni/secret-scan.js';
+import { parseAddedLines } from '../../src/gates/patch-parser.js';
+import { renderCheckSummary } from '../../src/summary-adapter.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+// Fake credentials are assembled at runtime so this file does not trip secret scanners itself
+const AWS_KEY_ID = 'AKIA' + 'Q3EXAMPLE7KEY2ID';
+const GITHUB_TOKEN = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8';
+const PRIVATE_KEY_HEADER = '-----BEGIN RSA ' + 'PRIVATE KEY-----';
+const RANDOM_SECRET = 'x9Kq2Lm7Pz4Rt8Vw1Yb6Nc3Hd5Jf0Gs';
+
+const PATCH = [
+  '@@ -1,3 +1,5 @@',
+  ' const config = {',
+  `+  awsKeyId: '${AWS_KEY_ID}',`,
+  '-  region: "us-east-1",',
+  `+  apiToken: "${RANDOM_SECRET}",`,
+  '   retries: 3',
+  '@@ -20,2 +22,3 @@',
+  ' // keys',
+  `+${PRIVATE_KEY_HEADER}`,
+  ' };'
+].join('\n');
+
+function createContext(files, listFiles) {
+  const { context } = createGateTestContext({
+    spec: {},
+    pr: { number: 3 },
+    vcs: { pulls: { listFiles: listFiles || (async () => ({ data: files })) } }
+  });
+  return context;
+}
+
+describe('Secret Scan Gate', () => {
+  test('parseAddedLines tracks new-file line numbers across hunks', () => {
+    assert.deepStrictEqual(parseAddedLines(PATCH).map(l => l.line), [2, 3, 23]);
+    assert.deepStrictEqual(parseAddedLines(undefined), []);
+  });
+
+  test('reports built-in and entropy findings with file and line', () => {
+    const findings = scanPatch(PATCH);
+
+    assert.deepStrictEqual(findings.map(f => [f.line, f.rule]), [
+      [2, 'aws_access_key_id'],
+      [3, 'high_entropy_secret'],
+      [23, 'private_key']
+    ]);
+  });
+
+  test('entropy heuristic ignores low-entropy and unassigned values', () => {
+    const patch = [
+      '@@ -0,0 +1,3 @@',
+      '+password: "aaaaaaaaaaaaaaaaaaaaaaaa"',
+      `+const sha = "${RANDOM_SECRET}";`,
+      `+apiToken = "${RANDOM_SECRET}"`
+    ].join('\n');
+
+    assert.deepStrictEqual(scanPatch(patch).map(f => f.line), [3]);
+    assert.deepStrictEqual(scanPatch(patch, undefined, { entropy: false }), []);
+    assert.strictEqual(shannonEntropy('aaaa'), 0);
+  });
+
+  test('fails without echoing matched values into the check text', async () => {
+    const context = createContext([
+      { filename: 'src/config.js', status: 'modified', patch: `@@ -1 +1,2 @@\n line\n+token = "${GITHUB_TOKEN}"` },
+      { filename: 'assets/logo.png', status: 'added' }
+    ]);
+    const result = await run(context, { type: 'secret-scan' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path, v.line, v.meta.rule]), [
+      ['secret_detected', 'src/config.js', 2, 'github_token']
+    ]);
+    assert.deepStrictEqual(result.stats, { files_scanned: 1, files_without_patch: 1, findings: 1, custom_patterns: 0 });
+
+    const { text } = renderCheckSummary({ overall_status: 'fail', gates: [{ ...result, id: 'secret_scan' }] });
+    assert.ok(!text.includes(GITHUB_TOKEN));
+    assert.ok(!JSON.stringify(result).includes(GITHUB_TOKEN));
+  });
+
+  test('applies custom patterns and skips excluded and removed files', async () => {
+    const context = createContext([
+      { filename: 'src/app.js', status: 'modified', patch: '@@ -1 +1 @@\n+const key = "acme_live_0123456789";' },
+      { filename: 'test/fixtures/keys.js', status: 'added', patch: `@@ -0,0 +1 @@\n+${PRIVATE_KEY_HEADER}` },
+      { filename: 'old/keys.pem', status: 'removed', patch: `@@ -1 +0,0 @@\n-${PRIVATE_KEY_HEADER}` }
+    ]);
+    const result = await run(context, {
+      type: 'secret-scan',
+      with: {
+        custom_patterns: [{ id: 'acme_key', regex: 'acme_live_[0-9]{10}', description: 'Acme live key' }],
+        exclude_paths: ['test/fixtures/**']
+      }
+    });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.path, v.meta.rule]), [['src/app.js', 'acme_key']]);
+    assert.match(result.violations[0].message, /Possible Acme live key added in src\/app.js:1/);
+  });
+
+  test('scans files beyond the first page of the PR file list', async () => {
+    const pages = [];
+    const context = createContext(null, async ({ page, per_page }) => {
+      pages.push(page);
+      if (page > 1) {
+        return { data: [{ filename: 'src/late.js', status: 'added', patch: `@@ -0,0 +1 @@\n+${PRIVATE_KEY_HEADER}` }] };
+      }
+      return { data: Array.from({ length: per_page }, (_, i) => ({ filename: `docs/${i}.md`, status: 'added', patch: '@@ -0,0 +1 @@\n+docs' })) };
+    });
+    const result = await run(context, { type: 'secret-scan' });
+
+    assert.deepStrictEqual(pages, [1, 2]);
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => v.path), ['src/late.js']);
+    assert.strictEqual(result.stats.files_scanned, 101);
+  });
+
+  test('invalid custom patterns fail with a spec violation', async () => {
+    const context = createContext([]);
+    const result = await run(context, { type: 'secret-scan', with: { custom_patterns: [{ id: 'broken', regex: '(' }] } });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.violations[0].code, 'invalid_custom_pattern');
+    assert.strictEqual(result.violations[0].path, '.cogni/repo-spec.yaml');
+  });
+
+  test('passes clean patches and is neutral on API errors', async () => {
+    const clean = await run(createContext([
+      { filename: 'README.md', status: 'modified', patch: '@@ -1 +1 @@\n-Old\n+New docs' }
+    ]), { type: 'secret-scan' });
+    assert.strictEqual(clean.status, 'pass');
+
+    const errored = await run(createContext(null, async () => {
+      throw Object.assign(new Error('Bad Gateway'), { status: 502 });
+    }), { type: 'secret-scan' });
+    assert.strictEqual(errored.status, 'neutral');
+    assert.strictEqual(errored.neutral_reason, 'api_error');
+    assert.strictEqual(errored.retryable, true);
+  });
+});
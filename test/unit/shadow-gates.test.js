@@ -0,0 +1,96 @@
+/**
+ * Shadow Gate Tests
+ * Verifies mode: shadow gates run but stay out of the verdict, with agreement stats in the summary
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { runAllGates } from '../../src/gates/index.js';
+import { loadRepoSpec } from '../../src/spec-loader.js';
+import { renderCheckSummary } from '../../src/summary-adapter.js';
+import { createGateTestContext, createMockContextWithSpec } from '../helpers/handler-harness.js';
+
+function createRunContext() {
+  const { context } = createGateTestContext({ spec: {}, pr: {} });
+  context.payload = { repository: { name: 'test-repo', full_name: 'test-org/test-repo' } };
+  return context;
+}
+
+const pr = { number: 3, body: 'Goal: G-1', changed_files: 20, head: { sha: 'abc1234' } };
+
+describe('Shadow gates (mode: shadow)', () => {
+
+  test('failing shadow gate runs but does not affect the verdict', async () => {
+    const spec = {
+      gates: [
+        { type: 'review-limits', id: 'strict_limits', mode: 'shadow', with: { max_changed_files: 5 } },
+        { type: 'goal-declaration', id: 'goal_declaration' }
+      ],
+      intent: { goals: ['Ship things'] }
+    };
+
+    const runResult = await runAllGates(createRunContext(), pr, spec);
+
+    assert.strictEqual(runResult.gates.length, 2);
+    assert.strictEqual(runResult.gates[0].status, 'fail');
+    assert.strictEqual(runResult.gates[0].mode, 'shadow');
+    assert.strictEqual(runResult.overall_status, 'pass');
+    assert.strictEqual(runResult.conclusion_reason, 'all_gates_passed');
+    assert.strictEqual(runResult.execution_summary.failed, 0);
+    assert.deepStrictEqual(runResult.execution_summary.shadow, {
+      total: 1,
+      compared: 1,
+      agreed: 0,
+      disagreed: ['strict_limits']
+    });
+  });
+
+  test('check summary renders shadow gates in a collapsed section', async () => {
+    const spec = {
+      gates: [
+        { type: 'review-limits', id: 'strict_limits', mode: 'shadow', with: { max_changed_files: 5 } },
+        { type: 'review-limits', id: 'loose_limits', mode: 'shadow', with: { max_changed_files: 50 } },
+        { type: 'goal-declaration', id: 'goal_declaration' }
+      ],
+      intent: { goals: ['Ship things'] }
+    };
+
+    const runResult = await runAllGates(createRunContext(), pr, spec);
+    const { summary, text } = renderCheckSummary(runResult);
+
+    assert.strictEqual(summary, 'All gates passed');
+    assert.match(text, /✅ 1 passed \| ❌ 0 failed/);
+    assert.match(text, /<details>\n<summary>Shadow gates \(2\) — 1\/2 agree with the verdict<\/summary>/);
+    assert.match(text, /### ❌ strict_limits[\s\S]*- \*\*Agrees with verdict:\*\* no/);
+    assert.match(text, /### ✅ loose_limits[\s\S]*- \*\*Agrees with verdict:\*\* yes/);
+    assert(text.indexOf('goal_declaration') < text.indexOf('<details>'), 'enforced gates render first');
+  });
+
+  test('loadRepoSpec rejects unknown modes and verdict policies on shadow gates', async () => {
+    const badMode = await loadRepoSpec(createMockContextWithSpec({
+      intent: { name: 'shadow-project' },
+      gates: [{ type: 'review-limits', mode: 'trial' }]
+    }));
+    assert.strictEqual(badMode.error.code, 'SPEC_INVALID');
+    assert.match(badMode.error.message, /gates\[0\]\.mode must be one of enforce, shadow/);
+
+    const shadowMustPass = await loadRepoSpec(createMockContextWithSpec({
+      intent: { name: 'shadow-project' },
+      gates: [{ type: 'review-limits', mode: 'shadow' }, { type: 'goal-declaration' }],
+      verdict_policy: { must_pass: ['review-limits'] }
+    }));
+    assert.strictEqual(shadowMustPass.error.code, 'SPEC_INVALID');
+    assert.match(shadowMustPass.error.message, /unknown gate "review-limits"/);
+
+    const enforcedNeedsShadow = await loadRepoSpec(createMockContextWithSpec({
+      intent: { name: 'shadow-project' },
+      gates: [
+        { type: 'review-limits', id: 'strict_limits', mode: 'shadow' },
+        { type: 'goal-declaration', needs: ['strict_limits'] },
+        { type: 'agents-md-sync', mode: 'shadow', needs: ['strict_limits'] }
+      ]
+    }));
+    assert.strictEqual(enforcedNeedsShadow.error.code, 'SPEC_INVALID');
+    assert.match(enforcedNeedsShadow.error.message, /gates\[1\] \(goal-declaration\) needs shadow gate "strict_limits"/);
+  });
+});
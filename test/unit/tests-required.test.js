@@ -0,0 +1,86 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { run, findUntestedFiles } from '../../src/gates/cogni/tests-required.js';
+import { createGateTestContext } from '../helpers/handler-harness.js';
+
+function createContext(filenames, { labels = [], listFiles } = {}) {
+  const { context } = createGateTestContext({
+    spec: {},
+    pr: { number: 8, labels },
+    vcs: {
+      pulls: {
+        listFiles: listFiles || (async () => ({
+          data: filenames.map(f => (typeof f === 'string' ? { filename: f, status: 'modified' } : f))
+        }))
+      }
+    }
+  });
+  return context;
+}
+
+describe('Tests Required Gate', () => {
+  test('reports each source file changed without tests', async () => {
+    const result = await run(createContext(['src/gates/a.js', 'src/gates/b.js', 'README.md']), { type: 'tests-required' });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.violations.map(v => [v.code, v.path]), [
+      ['missing_tests', 'src/gates/a.js'],
+      ['missing_tests', 'src/gates/b.js']
+    ]);
+    assert.strictEqual(result.stats.source_files_checked, 2);
+  });
+
+  test('passes when a mapped test file changed too', async () => {
+    const result = await run(createContext(['src/gates/a.js', 'test/unit/a.test.js']), { type: 'tests-required' });
+
+    assert.strictEqual(result.status, 'pass');
+  });
+
+  test('applies configured mappings and {name} placeholders per file', async () => {
+    const gate = {
+      type: 'tests-required',
+      with: {
+        mappings: [
+          { source_patterns: ['src/gates/**'], test_patterns: ['test/unit/{name}.test.js'] },
+          { source_patterns: ['src/ai/**'], test_patterns: ['test/ai/**'] }
+        ]
+      }
+    };
+    const result = await run(createContext([
+      'src/gates/retry.js',
+      'test/unit/retry.test.js',
+      'src/gates/shadow.js',
+      'src/ai/provider.js',
+      'src/env.js'
+    ]), gate);
+
+    assert.deepStrictEqual(result.violations.map(v => v.path), ['src/gates/shadow.js', 'src/ai/provider.js']);
+    assert.deepStrictEqual(result.violations[0].meta.test_patterns, ['test/unit/shadow.test.js']);
+  });
+
+  test('exempts PRs by label and files by path', async () => {
+    const labeled = await run(createContext(['src/a.js'], { labels: [{ name: 'no-tests-needed' }] }), {
+      type: 'tests-required',
+      with: { exempt_labels: ['no-tests-needed'] }
+    });
+    assert.strictEqual(labeled.status, 'pass');
+    assert.strictEqual(labeled.stats.exempt_label, 'no-tests-needed');
+
+    const { violations } = findUntestedFiles(
+      [{ filename: 'src/generated/types.js' }, { filename: 'src/old.js', status: 'removed' }],
+      [{ source_patterns: ['src/**'], test_patterns: ['test/**'] }],
+      ['src/generated/**']
+    );
+    assert.deepStrictEqual(violations, []);
+  });
+
+  test('API errors are neutral', async () => {
+    const result = await run(createContext([], {
+      listFiles: async () => { throw Object.assign(new Error('Too Many Requests'), { status: 429 }); }
+    }), { type: 'tests-required' });
+
+    assert.strictEqual(result.status, 'neutral');
+    assert.strictEqual(result.neutral_reason, 'api_error');
+    assert.strictEqual(result.retryable, true);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Verdict Policy Tests
+ * Verifies quorum, weighted and must_pass verdict policies and their validation
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { evaluateVerdict, validateVerdictPolicy } from '../../src/gates/verdict-policy.js';
+import { runAllGates } from '../../src/gates/index.js';
+import { loadRepoSpec } from '../../src/spec-loader.js';
+import { renderCheckSummary } from '../../src/summary-adapter.js';
+import { createGateTestContext, createMockContextWithSpec } from '../helpers/handler-harness.js';
+
+const gate = (id, status, extra = {}) => ({ id, status, violations: [], stats: {}, ...extra });
+
+describe('Verdict policies', () => {
+
+  test('default policy keeps any-fail-fails semantics', () => {
+    const verdict = evaluateVerdict([gate('a', 'pass'), gate('b', 'fail')]);
+
+    assert.strictEqual(verdict.overall_status, 'fail');
+    assert.strictEqual(verdict.conclusion_reason, 'gates_failed');
+    assert.deepStrictEqual(verdict.policy, { type: 'all' });
+  });
+
+  test('quorum passes with enough passing gates despite failures', () => {
+    const gates = [gate('a', 'pass'), gate('b', 'pass'), gate('c', 'fail'), gate('d', 'skipped')];
+
+    const verdict = evaluateVerdict(gates, { type: 'quorum', min_pass: 2 });
+
+    assert.strictEqual(verdict.overall_status, 'pass');
+    assert.strictEqual(verdict.conclusion_reason, 'quorum_met');
+    assert.strictEqual(verdict.policy.passed, 2);
+    assert.strictEqual(verdict.policy.counted, 3);
+  });
+
+  test('quorum is neutral while neutral gates could still reach it, else fails', () => {
+    const gates = [gate('a', 'pass'), gate('b', 'neutral'), gate('c', 'fail')];
+
+    assert.strictEqual(evaluateVerdict(gates, { type: 'quorum', min_pass: 2 }).conclusion_reason, 'quorum_pending');
+    assert.strictEqual(evaluateVerdict(gates, { type: 'quorum', min_pass: 3 }).conclusion_reason, 'quorum_not_met');
+  });
+
+  test('weighted compares passing weight against the threshold', () => {
+    const gates = [gate('a', 'pass'), gate('b', 'fail')];
+
+    const passing = evaluateVerdict(gates, { type: 'weighted', threshold: 0.6, weights: { a: 3 } });
+    assert.strictEqual(passing.overall_status, 'pass');
+    assert.strictEqual(passing.conclusion_reason, 'score_above_threshold');
+    assert.strictEqual(passing.policy.score, 0.75);
+
+    const failing = evaluateVerdict(gates, { type: 'weighted', threshold: 0.6 });
+    assert.strictEqual(failing.overall_status, 'fail');
+    assert.strictEqual(failing.conclusion_reason, 'score_below_threshold');
+  });
+
+  test('advisory failures are excluded from quorum and weighted math', () => {
+    const gates = [gate('a', 'pass'), gate('b', 'fail', { blocking: false })];
+
+    const verdict = evaluateVerdict(gates, { type: 'weighted', threshold: 1 });
+
+    assert.strictEqual(verdict.overall_status, 'pass');
+    assert.strictEqual(verdict.policy.total_weight, 1);
+  });
+
+  test('must_pass failure overrides a passing policy; skipped gates satisfy it', () => {
+    const gates = [gate('a', 'pass'), gate('b', 'pass'), gate('c', 'fail'), gate('d', 'skipped')];
+
+    const failed = evaluateVerdict(gates, { type: 'quorum', min_pass: 2, must_pass: ['c'] });
+    assert.strictEqual(failed.overall_status, 'fail');
+    assert.strictEqual(failed.conclusion_reason, 'must_pass_failed');
+    assert.deepStrictEqual(failed.policy.must_pass.failed, ['c']);
+
+    const satisfied = evaluateVerdict(gates, { type: 'quorum', min_pass: 2, must_pass: ['a', 'd'] });
+    assert.strictEqual(satisfied.overall_status, 'pass');
+  });
+
+  test('neutral must_pass gate downgrades a pass to neutral', () => {
+    const gates = [gate('a', 'pass'), gate('b', 'neutral')];
+
+    const verdict = evaluateVerdict(gates, { type: 'quorum', min_pass: 1, must_pass: ['b'] });
+
+    assert.strictEqual(verdict.overall_status, 'neutral');
+    assert.strictEqual(verdict.conclusion_reason, 'must_pass_neutral');
+  });
+
+  test('validation rejects unknown types, gate IDs and missing parameters', () => {
+    assert.throws(() => validateVerdictPolicy({ type: 'majority' }, ['a']), /verdict_policy.type must be one of/);
+    assert.throws(() => validateVerdictPolicy({ must_pass: ['x'] }, ['a']), /must_pass references unknown gate "x"/);
+    assert.throws(() => validateVerdictPolicy({ type: 'quorum' }, ['a']), /min_pass must be a positive integer/);
+    assert.throws(() => validateVerdictPolicy({ type: 'weighted', threshold: 2 }, ['a']), /threshold must be a number/);
+    assert.throws(() => validateVerdictPolicy({ type: 'weighted', threshold: 0.5, weights: { x: 1 } }, ['a']), /weights references unknown gate "x"/);
+    assert.doesNotThrow(() => validateVerdictPolicy(undefined, ['a']));
+  });
+
+  test('loadRepoSpec reports invalid verdict_policy as SPEC_INVALID', async () => {
+    const spec = {
+      intent: { name: 'policy-project' },
+      gates: [{ type: 'review-limits', id: 'review_limits' }],
+      verdict_policy: { type: 'quorum', min_pass: 1, must_pass: ['goal_declaration'] }
+    };
+
+    const result = await loadRepoSpec(createMockContextWithSpec(spec));
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error.code, 'SPEC_INVALID');
+    assert.match(result.error.message, /unknown gate "goal_declaration"/);
+  });
+
+  test('runAllGates applies the policy and records it in the execution summary', async () => {
+    const { context } = createGateTestContext({ spec: {}, pr: {} });
+    context.payload = { repository: { name: 'test-repo', full_name: 'test-org/test-repo' } };
+    const spec = {
+      gates: [
+        { type: 'review-limits', id: 'review_limits', with: { max_changed_files: 5 } },
+        { type: 'goal-declaration', id: 'goal_declaration' }
+      ],
+      intent: { goals: ['Ship things'] },
+      verdict_policy: { type: 'quorum', min_pass: 1 }
+    };
+
+    const runResult = await runAllGates(context, { number: 3, body: 'Goal: G-1', changed_files: 20, head: { sha: 'abc1234' } }, spec);
+
+    assert.strictEqual(runResult.overall_status, 'pass');
+    assert.strictEqual(runResult.conclusion_reason, 'quorum_met');
+    assert.strictEqual(runResult.execution_summary.verdict_policy.type, 'quorum');
+
+    const { summary, text } = renderCheckSummary(runResult);
+    assert.strictEqual(summary, 'Verdict passed | Failures: 1');
+    assert.match(text, /\*\*Verdict policy:\*\* quorum — 1\/2 passed \(min 1\)/);
+  });
+});